@@ -0,0 +1,93 @@
+// Category prototypes for TabSorter AI
+// Zero-shot category assignment: nearest category embedding with a margin-based confidence
+
+class CategoryPrototypes {
+    constructor(options = {}) {
+        this.minSimilarity = options.minSimilarity ?? 0.2; // Below this nothing is assigned
+        this.marginScale = options.marginScale ?? 0.15;    // Margin at which confidence reaches 1
+        this.prototypes = [];
+        this.signature = null;
+    }
+
+    // Text embedded for a category: name, description and keywords
+    static textFor(category) {
+        return [
+            category.name,
+            category.description,
+            (category.keywords || []).join(', ')
+        ].filter(Boolean).join('. ');
+    }
+
+    // Identifies a category set so prototypes are only rebuilt when categories change
+    static signatureOf(categories) {
+        return JSON.stringify(categories.map(category => [category.id, CategoryPrototypes.textFor(category)]));
+    }
+
+    isCurrent(categories) {
+        return this.signature === CategoryPrototypes.signatureOf(categories);
+    }
+
+    // embeddings[i] is the embedding of textFor(categories[i])
+    setPrototypes(categories, embeddings) {
+        this.prototypes = categories
+            .map((category, i) => ({ id: category.id, name: category.name, embedding: embeddings[i] }))
+            .filter(prototype => prototype.embedding && prototype.embedding.some(value => value !== 0));
+        this.signature = CategoryPrototypes.signatureOf(categories);
+    }
+
+    // Nearest prototype; confidence grows with the lead over the runner-up
+    classify(embedding) {
+        if (!embedding || this.prototypes.length === 0) return null;
+
+        const ranked = this.prototypes
+            .map(prototype => ({ id: prototype.id, similarity: this.cosineSimilarity(embedding, prototype.embedding) }))
+            .sort((a, b) => b.similarity - a.similarity);
+
+        const [best, runnerUp] = ranked;
+        if (best.similarity < this.minSimilarity) return null;
+
+        const margin = runnerUp ? best.similarity - runnerUp.similarity : best.similarity;
+        return {
+            categoryId: best.id,
+            similarity: Number(best.similarity.toFixed(4)),
+            margin: Number(margin.toFixed(4)),
+            confidence: Number(Math.min(1, margin / this.marginScale).toFixed(4)),
+            runnerUp: runnerUp ? runnerUp.id : null
+        };
+    }
+
+    // Classify a group by the normalized mean of its embeddings
+    classifyGroup(embeddings) {
+        const valid = embeddings.filter(Boolean);
+        if (valid.length === 0) return null;
+
+        const centroid = new Array(valid[0].length).fill(0);
+        for (const embedding of valid) {
+            embedding.forEach((value, i) => {
+                centroid[i] += value / valid.length;
+            });
+        }
+        return this.classify(centroid);
+    }
+
+    cosineSimilarity(a, b) {
+        let dotProduct = 0, normA = 0, normB = 0;
+        for (let i = 0; i < a.length; i++) {
+            dotProduct += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+        const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+        return denominator > 0 ? dotProduct / denominator : 0;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CategoryPrototypes;
+}
+
+// Make available globally for script tags
+if (typeof window !== 'undefined') {
+    window.CategoryPrototypes = CategoryPrototypes;
+}
@@ -0,0 +1,195 @@
+// Clustering strategies for TabSorter AI
+// Each strategy turns tab embeddings into clusters of tab indices
+
+class TabClustering {
+    constructor() {
+        this.strategies = {
+            'greedy': {
+                name: 'Greedy (single pass)',
+                run: (sim, options) => this.greedy(sim, options)
+            },
+            'agglomerative-average': {
+                name: 'Agglomerative (average linkage)',
+                run: (sim, options) => this.agglomerative(sim, { ...options, linkage: 'average' })
+            },
+            'agglomerative-complete': {
+                name: 'Agglomerative (complete linkage)',
+                run: (sim, options) => this.agglomerative(sim, { ...options, linkage: 'complete' })
+            },
+            'density': {
+                name: 'Density-based (DBSCAN)',
+                run: (sim, options) => this.density(sim, options)
+            }
+        };
+        // Greedy stays the default so existing groupings don't change; the others are opt-in
+        this.defaultStrategy = 'greedy';
+    }
+
+    // Available strategies for settings UIs
+    list() {
+        return Object.entries(this.strategies).map(([id, strategy]) => ({ id, name: strategy.name }));
+    }
+
+    // Cluster embeddings with the named strategy; unknown names fall back to the default
+    cluster(embeddings, options = {}) {
+        const id = this.strategies[options.strategy] ? options.strategy : this.defaultStrategy;
+        const sim = this.similarityMatrix(embeddings);
+
+        const clusters = this.strategies[id].run(sim, {
+            threshold: options.threshold ?? 0.5,
+            minPoints: options.minPoints || 3
+        });
+
+        // Stable output regardless of strategy internals
+        const sorted = clusters
+            .map(cluster => [...cluster].sort((a, b) => a - b))
+            .sort((a, b) => a[0] - b[0]);
+
+        return { strategy: id, name: this.strategies[id].name, clusters: sorted };
+    }
+
+    // Pairwise cosine similarity (embeddings are usually normalized already)
+    similarityMatrix(embeddings) {
+        const n = embeddings.length;
+        const norms = embeddings.map(e => Math.sqrt(e.reduce((sum, v) => sum + v * v, 0)));
+        const sim = Array.from({ length: n }, () => new Float64Array(n));
+
+        for (let i = 0; i < n; i++) {
+            sim[i][i] = 1;
+            for (let j = i + 1; j < n; j++) {
+                let dot = 0;
+                for (let k = 0; k < embeddings[i].length; k++) {
+                    dot += embeddings[i][k] * embeddings[j][k];
+                }
+                const denominator = norms[i] * norms[j];
+                sim[i][j] = sim[j][i] = denominator > 0 ? dot / denominator : 0;
+            }
+        }
+
+        return sim;
+    }
+
+    // Original single pass: join the first group whose average similarity beats the threshold.
+    // Depends on tab order.
+    greedy(sim, { threshold }) {
+        const assigned = new Set();
+        const clusters = [];
+
+        for (let i = 0; i < sim.length; i++) {
+            if (assigned.has(i)) continue;
+
+            const cluster = [i];
+            assigned.add(i);
+
+            for (let j = i + 1; j < sim.length; j++) {
+                if (assigned.has(j)) continue;
+
+                const avgSimilarity = cluster.reduce((sum, k) => sum + sim[j][k], 0) / cluster.length;
+                if (avgSimilarity > threshold) {
+                    cluster.push(j);
+                    assigned.add(j);
+                }
+            }
+
+            clusters.push(cluster);
+        }
+
+        return clusters;
+    }
+
+    // Hierarchical agglomerative clustering: repeatedly merge the two most similar
+    // clusters until no pair is linked above the threshold
+    agglomerative(sim, { threshold, linkage }) {
+        const n = sim.length;
+        const clusters = Array.from({ length: n }, (_, i) => [i]);
+        const active = new Set(clusters.keys());
+
+        // Linkage similarity between clusters, updated in place (Lance-Williams)
+        const link = sim.map(row => Float64Array.from(row));
+
+        while (active.size > 1) {
+            let bestA = -1;
+            let bestB = -1;
+            let best = -Infinity;
+
+            for (const a of active) {
+                for (const b of active) {
+                    if (b <= a) continue;
+                    if (link[a][b] > best) {
+                        best = link[a][b];
+                        bestA = a;
+                        bestB = b;
+                    }
+                }
+            }
+
+            if (best < threshold) break;
+
+            const sizeA = clusters[bestA].length;
+            const sizeB = clusters[bestB].length;
+            for (const k of active) {
+                if (k === bestA || k === bestB) continue;
+                const merged = linkage === 'complete'
+                    ? Math.min(link[bestA][k], link[bestB][k])
+                    : (sizeA * link[bestA][k] + sizeB * link[bestB][k]) / (sizeA + sizeB);
+                link[bestA][k] = link[k][bestA] = merged;
+            }
+
+            clusters[bestA] = clusters[bestA].concat(clusters[bestB]);
+            active.delete(bestB);
+        }
+
+        return [...active].map(i => clusters[i]);
+    }
+
+    // DBSCAN with cosine similarity: tabs with at least minPoints neighbours
+    // (including themselves) above the threshold seed clusters; outliers stay alone
+    density(sim, { threshold, minPoints }) {
+        const n = sim.length;
+        const neighbours = sim.map((row, i) =>
+            [...row.keys()].filter(j => j !== i && row[j] >= threshold));
+        const isCore = neighbours.map(list => list.length + 1 >= minPoints);
+        const label = new Array(n).fill(-1);
+        const clusters = [];
+
+        for (let i = 0; i < n; i++) {
+            if (label[i] !== -1 || !isCore[i]) continue;
+
+            const cluster = [];
+            const queue = [i];
+            label[i] = clusters.length;
+
+            while (queue.length > 0) {
+                const point = queue.shift();
+                cluster.push(point);
+                if (!isCore[point]) continue; // Border points do not expand the cluster
+
+                for (const neighbour of neighbours[point]) {
+                    if (label[neighbour] === -1) {
+                        label[neighbour] = clusters.length;
+                        queue.push(neighbour);
+                    }
+                }
+            }
+
+            clusters.push(cluster);
+        }
+
+        // Noise points become singletons so callers can report them as ungrouped
+        for (let i = 0; i < n; i++) {
+            if (label[i] === -1) clusters.push([i]);
+        }
+
+        return clusters;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabClustering;
+}
+
+// Make available globally for script tags
+if (typeof window !== 'undefined') {
+    window.TabClustering = TabClustering;
+}
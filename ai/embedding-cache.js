@@ -0,0 +1,273 @@
+// Persistent embedding cache for TabSorter AI
+// Stores tab embeddings in IndexedDB so they survive offscreen document restarts
+
+class EmbeddingCache {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'tabsorter-embeddings';
+        this.modelVersion = options.modelVersion || null; // Only the processor knows the model
+        this.defaultMaxEntries = options.maxEntries || 5000;
+        this.dimensions = options.dimensions || 384;
+        this.db = null;
+        this.opening = null;
+    }
+
+    // Open the database, creating the stores on first use
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+        if (this.opening) return this.opening;
+
+        this.opening = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                const embeddings = db.createObjectStore('embeddings', { keyPath: 'key' });
+                embeddings.createIndex('lastAccess', 'lastAccess');
+                db.createObjectStore('meta', { keyPath: 'name' });
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        }).finally(() => {
+            this.opening = null;
+        });
+
+        return this.opening;
+    }
+
+    // Strip fragments, tracking parameters and cosmetic differences from a URL
+    static normalizeUrl(url) {
+        try {
+            const parsed = new URL(url);
+            const params = [...parsed.searchParams.entries()]
+                .filter(([name]) => !/^(utm_\w+|fbclid|gclid|ref|ref_src)$/i.test(name))
+                .sort(([a], [b]) => a.localeCompare(b));
+            const query = new URLSearchParams(params).toString();
+            const host = parsed.hostname.toLowerCase().replace(/^www\./, '');
+            const path = parsed.pathname.replace(/\/+$/, '');
+
+            return `${parsed.protocol}//${host}${parsed.port ? ':' + parsed.port : ''}${path}${query ? '?' + query : ''}`;
+        } catch {
+            return (url || '').trim();
+        }
+    }
+
+    // Titles are lowercased by the tokenizer anyway
+    static normalizeTitle(title) {
+        return (title || '').replace(/\s+/g, ' ').trim().toLowerCase();
+    }
+
+    // Content hash of the normalized URL and title, plus page content when it was read
+    static async keyFor(url, title, content = '') {
+        const key = `${EmbeddingCache.normalizeUrl(url)}\n${EmbeddingCache.normalizeTitle(title)}`;
+        return EmbeddingCache.hash(content ? `${key}\n${EmbeddingCache.normalizeTitle(content)}` : key);
+    }
+
+    // Key for free text that is not tied to a tab (e.g. ai:embed requests)
+    static async keyForText(text) {
+        return EmbeddingCache.hash(`text:${(text || '').trim()}`);
+    }
+
+    static async hash(value) {
+        const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(value));
+        return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Look up several keys at once; returns a Map of key -> embedding for the hits
+    async getMany(keys) {
+        const db = await this.open();
+        const found = new Map();
+        const now = Date.now();
+
+        const tx = db.transaction(['embeddings', 'meta'], 'readwrite');
+        const store = tx.objectStore('embeddings');
+
+        await Promise.all([...new Set(keys)].map(async key => {
+            const record = await this.promisify(store.get(key));
+            if (!record || record.modelVersion !== this.modelVersion) return;
+
+            found.set(key, Array.from(record.embedding));
+            record.lastAccess = now;
+            store.put(record);
+        }));
+
+        const meta = await this.readMeta(tx);
+        meta.hits += found.size;
+        meta.misses += keys.length - found.size;
+        tx.objectStore('meta').put(meta);
+
+        await this.transactionDone(tx);
+        return found;
+    }
+
+    async get(key) {
+        const found = await this.getMany([key]);
+        return found.get(key) || null;
+    }
+
+    // Store embeddings and evict the least recently used entries over the cap
+    async setMany(entries) {
+        if (entries.length === 0) return;
+
+        const db = await this.open();
+        const now = Date.now();
+
+        const tx = db.transaction('embeddings', 'readwrite');
+        const store = tx.objectStore('embeddings');
+        for (const [key, embedding] of entries) {
+            store.put({
+                key: key,
+                modelVersion: this.modelVersion,
+                embedding: Float32Array.from(embedding),
+                createdAt: now,
+                lastAccess: now
+            });
+        }
+        await this.transactionDone(tx);
+
+        await this.evict();
+    }
+
+    async set(key, embedding) {
+        await this.setMany([[key, embedding]]);
+    }
+
+    // Drop entries from other model versions, then the oldest entries over the cap
+    async evict() {
+        const db = await this.open();
+        const tx = db.transaction(['embeddings', 'meta'], 'readwrite');
+        const store = tx.objectStore('embeddings');
+        const meta = await this.readMeta(tx);
+
+        let count = await this.promisify(store.count());
+        let removed = 0;
+
+        await new Promise((resolve, reject) => {
+            const cursorRequest = store.index('lastAccess').openCursor();
+            cursorRequest.onsuccess = () => {
+                const cursor = cursorRequest.result;
+                if (!cursor) return resolve();
+
+                const stale = this.modelVersion && cursor.value.modelVersion !== this.modelVersion;
+                if (stale || count > meta.maxEntries) {
+                    cursor.delete();
+                    count--;
+                    removed++;
+                    cursor.continue();
+                } else if (this.modelVersion) {
+                    // Keep scanning for stale entries
+                    cursor.continue();
+                } else {
+                    resolve();
+                }
+            };
+            cursorRequest.onerror = () => reject(cursorRequest.error);
+        });
+
+        await this.transactionDone(tx);
+        if (removed > 0) {
+            console.log(`[EMBEDDING CACHE] Evicted ${removed} entries`);
+        }
+        return removed;
+    }
+
+    // Change the entry cap (persisted so the offscreen processor picks it up)
+    async setMaxEntries(maxEntries) {
+        const value = parseInt(maxEntries, 10);
+        if (!Number.isFinite(value) || value < 0) {
+            throw new Error(`Invalid embedding cache size: ${maxEntries}`);
+        }
+
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readwrite');
+        const meta = await this.readMeta(tx);
+        meta.maxEntries = value;
+        tx.objectStore('meta').put(meta);
+        await this.transactionDone(tx);
+
+        await this.evict();
+    }
+
+    // Record the model version so other pages can report it
+    async recordModelVersion() {
+        const db = await this.open();
+        const tx = db.transaction('meta', 'readwrite');
+        const meta = await this.readMeta(tx);
+        if (meta.modelVersion !== this.modelVersion) {
+            meta.modelVersion = this.modelVersion;
+            tx.objectStore('meta').put(meta);
+        }
+        await this.transactionDone(tx);
+    }
+
+    async getStats() {
+        const db = await this.open();
+        const tx = db.transaction(['embeddings', 'meta'], 'readonly');
+        const [entries, meta] = await Promise.all([
+            this.promisify(tx.objectStore('embeddings').count()),
+            this.readMeta(tx)
+        ]);
+        await this.transactionDone(tx);
+
+        const lookups = meta.hits + meta.misses;
+        return {
+            entries: entries,
+            maxEntries: meta.maxEntries,
+            hits: meta.hits,
+            misses: meta.misses,
+            hitRate: lookups > 0 ? meta.hits / lookups : 0,
+            modelVersion: meta.modelVersion,
+            approximateBytes: entries * this.dimensions * 4
+        };
+    }
+
+    // Remove all embeddings and reset the hit counters (keeps the cap)
+    async clear() {
+        const db = await this.open();
+        const tx = db.transaction(['embeddings', 'meta'], 'readwrite');
+        const meta = await this.readMeta(tx);
+        tx.objectStore('embeddings').clear();
+        tx.objectStore('meta').put({ ...meta, hits: 0, misses: 0 });
+        await this.transactionDone(tx);
+    }
+
+    async readMeta(tx) {
+        const meta = await this.promisify(tx.objectStore('meta').get('cache'));
+        return {
+            name: 'cache',
+            maxEntries: this.defaultMaxEntries,
+            modelVersion: null,
+            hits: 0,
+            misses: 0,
+            ...meta
+        };
+    }
+
+    promisify(request) {
+        return new Promise((resolve, reject) => {
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = EmbeddingCache;
+}
+
+// Make available globally for script tags
+if (typeof window !== 'undefined') {
+    window.EmbeddingCache = EmbeddingCache;
+}
@@ -5,7 +5,14 @@ class RealAIProcessor {
     constructor() {
         this.session = null;
         this.tokenizerData = null;
-        this.embeddingCache = new Map();
+        this.modelVersion = 'Xenova/all-MiniLM-L6-v2:quantized:mean-pooling';
+        this.batchSize = 16; // Texts per session.run; tunable per request
+        this.maxSequenceLength = 512;
+        this.clustering = new TabClustering();
+        this.categoryPrototypes = new CategoryPrototypes();
+        this.embeddingCache = typeof EmbeddingCache !== 'undefined'
+            ? new EmbeddingCache({ modelVersion: this.modelVersion })
+            : null;
         this.modelReady = false; // Track model readiness
 
         // State machine for deterministic initialization
@@ -311,13 +318,14 @@ class RealAIProcessor {
             this.logStage(this.states.WARMED_UP, 'START');
             try {
                 await this.warmUp();
+                const cacheSize = await this.prepareEmbeddingCache();
                 this.logStage(this.states.WARMED_UP, 'OK', {
                     testEmbedding: 'successful',
-                    cacheSize: 0
+                    cacheSize: cacheSize
                 });
                 this.transitionToState(this.states.WARMED_UP, {
                     testEmbedding: 'successful',
-                    cacheSize: 0
+                    cacheSize: cacheSize
                 });
             } catch (error) {
                 this.logStage(this.states.WARMED_UP, 'FAIL', { error });
@@ -411,6 +419,23 @@ class RealAIProcessor {
         console.log('[AI INIT] Warm-up successful, embedding dimensions:', testEmbedding.length);
     }
 
+    // Drop embeddings from other model versions; returns the number of cached entries
+    async prepareEmbeddingCache() {
+        if (!this.embeddingCache) return 0;
+
+        try {
+            await this.embeddingCache.recordModelVersion();
+            await this.embeddingCache.evict();
+            const stats = await this.embeddingCache.getStats();
+            return stats.entries;
+        } catch (error) {
+            // The cache is an optimization; keep going without it
+            console.warn('[AI INIT] Embedding cache unavailable:', error);
+            this.embeddingCache = null;
+            return 0;
+        }
+    }
+
     configureONNXRuntime() {
         console.log('Configuring ONNX Runtime for extension environment...');
 
@@ -594,94 +619,156 @@ class RealAIProcessor {
             throw new Error('AI model not ready');
         }
 
-        if (this.embeddingCache.has(text)) {
-            return this.embeddingCache.get(text);
-        }
-
         try {
             console.log(`Generating real AI embedding for: "${text}"`);
+            const [embedding] = await this.runEmbeddingBatch([this.tokenize(text)]);
+            return embedding;
+        } catch (error) {
+            console.error(`Error in AI embedding generation for text: "${text}"`, {
+                message: error.message,
+                stack: error.stack,
+                name: error.name
+            });
+            // Do not re-throw, instead return null to prevent crashing the process.
+            // The calling function (`generateEmbeddings`) is responsible for handling this null value.
+            return null;
+        }
+    }
 
-            const tokens = this.tokenize(text);
-
-            // Create input tensors
-            const inputIds = new ort.Tensor('int64', BigInt64Array.from(tokens.map(x => BigInt(x))), [1, tokens.length]);
-            const attentionMask = new ort.Tensor('int64', BigInt64Array.from(tokens.map(() => 1n)), [1, tokens.length]);
-            const tokenTypeIds = new ort.Tensor('int64', BigInt64Array.from(tokens.map(() => 0n)), [1, tokens.length]);
+    // Run one padded batch through the model and mean-pool each sequence
+    async runEmbeddingBatch(tokenLists) {
+        const sequences = tokenLists.map(tokens => tokens.length > this.maxSequenceLength
+            ? [...tokens.slice(0, this.maxSequenceLength - 1), 102] // Keep the SEP token
+            : tokens);
+        const batchSize = sequences.length;
+        const seqLength = Math.max(...sequences.map(tokens => tokens.length));
+
+        // Pad with [PAD] (0) and mask the padding out of attention and pooling
+        const ids = new BigInt64Array(batchSize * seqLength);
+        const mask = new BigInt64Array(batchSize * seqLength);
+        sequences.forEach((tokens, row) => {
+            tokens.forEach((token, col) => {
+                ids[row * seqLength + col] = BigInt(token);
+                mask[row * seqLength + col] = 1n;
+            });
+        });
 
-            const feeds = {
-                input_ids: inputIds,
-                attention_mask: attentionMask,
-                token_type_ids: tokenTypeIds
-            };
+        const feeds = {
+            input_ids: new ort.Tensor('int64', ids, [batchSize, seqLength]),
+            attention_mask: new ort.Tensor('int64', mask, [batchSize, seqLength]),
+            token_type_ids: new ort.Tensor('int64', new BigInt64Array(batchSize * seqLength), [batchSize, seqLength])
+        };
 
-            const results = await this.session.run(feeds);
-            const lastHiddenState = results.last_hidden_state;
+        const results = await this.session.run(feeds);
+        const lastHiddenState = results.last_hidden_state;
 
-            if (!lastHiddenState) {
-                throw new Error('Model output missing last_hidden_state');
-            }
+        if (!lastHiddenState) {
+            throw new Error('Model output missing last_hidden_state');
+        }
 
-            const embeddings = lastHiddenState.data;
-            const seqLength = tokens.length;
-            const hiddenSize = lastHiddenState.dims[2];
+        const hidden = lastHiddenState.data;
+        const hiddenSize = lastHiddenState.dims[2];
 
+        return sequences.map((tokens, row) => {
             const pooledEmbedding = new Float32Array(hiddenSize);
-            for (let i = 0; i < hiddenSize; i++) {
-                let sum = 0;
-                for (let j = 0; j < seqLength; j++) {
-                    sum += embeddings[j * hiddenSize + i];
+            const rowOffset = row * seqLength * hiddenSize;
+
+            for (let j = 0; j < tokens.length; j++) {
+                const offset = rowOffset + j * hiddenSize;
+                for (let i = 0; i < hiddenSize; i++) {
+                    pooledEmbedding[i] += hidden[offset + i];
                 }
-                pooledEmbedding[i] = sum / seqLength;
             }
 
             const norm = Math.sqrt(pooledEmbedding.reduce((a, b) => a + b * b, 0));
-            if (norm > 0) {
-                for (let i = 0; i < hiddenSize; i++) {
-                    pooledEmbedding[i] /= norm;
-                }
+            for (let i = 0; i < hiddenSize; i++) {
+                pooledEmbedding[i] = norm > 0 ? pooledEmbedding[i] / norm : 0;
             }
 
-            const result = Array.from(pooledEmbedding);
-            this.embeddingCache.set(text, result);
+            return Array.from(pooledEmbedding);
+        });
+    }
 
-            if (this.embeddingCache.size > 500) {
-                const firstKey = this.embeddingCache.keys().next().value;
-                this.embeddingCache.delete(firstKey);
-            }
+    // Batched inference: texts of similar length share a batch to keep padding small
+    async generateEmbeddings(texts, batchSize = this.batchSize) {
+        if (!this.modelReady || !this.session) {
+            throw new Error('AI model not ready');
+        }
 
-            return result;
+        const embeddings = new Array(texts.length);
+        const tokenLists = texts.map(text => this.tokenize(text));
+        const order = texts.map((_, i) => i).sort((a, b) => tokenLists[a].length - tokenLists[b].length);
+        const size = Math.max(1, Math.floor(batchSize) || 1);
 
-        } catch (error) {
-            console.error(`Error in AI embedding generation for text: "${text}"`, {
-                message: error.message,
-                stack: error.stack,
-                name: error.name
-            });
-            // Do not re-throw, instead return null to prevent crashing the process.
-            // The calling function (`generateEmbeddings`) is responsible for handling this null value.
-            return null;
+        for (let start = 0; start < order.length; start += size) {
+            const indices = order.slice(start, start + size);
+
+            try {
+                const batch = await this.runEmbeddingBatch(indices.map(i => tokenLists[i]));
+                indices.forEach((index, row) => {
+                    embeddings[index] = batch[row];
+                });
+            } catch (error) {
+                // Retry one by one so a single bad input does not zero the whole batch
+                console.warn(`Batch of ${indices.length} failed, retrying individually:`, error.message);
+                for (const index of indices) {
+                    const embedding = await this.generateEmbedding(texts[index]);
+                    if (embedding) {
+                        embeddings[index] = embedding;
+                    } else {
+                        // If embedding generation failed (returned null), push a zero vector as a fallback.
+                        console.warn(`Could not generate embedding for text: "${texts[index]}". Using fallback vector.`);
+                        embeddings[index] = new Array(384).fill(0);
+                    }
+                }
+            }
         }
+
+        return embeddings;
     }
 
-    async generateEmbeddings(texts) {
-        const embeddings = [];
+    // Embeddings for texts, served from the persistent cache where possible.
+    // keys[i] is the cache key for texts[i]; failed embeddings are not cached.
+    async getCachedEmbeddings(texts, keys, batchSize = this.batchSize) {
+        let cached = new Map();
+        if (this.embeddingCache) {
+            try {
+                cached = await this.embeddingCache.getMany(keys);
+            } catch (error) {
+                console.warn('Embedding cache lookup failed, computing all embeddings:', error);
+            }
+        }
 
-        for (const text of texts) {
-            // DIAGNOSTIC LOG: Print the text right before processing.
-            // If the process crashes, the last text logged will be the culprit.
-            console.log(`[AI_DEBUG] Processing text: "${text}"`);
+        const missing = texts
+            .map((text, i) => ({ text, key: keys[i] }))
+            .filter(({ key }) => !cached.has(key));
+        console.log(`Embedding cache: ${texts.length - missing.length} hits, ${missing.length} misses`);
+
+        const fresh = await this.generateEmbeddings(missing.map(({ text }) => text), batchSize);
+        const toStore = [];
+        missing.forEach(({ key }, i) => {
+            cached.set(key, fresh[i]);
+            if (fresh[i].some(value => value !== 0)) {
+                toStore.push([key, fresh[i]]);
+            }
+        });
 
-            const embedding = await this.generateEmbedding(text);
-            if (embedding) {
-                embeddings.push(embedding);
-            } else {
-                // If embedding generation failed (returned null), push a zero vector as a fallback.
-                console.warn(`Could not generate embedding for text: "${text}". Using fallback vector.`);
-                embeddings.push(new Array(384).fill(0));
+        if (this.embeddingCache && toStore.length > 0) {
+            try {
+                await this.embeddingCache.setMany(toStore);
+            } catch (error) {
+                console.warn('Could not persist embeddings:', error);
             }
         }
 
-        return embeddings;
+        return keys.map(key => cached.get(key));
+    }
+
+    // Single cached embedding for free text
+    async getCachedEmbedding(text) {
+        const key = this.embeddingCache ? await EmbeddingCache.keyForText(text) : text;
+        const [embedding] = await this.getCachedEmbeddings([text], [key]);
+        return embedding;
     }
 
     cosineSimilarity(a, b) {
@@ -695,60 +782,66 @@ class RealAIProcessor {
         return denominator > 0 ? dotProduct / denominator : 0;
     }
 
-    async groupTabsBySimilarity(tabs, threshold = 0.5) {
+    async groupTabsBySimilarity(tabs, threshold = 0.5, options = {}) {
+        const { batchSize = this.batchSize, strategy = null, categories = null } = options;
+
         const tabTexts = tabs.map(tab => {
             try {
                 const url = new URL(tab.url);
                 const domain = url.hostname.replace('www.', '');
-                return `${tab.title || ''} ${domain}`.trim();
+                return `${tab.title || ''} ${domain} ${tab.content || ''}`.trim();
             } catch {
                 return tab.title || tab.url || '';
             }
         });
 
         console.log(`Processing ${tabs.length} tabs with real AI...`);
-        const embeddings = await this.generateEmbeddings(tabTexts);
-
-        const groups = [];
-        const assigned = new Set();
-
-        for (let i = 0; i < tabs.length; i++) {
-            if (assigned.has(i)) continue;
-
-            const group = {
-                tabs: [tabs[i]],
-                embeddings: [embeddings[i]],
-                indices: [i]
-            };
-
-            assigned.add(i);
-
-            for (let j = i + 1; j < tabs.length; j++) {
-                if (assigned.has(j)) continue;
-
-                const avgSimilarity = this.calculateAverageSimilarity(embeddings[j], group.embeddings);
-                if (avgSimilarity > threshold) {
-                    group.tabs.push(tabs[j]);
-                    group.embeddings.push(embeddings[j]);
-                    group.indices.push(j);
-                    assigned.add(j);
-                }
-            }
+        const keys = this.embeddingCache
+            ? await Promise.all(tabs.map(tab => EmbeddingCache.keyFor(tab.url, tab.title, tab.content)))
+            : tabTexts;
+        const embeddings = await this.getCachedEmbeddings(tabTexts, keys, batchSize);
+
+        const result = this.clustering.cluster(embeddings, { strategy, threshold });
+        const groups = result.clusters
+            .filter(indices => indices.length >= 2)
+            .map(indices => ({
+                tabs: indices.map(i => tabs[i]),
+                embeddings: indices.map(i => embeddings[i]),
+                indices: indices
+            }));
+
+        const assigned = new Set(groups.flatMap(group => group.indices));
+        const ungrouped = tabs.filter((_, i) => !assigned.has(i));
 
-            if (group.tabs.length >= 2) {
-                groups.push(group);
-            }
+        // Zero-shot: map every tab and group to the nearest user category
+        let assignments = [];
+        if (await this.ensureCategoryPrototypes(categories, batchSize)) {
+            assignments = tabs
+                .map((tab, i) => ({ tabId: tab.id, ...this.categoryPrototypes.classify(embeddings[i]) }))
+                .filter(assignment => assignment.categoryId);
+            groups.forEach(group => {
+                group.category = this.categoryPrototypes.classifyGroup(group.embeddings);
+            });
         }
 
-        const ungrouped = tabs.filter((_, i) => !assigned.has(i));
-
-        console.log(`AI grouped ${tabs.length} tabs into ${groups.length} groups`);
-        return { groups, ungrouped };
+        console.log(`AI grouped ${tabs.length} tabs into ${groups.length} groups using ${result.strategy}`);
+        return { groups, ungrouped, assignments, strategy: result.strategy, strategyName: result.name };
     }
 
-    calculateAverageSimilarity(embedding, groupEmbeddings) {
-        const similarities = groupEmbeddings.map(e => this.cosineSimilarity(embedding, e));
-        return similarities.reduce((a, b) => a + b, 0) / similarities.length;
+    // Embed category descriptions and keywords as prototypes; rebuilt only when categories change
+    async ensureCategoryPrototypes(categories, batchSize = this.batchSize) {
+        if (!categories || categories.length === 0) return false;
+        if (this.categoryPrototypes.isCurrent(categories)) return true;
+
+        const texts = categories.map(category => CategoryPrototypes.textFor(category));
+        const keys = this.embeddingCache
+            ? await Promise.all(texts.map(text => EmbeddingCache.keyForText(text)))
+            : texts;
+        const embeddings = await this.getCachedEmbeddings(texts, keys, batchSize);
+
+        this.categoryPrototypes.setPrototypes(categories, embeddings);
+        console.log(`Built ${this.categoryPrototypes.prototypes.length} category prototypes`);
+        return this.categoryPrototypes.prototypes.length > 0;
     }
 
     async generateGroupLabels(groups) {
@@ -770,7 +863,8 @@ class RealAIProcessor {
             labeledGroups.push({
                 label,
                 tabs: group.tabs,
-                confidence: this.calculateGroupCohesion(group.embeddings)
+                confidence: this.calculateGroupCohesion(group.embeddings),
+                category: group.category || null
             });
         }
 
@@ -833,7 +927,7 @@ class RealAIProcessor {
 let messageHandler = null;
 
 // Self-test method
-RealAIProcessor.prototype.runSelfTest = async function() {
+RealAIProcessor.prototype.runSelfTest = async function(options = {}) {
     console.log('[AI SELFTEST] Running comprehensive self-test...');
 
     const results = {
@@ -880,6 +974,15 @@ RealAIProcessor.prototype.runSelfTest = async function() {
             details: `Self-similarity: ${sim}`
         });
 
+        // Check 6: Batched inference matches one-by-one inference, and is faster
+        results.benchmark = await this.runBatchBenchmark(options.sampleSize, options.batchSize);
+        results.checks.push({
+            name: 'Batch Benchmark',
+            passed: results.benchmark.minSimilarity > 0.99,
+            details: `${results.benchmark.sequential.tabsPerSecond} → ${results.benchmark.batched.tabsPerSecond} tabs/s ` +
+                `(batch size ${results.benchmark.batchSize}, ${results.benchmark.speedup}x)`
+        });
+
         results.passed = results.checks.every(check => check.passed);
         console.log('[AI SELFTEST] Self-test completed:', results.passed ? 'PASSED' : 'FAILED');
 
@@ -892,6 +995,45 @@ RealAIProcessor.prototype.runSelfTest = async function() {
     return results;
 };
 
+// Benchmark: tabs per second with one session.run per tab vs batched inference
+RealAIProcessor.prototype.runBatchBenchmark = async function(sampleSize = 48, batchSize = this.batchSize) {
+    const subjects = ['React hooks guide', 'Quarterly budget review', 'Flight deals to Lisbon',
+        'Python asyncio tutorial', 'Team standup notes', 'Running shoes sale', 'Election results live',
+        'Sourdough recipe', 'Kubernetes deployment docs', 'Mortgage rate calculator'];
+    const sites = ['github.com', 'docs.google.com', 'news.ycombinator.com', 'amazon.com', 'youtube.com', 'wikipedia.org'];
+    const texts = Array.from({ length: sampleSize }, (_, i) =>
+        `${subjects[i % subjects.length]} part ${i + 1} ${sites[i % sites.length]}`);
+
+    const time = async (batchSize) => {
+        const start = performance.now();
+        const embeddings = await this.generateEmbeddings(texts, batchSize);
+        const seconds = (performance.now() - start) / 1000;
+        return {
+            embeddings,
+            result: {
+                seconds: Number(seconds.toFixed(3)),
+                tabsPerSecond: Number((texts.length / seconds).toFixed(1))
+            }
+        };
+    };
+
+    const sequential = await time(1);
+    const batched = await time(batchSize);
+    const similarities = texts.map((_, i) =>
+        this.cosineSimilarity(sequential.embeddings[i], batched.embeddings[i]));
+
+    const benchmark = {
+        tabs: texts.length,
+        batchSize: batchSize,
+        sequential: sequential.result,
+        batched: batched.result,
+        speedup: Number((batched.result.tabsPerSecond / sequential.result.tabsPerSecond).toFixed(2)),
+        minSimilarity: Math.min(...similarities)
+    };
+    console.log('[AI SELFTEST] Batch benchmark:', benchmark);
+    return benchmark;
+};
+
 // Single-instance lifecycle management for offscreen document
 // Ensures initialization happens only once per document lifetime
 
@@ -951,7 +1093,7 @@ RealAIProcessor.prototype.runSelfTest = async function() {
 
                     case 'ai:selftest':
                         try {
-                            const testResult = await processor.runSelfTest();
+                            const testResult = await processor.runSelfTest({ batchSize: message.batchSize });
                             sendResponse({
                                 success: testResult.passed,
                                 details: testResult,
@@ -978,7 +1120,7 @@ RealAIProcessor.prototype.runSelfTest = async function() {
                         }
 
                         try {
-                            const embedding = await processor.generateEmbedding(message.text);
+                            const embedding = await processor.getCachedEmbedding(message.text);
                             sendResponse({
                                 success: true,
                                 embedding: embedding,
@@ -999,16 +1141,24 @@ RealAIProcessor.prototype.runSelfTest = async function() {
                                 throw new Error(`AI not ready. State: ${processor.currentState}, Model Ready: ${processor.modelReady}`);
                             }
 
-                            const { groups, ungrouped } = await processor.groupTabsBySimilarity(
+                            const { groups, ungrouped, assignments, strategy, strategyName } = await processor.groupTabsBySimilarity(
                                 message.tabs,
-                                message.threshold || 0.5
+                                message.threshold || 0.5,
+                                {
+                                    batchSize: message.batchSize || processor.batchSize,
+                                    strategy: message.strategy,
+                                    categories: message.categories
+                                }
                             );
                             const labeledGroups = await processor.generateGroupLabels(groups);
 
                             sendResponse({
                                 success: true,
                                 groups: labeledGroups,
-                                ungrouped
+                                ungrouped,
+                                assignments,
+                                strategy,
+                                strategyName
                             });
                         } catch (error) {
                             console.error('Catastrophic error in PROCESS_TABS:', error);
@@ -1037,7 +1187,7 @@ RealAIProcessor.prototype.runSelfTest = async function() {
                         }
 
                         try {
-                            const embedding = await processor.generateEmbedding(message.text);
+                            const embedding = await processor.getCachedEmbedding(message.text);
                             sendResponse({ success: true, embedding });
                         } catch (error) {
                             sendResponse({ success: false, error: error.message });
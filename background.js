@@ -1,116 +1,155 @@
 // background.js - Fixed version without module imports
 // TabSorter AI v1.1 - Complete working implementation
 
+importScripts(
+  'core/pattern-compiler.js',
+  'core/tab-analyzer.js',
+  'core/rules-engine.js',
+  'core/rule-store.js',
+  'core/rule-actions.js',
+  'core/rule-analyzer.js',
+  'core/tab-rule-builder.js',
+  'core/settings-store.js',
+  'core/profile-manager.js',
+  'core/duplicate-manager.js',
+  'core/schema-type-mapper.js',
+  'core/page-content.js',
+  'core/opener-tracker.js',
+  'core/activity-tracker.js',
+  'core/correction-store.js',
+  'core/categorizer.js',
+  'core/snapshot-manager.js',
+  'core/group-reconciler.js',
+  'core/window-planner.js',
+  'core/offscreen-manager.js'
+);
+
 class TabSorterBackground {
   constructor() {
     this.isProcessing = false;
-    this.categories = [];
-    this.init();
+    this.offscreen = new OffscreenManager();
+    this.categorizer = new SmartCategorizer();
+    this.categorizer.setAIProvider(this.offscreen);
+    this.groupColors = {};
+    this.settingsStore = new SettingsStore();
+    this.snapshots = new SnapshotManager();
+    this.corrections = new CorrectionStore();
+    this.rules = new RuleStore(this.categorizer.rulesEngine);
+    this.ruleActions = new RuleActionExecutor();
+    this.ruleAnalyzer = new RuleAnalyzer(this.categorizer.rulesEngine);
+    this.profiles = new ProfileManager(this.categorizer.rulesEngine);
+    this.duplicates = new DuplicateManager();
+    this.pageContent = new PageContentReader();
+    this.openers = new OpenerTracker();
+    this.activity = new ActivityTracker();
+    // Closing duplicates keeps its own undo stack, apart from sorting's rule actions
+    this.duplicateUndo = new RuleActionExecutor({ storageKey: 'duplicateUndo' });
+    this.staleUndo = new RuleActionExecutor({ storageKey: 'staleTabsUndo' });
+    this.programmaticMoves = 0;
+    this.lastProgrammaticMove = 0;
+    this.ruleMenuItems = [];
+    this.ruleMenuTimer = null;
+    this.reconciler = new GroupReconciler({
+      colorFor: (category) => this.getGroupColor(category)
+    });
+    this.windowPlanner = new WindowPlanner();
+    this.ready = this.init();
   }
 
   async init() {
     console.log('TabSorter AI v1.1 initializing...');
     
-    // Load default categories
-    await this.loadCategories();
+    // Listeners are registered before the first await: a service worker woken by an alarm,
+    // command or message loses the event if its listener isn't there yet.
+    // Handlers wait for this.ready before using categories, rules or settings.
+    
+    // Keep learned corrections in sync when they are edited from the options page
+    chrome.storage.onChanged.addListener((changes, area) => {
+      if (area === 'local' && changes[this.corrections.storageKey]) {
+        this.categorizer.setCorrections(changes[this.corrections.storageKey].newValue);
+      }
+      // Follow the auto-group interval set on the options page
+      if (area === 'sync' && changes[this.settingsStore.storageKey]) {
+        const { oldValue, newValue } = changes[this.settingsStore.storageKey];
+        const interval = SettingsStore.withDefaults(newValue).autoGroupInterval;
+        if (interval !== SettingsStore.withDefaults(oldValue).autoGroupInterval) {
+          this.scheduleAutoGrouping(interval);
+        }
+      }
+    });
     
     // Set up message listeners
     chrome.runtime.onMessage.addListener((request, sender, sendResponse) => {
-      this.handleMessage(request, sender, sendResponse);
+      this.ready.then(() => this.handleMessage(request, sender, sendResponse));
       return true; // Keep message channel open for async response
     });
     
     // Set up context menu
     this.setupContextMenu();
     
-    // Set up tab listeners for auto-grouping
+    // Set up tab listeners for auto-grouping, opener and activity tracking
     this.setupTabListeners();
     
-    // Set up alarm for periodic categorization
-    chrome.alarms.create('autoCategories', { periodInMinutes: 30 });
-    chrome.alarms.onAlarm.addListener((alarm) => {
+    // Set up alarm handler for periodic categorization
+    chrome.alarms.onAlarm.addListener(async (alarm) => {
+      await this.ready;
       if (alarm.name === 'autoCategories') {
         this.performAutoGrouping();
+      } else if (alarm.name === 'profileSchedule') {
+        this.applyProfileSchedule();
+      } else {
+        this.offscreen.handleAlarm(alarm);
       }
     });
     
     // Set up command handlers for keyboard shortcuts
-    chrome.commands.onCommand.addListener((command) => {
+    chrome.commands.onCommand.addListener(async (command) => {
+      await this.ready;
       this.handleCommand(command);
     });
     
-    console.log('TabSorter AI initialized successfully');
-  }
-
-  async loadCategories() {
     try {
-      const response = await fetch(chrome.runtime.getURL('data/default-categories.json'));
-      if (response.ok) {
-        this.categories = await response.json();
-      } else {
-        this.categories = this.getDefaultCategories();
-      }
+      // Older options pages saved settings as separate sync keys
+      await this.settingsStore.migrate();
+      
+      // Load category definitions for the categorization pipeline
+      await this.categorizer.initialize();
+      this.categorizer.setCorrections(await this.corrections.getAll());
+      const profile = await this.profiles.getActive();
+      this.rules.storageKey = this.profiles.rulesKey(profile.id);
+      await this.rules.load();
+      
+      // The opener and activity trackers share one tab list and sync independently
+      const [allTabs, [focusedTab]] = await Promise.all([
+        chrome.tabs.query({}),
+        chrome.tabs.query({ active: true, lastFocusedWindow: true })
+      ]);
+      await Promise.all([
+        this.openers.sync(allTabs),
+        this.activity.sync(allTabs, focusedTab)
+      ]);
+      
+      this.scheduleAutoGrouping((await this.getSettings()).autoGroupInterval);
+      chrome.alarms.create('profileSchedule', { periodInMinutes: 1 });
+      
+      await this.applyProfileSchedule();
     } catch (error) {
-      console.log('Using built-in categories');
-      this.categories = this.getDefaultCategories();
-    }
-  }
-
-  getDefaultCategories() {
-    return [
-      {
-        id: 'work',
-        name: 'Work & Productivity',
-        keywords: ['work', 'office', 'meeting', 'project', 'task'],
-        domains: ['slack.com', 'teams.microsoft.com', 'zoom.us', 'notion.so']
-      },
-      {
-        id: 'development',
-        name: 'Development & Code',
-        keywords: ['code', 'github', 'programming', 'api', 'development'],
-        domains: ['github.com', 'stackoverflow.com', 'gitlab.com', 'codepen.io']
-      },
-      {
-        id: 'shopping',
-        name: 'Shopping & E-commerce',
-        keywords: ['shop', 'buy', 'cart', 'price', 'product'],
-        domains: ['amazon.', 'ebay.', 'etsy.com', 'walmart.']
-      },
-      {
-        id: 'social',
-        name: 'Social Media',
-        keywords: ['social', 'friend', 'post', 'share', 'like'],
-        domains: ['facebook.com', 'twitter.com', 'instagram.com', 'reddit.com']
-      },
-      {
-        id: 'entertainment',
-        name: 'Entertainment & Media',
-        keywords: ['watch', 'video', 'movie', 'music', 'stream'],
-        domains: ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv']
-      },
-      {
-        id: 'news',
-        name: 'News & Articles',
-        keywords: ['news', 'article', 'breaking', 'report', 'latest'],
-        domains: ['cnn.com', 'bbc.', 'nytimes.com', 'reuters.com']
-      },
-      {
-        id: 'research',
-        name: 'Research & Learning',
-        keywords: ['research', 'study', 'learn', 'education', 'course'],
-        domains: ['wikipedia.org', 'scholar.google.com', 'coursera.org']
-      },
-      {
-        id: 'other',
-        name: 'Other',
-        keywords: [],
-        domains: []
-      }
-    ];
+      // Events still get handled with whatever did load
+      console.error('Error initializing TabSorter:', error);
+      return;
+    }
+    
+    console.log('TabSorter AI initialized successfully');
   }
 
   async handleMessage(request, sender, sendResponse) {
     try {
+      // AI messages use 'type' rather than 'action'
+      if (request.type) {
+        await this.handleAIMessage(request, sendResponse);
+        return;
+      }
+      
       console.log('Handling message:', request.action);
       
       switch (request.action) {
@@ -134,11 +173,174 @@ class TabSorterBackground {
           sendResponse(applyResult);
           break;
           
+        case 'previewAllWindows':
+          const windowsPreview = await this.planAllWindows(request.settings || await this.getSettings());
+          sendResponse({
+            plan: windowsPreview.plan,
+            summary: this.windowPlanner.summarize(windowsPreview.plan),
+            stats: windowsPreview.analysis.stats
+          });
+          break;
+          
+        case 'organizeAllWindows':
+          sendResponse(await this.organizeAllWindows(request.settings || await this.getSettings()));
+          break;
+          
         case 'getCategoriesStats':
           const stats = await this.getCategoriesStats();
           sendResponse(stats);
           break;
           
+        case 'undoLastSort':
+          const undoResult = await this.undoLastSort();
+          sendResponse(undoResult);
+          break;
+          
+        case 'getAIStatus':
+          sendResponse(this.offscreen.getStatus());
+          break;
+          
+        case 'runAISelfTest':
+          const selfTestSettings = await this.getSettings();
+          const selfTest = await this.offscreen.runSelfTest(request.batchSize || selfTestSettings.aiBatchSize || 16);
+          sendResponse(selfTest);
+          break;
+          
+        case 'getCorrections':
+          sendResponse({ corrections: await this.corrections.getAll() });
+          break;
+          
+        case 'updateCorrection':
+          const correction = await this.corrections.update(request.correctionId, request.changes || {});
+          sendResponse({ success: true, correction });
+          break;
+          
+        case 'deleteCorrection':
+          await this.corrections.remove(request.correctionId);
+          sendResponse({ success: true });
+          break;
+          
+        case 'clearCorrections':
+          await this.corrections.clear();
+          sendResponse({ success: true });
+          break;
+          
+        case 'getRules':
+          sendResponse({
+            rules: this.categorizer.rulesEngine.getRules(request.includeSystem),
+            stats: this.categorizer.rulesEngine.getRuleStats()
+          });
+          break;
+          
+        case 'saveRule':
+          const savedRule = await this.rules.save(request.rule);
+          sendResponse({ success: true, rule: savedRule });
+          break;
+          
+        case 'toggleRule':
+          await this.rules.toggle(request.ruleId, request.enabled);
+          sendResponse({ success: true });
+          break;
+          
+        case 'deleteRule':
+          await this.rules.remove(request.ruleId);
+          sendResponse({ success: true });
+          break;
+          
+        case 'exportRules':
+          sendResponse({ json: this.rules.exportRules() });
+          break;
+          
+        case 'importRules':
+          const imported = await this.rules.importRules(request.json, request.replace === true);
+          sendResponse({ success: true, imported });
+          break;
+          
+        case 'testRule':
+          sendResponse(await this.testRule(request.rule, request.ruleId));
+          break;
+          
+        case 'getRuleTargets':
+          sendResponse(await this.getRuleTargets());
+          break;
+          
+        case 'openRuleDialog':
+          await this.openRuleDialog(request.tabId, request.target || {});
+          sendResponse({ success: true });
+          break;
+          
+        case 'analyzeRules':
+          const openTabs = await chrome.tabs.query({});
+          const history = await this.ruleAnalyzer.getRecentHistory();
+          sendResponse(this.ruleAnalyzer.analyze(openTabs, history));
+          break;
+          
+        case 'previewRuleActions':
+          const actionPreview = await this.analyzeTabs(request.tabs, request.settings || await this.getSettings());
+          sendResponse({ actions: actionPreview.ruleActions || [] });
+          break;
+          
+        case 'undoRuleActions':
+          sendResponse(await this.withProgrammaticMoves(() => this.ruleActions.undoLatest()));
+          break;
+          
+        case 'findDuplicates':
+          sendResponse({ clusters: await this.findDuplicates(request.useContent === true) });
+          break;
+          
+        case 'closeDuplicates':
+          sendResponse(await this.closeDuplicates(request.tabIds, request.useContent === true));
+          break;
+          
+        case 'undoCloseDuplicates':
+          sendResponse(await this.withProgrammaticMoves(() => this.duplicateUndo.undoLatest()));
+          break;
+          
+        case 'getStaleTabs':
+          sendResponse({ tabs: await this.getStaleTabs(request.thresholdHours) });
+          break;
+          
+        case 'staleTabsAction':
+          sendResponse(await this.applyStaleTabsAction(request.tabIds, request.staleAction, request.thresholdHours));
+          break;
+          
+        case 'undoStaleTabsAction':
+          sendResponse(await this.withProgrammaticMoves(() => this.staleUndo.undoLatest()));
+          break;
+          
+        case 'getProfiles':
+          const profileState = await this.profiles.getState();
+          sendResponse({ profiles: profileState.profiles, activeId: profileState.activeId });
+          break;
+          
+        case 'switchProfile':
+          sendResponse({ success: true, profile: await this.switchProfile(request.profileId) });
+          break;
+          
+        case 'createProfile':
+          sendResponse({ success: true, profile: await this.profiles.create(request.profile, await this.getSettings()) });
+          break;
+          
+        case 'updateProfile':
+          const updatedProfile = await this.profiles.update(request.profileId, request.changes);
+          await this.applyProfileSchedule();
+          sendResponse({ success: true, profile: updatedProfile });
+          break;
+          
+        case 'deleteProfile':
+          await this.profiles.remove(request.profileId);
+          sendResponse({ success: true });
+          break;
+          
+        case 'getUndoStatus':
+          const latest = await this.snapshots.getLatest();
+          sendResponse({
+            available: !!latest,
+            createdAt: latest?.createdAt || null,
+            reason: latest?.reason || null
+          });
+          break;
+          
         default:
           sendResponse({ error: 'Unknown action: ' + request.action });
       }
@@ -148,6 +350,33 @@ class TabSorterBackground {
     }
   }
 
+  async handleAIMessage(request, sendResponse) {
+    // Lifecycle broadcasts from the offscreen document
+    if (this.offscreen.handleMessage(request)) {
+      sendResponse({ received: true });
+      return;
+    }
+    
+    switch (request.type) {
+      case 'CLUSTER_TABS':
+        try {
+          sendResponse(await this.offscreen.clusterTabs(request.tabs, request.threshold, {
+            batchSize: request.batchSize,
+            strategy: request.strategy,
+            categories: request.categories
+          }));
+        } catch (error) {
+          sendResponse({ success: false, error: error.message });
+        }
+        break;
+        
+      default:
+        // Requests addressed to the offscreen document (INIT_AI, ai:embed, ...)
+        // are answered there; don't claim them here
+        break;
+    }
+  }
+
   async handleCommand(command) {
     switch (command) {
       case 'sort_tabs':
@@ -156,6 +385,9 @@ class TabSorterBackground {
       case 'preview_changes':
         chrome.action.openPopup();
         break;
+      case 'undo_sort':
+        await this.undoLastSort();
+        break;
     }
   }
 
@@ -191,6 +423,14 @@ class TabSorterBackground {
         result = await this.standardAnalysis(tabs, settings);
     }
     
+    if (settings.groupingStrategy === 'trails') {
+      await this.applyBrowsingTrails(result, tabs, settings);
+    }
+    
+    if (settings.separateRarelyUsed) {
+      await this.applyRarelyUsedGroup(result, tabs, settings);
+    }
+    
     // Apply partial grouping filtering if enabled
     if (settings.partialGrouping) {
       const filtered = this.filterPartialGroups(result.categorized, result.stats, settings);
@@ -225,21 +465,20 @@ class TabSorterBackground {
           domainGroups.set(domain, []);
         }
         domainGroups.get(domain).push(tab);
-        
-        // Check for duplicates
-        if (tabs.filter(t => t.url === tab.url).length > 1) {
-          stats.duplicates++;
-        }
       } catch {
         // Invalid URL
       }
     }
     
+    stats.duplicates = this.duplicates.countDuplicates(tabs);
+    
     // Convert domain groups to categories
+    const explanations = {};
     for (const [domain, domainTabs] of domainGroups) {
       if (domainTabs.length >= (settings.minGroupSize || 2)) {
         const groupName = this.formatDomainName(domain);
         categorized[groupName] = domainTabs;
+        this.explainFallbackGroup(explanations, domainTabs, groupName, 'domain_group', domain);
         stats.categorized += domainTabs.length;
         stats.groupsFormed++;
         stats.avgConfidence += 0.9;
@@ -252,13 +491,12 @@ class TabSorterBackground {
       stats.avgConfidence /= stats.groupsFormed;
     }
     
-    return { categorized, stats };
+    return { categorized, stats, explanations };
   }
 
   async standardAnalysis(tabs, settings) {
-    // Standard analysis - URL + Title
+    // Standard analysis - categorization pipeline (analyzer + categories + rules)
     const categorized = {};
-    const uncategorized = [];
     const stats = {
       totalTabs: tabs.length,
       categorized: 0,
@@ -268,32 +506,46 @@ class TabSorterBackground {
       groupsFormed: 0
     };
     
-    // Analyze each tab
-    for (const tab of tabs) {
-      const category = this.categorizeTab(tab);
-      
-      if (category && category.name !== 'other') {
-        if (!categorized[category.name]) {
-          categorized[category.name] = [];
+    const groups = await this.categorizer.categorizeTabs(tabs, this.getPipelineOptions(settings));
+    stats.clustering = this.categorizer.lastClustering;
+    const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+    const grouped = new Set();
+    const explanations = {};
+    const ruleMatches = [];
+    
+    for (const group of groups) {
+      Object.assign(explanations, group.explanations);
+      for (const tab of group.tabs) {
+        if (tab.ruleMatch && RuleActionExecutor.hasActions(tab.ruleMatch.actions)) {
+          ruleMatches.push({
+            tab: tabsById.get(tab.tabId),
+            ruleId: tab.ruleMatch.ruleId,
+            ruleName: tab.ruleMatch.ruleName,
+            action: tab.ruleMatch.actions
+          });
         }
-        categorized[category.name].push(tab);
-        stats.avgConfidence += category.confidence;
-      } else {
-        uncategorized.push(tab);
       }
+      if (group.categoryId === 'general') continue;
       
-      // Check for duplicates
-      if (tabs.filter(t => t.url === tab.url).length > 1) {
-        stats.duplicates++;
-      }
+      const groupName = group.category.name;
+      const groupTabs = group.tabIds.map(id => tabsById.get(id)).filter(Boolean);
+      
+      categorized[groupName] = (categorized[groupName] || []).concat(groupTabs);
+      this.groupColors[groupName] = group.color;
+      groupTabs.forEach(tab => grouped.add(tab.id));
+      stats.avgConfidence += group.confidence * groupTabs.length;
     }
     
+    stats.duplicates = this.duplicates.countDuplicates(tabs);
+    
     // Try to group uncategorized tabs by common patterns
+    const uncategorized = tabs.filter(tab => !grouped.has(tab.id));
     const domainGroups = this.groupByDomain(uncategorized);
     for (const [domain, domainTabs] of Object.entries(domainGroups)) {
       if (domainTabs.length >= (settings.minGroupSize || 2)) {
         const groupName = this.deriveGroupName(domainTabs, domain);
         categorized[groupName] = domainTabs;
+        this.explainFallbackGroup(explanations, domainTabs, groupName, 'domain_group', domain);
       }
     }
     
@@ -306,12 +558,70 @@ class TabSorterBackground {
       stats.avgConfidence /= stats.categorized;
     }
     
-    return { categorized, stats };
+    // Dry run of the actions matched rules will take after sorting
+    const ruleActions = this.ruleActions.plan(ruleMatches);
+    
+    return { categorized, stats, explanations, ruleActions };
+  }
+
+  explainFallbackGroup(explanations, groupTabs, groupName, type, detail) {
+    // Tabs grouped outside the categorizer keep its explanation and say where they went
+    for (const tab of groupTabs) {
+      const explanation = explanations[tab.id] || {
+        tabId: tab.id,
+        categoryId: null,
+        confidence: null,
+        contributions: [],
+        runnerUp: null
+      };
+      
+      explanations[tab.id] = {
+        ...explanation,
+        categoryName: groupName,
+        source: type,
+        contributions: explanation.contributions.concat({
+          stage: 'grouping',
+          type: type,
+          detail: detail,
+          categoryId: null,
+          score: null,
+          unit: null,
+          supports: true
+        })
+      };
+    }
+  }
+
+  getPipelineOptions(settings = {}) {
+    // Each stage can be switched off from settings; AI requires an explicit opt-in
+    const useAI = settings.aiMode === true;
+    
+    return {
+      useAnalyzer: settings.useTabAnalyzer !== false,
+      useRules: settings.useCategoryMatching !== false,
+      useRulesEngine: settings.useRulesEngine !== false,
+      useCustomRules: settings.useCustomRules !== false,
+      useCorrections: settings.learnFromCorrections !== false,
+      useAI: useAI,
+      useClustering: useAI,
+      minGroupSize: settings.minGroupSize || 2,
+      maxGroupSize: settings.maxGroupSize || 20,
+      similarityThreshold: settings.similarityThreshold || 0.45,
+      aiBatchSize: settings.aiBatchSize || 16,
+      clusteringStrategy: settings.clusteringStrategy || 'greedy',
+      splitMode: settings.groupSplitMode || 'size',
+      disabledCategories: settings.disabledCategories || [],
+      schemaTypeMappings: settings.schemaTypeMappings || null
+    };
   }
 
   async deepAnalysis(tabs, settings) {
-    // Deep analysis - Enhanced pattern matching
+    // Deep analysis - Page content and enhanced pattern matching
+    const contents = await this.pageContent.readAll(tabs);
+    tabs = tabs.map(tab => contents.has(tab.id) ? { ...tab, pageContent: contents.get(tab.id) } : tab);
+    
     const result = await this.standardAnalysis(tabs, settings);
+    result.stats.contentRead = contents.size;
     
     // Apply enhanced keyword analysis
     const uncategorizedTabs = tabs.filter(tab => {
@@ -323,6 +633,9 @@ class TabSorterBackground {
     if (uncategorizedTabs.length > 0) {
       const enhancedGroups = this.performEnhancedGrouping(uncategorizedTabs);
       Object.assign(result.categorized, enhancedGroups);
+      for (const [groupName, groupTabs] of Object.entries(enhancedGroups)) {
+        this.explainFallbackGroup(result.explanations, groupTabs, groupName, 'keyword_group', groupName.replace(/ Related$/, '').toLowerCase());
+      }
       
       // Update stats
       result.stats.categorized = Object.values(result.categorized).reduce((sum, group) => sum + group.length, 0);
@@ -333,47 +646,72 @@ class TabSorterBackground {
     return result;
   }
 
-  categorizeTab(tab) {
-    let bestMatch = null;
-    let highestConfidence = 0;
+  async applyBrowsingTrails(result, tabs, settings) {
+    // Keep browsing trails together: tabs opened from the same page form one group, across domains
+    const minGroupSize = settings.minGroupSize || 2;
+    const pinned = await chrome.tabs.query({ pinned: true });
+    const trails = await this.openers.findTrails(tabs, {
+      minSize: minGroupSize,
+      pinnedIds: pinned.map(tab => tab.id)
+    });
+    if (trails.length === 0) return;
     
-    const urlLower = tab.url.toLowerCase();
-    const titleLower = tab.title.toLowerCase();
+    const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+    this.removeFromGroups(result, new Set(trails.flatMap(trail => trail.tabIds)), minGroupSize);
     
-    for (const category of this.categories) {
-      let confidence = 0;
-      
-      // Check domain matches
-      for (const domain of category.domains || []) {
-        if (urlLower.includes(domain.toLowerCase())) {
-          confidence = Math.max(confidence, 0.9);
-          break;
-        }
-      }
-      
-      // Check keyword matches
-      let keywordMatches = 0;
-      for (const keyword of category.keywords || []) {
-        if (titleLower.includes(keyword.toLowerCase()) || urlLower.includes(keyword.toLowerCase())) {
-          keywordMatches++;
-        }
-      }
-      
-      if (keywordMatches > 0) {
-        confidence = Math.max(confidence, 0.5 + (keywordMatches * 0.1));
-      }
-      
-      if (confidence > highestConfidence) {
-        highestConfidence = confidence;
-        bestMatch = {
-          name: category.name || category.id,
-          id: category.id,
-          confidence: confidence
-        };
+    for (const trail of trails) {
+      let groupName = trail.name;
+      for (let n = 1; result.categorized[groupName]; n++) {
+        groupName = n === 1 ? `${trail.name} (trail)` : `${trail.name} (trail ${n})`;
       }
+      const trailTabs = trail.tabIds.map(id => tabsById.get(id));
+      result.categorized[groupName] = trailTabs;
+      this.explainFallbackGroup(result.explanations, trailTabs, groupName, 'opener_trail',
+        trail.root ? trail.root.title || trail.root.url : null);
+    }
+    
+    this.updateGroupStats(result, tabs);
+    result.stats.trails = trails.length;
+  }
+  
+  async applyRarelyUsedGroup(result, tabs, settings) {
+    // Tabs left unused past the stale threshold get a group of their own
+    const stale = await this.activity.findStale(tabs, settings.staleTabHours || 72);
+    if (stale.length < (settings.minGroupSize || 2)) return;
+    
+    this.removeFromGroups(result, new Set(stale.map(entry => entry.tab.id)), settings.minGroupSize || 2);
+    const groupName = 'Rarely Used';
+    result.categorized[groupName] = stale.map(entry => entry.tab);
+    for (const entry of stale) {
+      this.explainFallbackGroup(result.explanations, [entry.tab], groupName, 'rarely_used', this.formatDuration(entry.idleFor));
     }
     
-    return bestMatch;
+    this.updateGroupStats(result, tabs);
+  }
+  
+  removeFromGroups(result, tabIds, minGroupSize) {
+    // Groups left too small to stand on their own are dropped
+    for (const [groupName, groupTabs] of Object.entries(result.categorized)) {
+      const remaining = groupTabs.filter(tab => !tabIds.has(tab.id));
+      if (remaining.length >= minGroupSize) {
+        result.categorized[groupName] = remaining;
+      } else {
+        delete result.categorized[groupName];
+      }
+    }
+  }
+  
+  updateGroupStats(result, tabs) {
+    result.stats.categorized = Object.values(result.categorized).reduce((sum, group) => sum + group.length, 0);
+    result.stats.uncategorized = tabs.length - result.stats.categorized;
+    result.stats.groupsFormed = Object.keys(result.categorized).length;
+  }
+  
+  formatDuration(ms) {
+    const hours = Math.floor(ms / ActivityTracker.HOUR);
+    if (hours >= 48) return `${Math.floor(hours / 24)} days`;
+    if (hours >= 1) return `${hours} hour${hours === 1 ? '' : 's'}`;
+    return `${Math.max(1, Math.round(ms / 60000))} min`;
   }
 
   groupByDomain(tabs) {
@@ -592,14 +930,21 @@ class TabSorterBackground {
       }
       
       // Apply sorting based on grouping mode
+      let changes = null;
       if (settings.groupingMode === 'windows') {
         await this.sortIntoWindows(analysis.categorized);
       } else {
-        await this.sortIntoGroups(analysis.categorized);
+        changes = await this.sortIntoGroups(analysis.categorized, settings);
+      }
+      
+      // Rule actions run once tabs are in their groups
+      let ruleActions = null;
+      if (settings.applyRuleActions === true && analysis.ruleActions?.length > 0) {
+        ruleActions = await this.withProgrammaticMoves(() => this.ruleActions.execute(analysis.ruleActions));
       }
       
       this.isProcessing = false;
-      return { success: true, stats: analysis.stats };
+      return { success: true, stats: analysis.stats, changes, ruleActions };
       
     } catch (error) {
       this.isProcessing = false;
@@ -608,8 +953,22 @@ class TabSorterBackground {
     }
   }
 
-  async sortIntoGroups(categorized) {
+  async sortIntoGroups(categorized, settings = {}) {
+    return this.withProgrammaticMoves(() => this.groupCategorizedTabs(categorized, settings));
+  }
+  
+  async groupCategorizedTabs(categorized, settings) {
     const currentWindow = await chrome.windows.getCurrent();
+    await this.captureSnapshot(categorized, 'groups', currentWindow.id);
+    return this.groupInWindow(categorized, settings, currentWindow.id);
+  }
+  
+  async groupInWindow(categorized, settings, windowId) {
+    if (settings.reuseExistingGroups !== false) {
+      const summary = await this.reconcileGroups(categorized, windowId);
+      await this.trackSortedGroups(categorized, windowId);
+      return summary;
+    }
     
     for (const [category, tabs] of Object.entries(categorized)) {
       if (tabs.length === 0) continue;
@@ -619,7 +978,7 @@ class TabSorterBackground {
         const group = await chrome.tabs.group({
           tabIds: tabIds,
           createProperties: {
-            windowId: currentWindow.id
+            windowId: windowId
           }
         });
         
@@ -632,17 +991,99 @@ class TabSorterBackground {
         console.error('Error creating group for', category, error);
       }
     }
+    
+    await this.trackSortedGroups(categorized, windowId);
+  }
+  
+  async trackSortedGroups(categorized, windowId) {
+    // Remember which groups TabSorter made so moves out of them can be learned from
+    try {
+      const groups = await chrome.tabGroups.query({ windowId });
+      const tracked = {};
+      
+      for (const group of groups) {
+        const tabs = categorized[group.title];
+        if (!tabs) continue;
+        
+        tracked[group.id] = {
+          title: group.title,
+          categoryId: this.categorizer.findCategoryIdByName(group.title) || group.title,
+          tabIds: tabs.map(tab => tab.id)
+        };
+      }
+      
+      await this.corrections.trackGroups(tracked);
+    } catch (error) {
+      console.error('Error tracking sorted groups:', error);
+    }
+  }
+  
+  async withProgrammaticMoves(fn) {
+    // Group changes made by TabSorter itself must not be learned as corrections
+    this.programmaticMoves++;
+    try {
+      return await fn();
+    } finally {
+      this.programmaticMoves--;
+      this.lastProgrammaticMove = Date.now();
+    }
+  }
+  
+  async handleGroupChange(tabId, groupId, tab) {
+    // Ignore our own moves (events can arrive shortly after the API call returns)
+    if (this.programmaticMoves > 0 || Date.now() - this.lastProgrammaticMove < 1500) return;
+    
+    // Tabs dragged out briefly land ungrouped; wait for a destination group
+    if (groupId === -1) return;
+    
+    const tracked = await this.corrections.getTrackedGroups();
+    if (!Object.values(tracked).some(group => group.tabIds.includes(tabId))) return;
+    
+    let target = tracked[groupId];
+    if (!target) {
+      const group = await chrome.tabGroups.get(groupId).catch(() => null);
+      if (!group || !group.title) return;
+      target = {
+        title: group.title,
+        categoryId: this.categorizer.findCategoryIdByName(group.title) || group.title
+      };
+    }
+    
+    // The move is read again under the store's queue, so a quick second move sees the first one
+    const source = await this.corrections.moveTrackedTab(tabId, groupId);
+    if (!source) return;
+    
+    const settings = await this.getSettings();
+    if (settings.learnFromCorrections === false) return;
+    
+    const correction = await this.corrections.record(tab, source.categoryId, target.categoryId, target.title);
+    console.log('Learned correction:', correction.domain, '->', correction.toCategoryName);
+  }
+
+  async reconcileGroups(categorized, windowId) {
+    const windowTabs = await chrome.tabs.query({ windowId });
+    const existingGroups = await chrome.tabGroups.query({ windowId });
+    
+    const plan = this.reconciler.plan(categorized, windowTabs, existingGroups);
+    const summary = await this.reconciler.apply(plan, windowId);
+    
+    console.log('Reconciled tab groups:', summary);
+    return summary;
   }
 
   async sortIntoWindows(categorized) {
     const windows = [];
+    const currentWindow = await chrome.windows.getCurrent();
+    await this.captureSnapshot(categorized, 'windows', currentWindow.id);
     
     for (const [category, tabs] of Object.entries(categorized)) {
       if (tabs.length === 0) continue;
       
       try {
+        // Move the first tab itself rather than opening a copy of its URL,
+        // so the original layout can be restored by undo
         const newWindow = await chrome.windows.create({
-          url: tabs[0].url,
+          tabId: tabs[0].id,
           focused: false,
           state: 'normal'
         });
@@ -663,7 +1104,150 @@ class TabSorterBackground {
     return windows;
   }
 
+  /**
+   * Normal windows the user browses in; incognito, app and popup windows are never touched
+   */
+  async getOrganizableWindows() {
+    const windows = await chrome.windows.getAll({ populate: true, windowTypes: ['normal'] });
+    return windows.filter(win => WindowPlanner.isOrganizable(win));
+  }
+  
+  /**
+   * Categorize the tabs of every normal window and plan where each category goes
+   */
+  async planAllWindows(settings = {}) {
+    const windows = await this.getOrganizableWindows();
+    const analysis = await this.analyzeTabs(windows.flatMap(win => win.tabs || []), settings);
+    const focused = await chrome.windows.getLastFocused({ windowTypes: ['normal'] }).catch(() => null);
+    
+    const plan = this.windowPlanner.plan(analysis.categorized, windows, {
+      dedicated: settings.dedicatedWindows === true,
+      focusedWindowId: focused ? focused.id : null
+    });
+    return { plan, analysis };
+  }
+  
+  async organizeAllWindows(settings = {}) {
+    if (this.isProcessing) {
+      return { success: false, error: 'Already processing tabs' };
+    }
+    
+    this.isProcessing = true;
+    
+    try {
+      // Plan again rather than trusting the preview; tabs may have changed since
+      const { plan, analysis } = await this.planAllWindows(settings);
+      if (plan.categories.length === 0) {
+        return { success: false, error: 'No groups found to sort' };
+      }
+      
+      const applied = await this.withProgrammaticMoves(async () => {
+        await this.captureSnapshot(analysis.categorized, 'all-windows');
+        const result = await this.windowPlanner.apply(plan);
+        
+        // Dedicated windows already separate categories; merged ones are grouped where they landed
+        if (!plan.dedicated) {
+          await this.groupPlacedCategories(result.placed, analysis.categorized, settings);
+        }
+        return result;
+      });
+      
+      let ruleActions = null;
+      if (settings.applyRuleActions === true && analysis.ruleActions?.length > 0) {
+        ruleActions = await this.withProgrammaticMoves(() => this.ruleActions.execute(analysis.ruleActions));
+      }
+      
+      return {
+        success: true,
+        stats: analysis.stats,
+        summary: this.windowPlanner.summarize(plan),
+        moved: applied.moved,
+        failed: applied.failed.length,
+        ruleActions
+      };
+    } catch (error) {
+      console.error('Error organizing all windows:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+  
+  async groupPlacedCategories(placed, categorized, settings) {
+    const byWindow = new Map();
+    for (const [category, { windowId, tabIds }] of Object.entries(placed)) {
+      if (!byWindow.has(windowId)) byWindow.set(windowId, {});
+      const ids = new Set(tabIds);
+      byWindow.get(windowId)[category] = categorized[category].filter(tab => ids.has(tab.id));
+    }
+    
+    for (const [windowId, windowCategorized] of byWindow) {
+      try {
+        // Tabs closed while moving would make grouping fail
+        const present = new Set((await chrome.tabs.query({ windowId })).map(tab => tab.id));
+        for (const category of Object.keys(windowCategorized)) {
+          windowCategorized[category] = windowCategorized[category].filter(tab => present.has(tab.id));
+        }
+        await this.groupInWindow(windowCategorized, settings, windowId);
+      } catch (error) {
+        console.error('Error grouping tabs in window', windowId, error);
+      }
+    }
+  }
+  
+  async captureSnapshot(categorized, reason, fallbackWindowId) {
+    // Snapshot whole windows: moving some tabs shifts the indices of the rest
+    const windowIds = Object.values(categorized)
+      .flat()
+      .map(tab => tab.windowId)
+      .filter(windowId => windowId !== undefined);
+    
+    if (windowIds.length === 0 && fallbackWindowId !== undefined) {
+      windowIds.push(fallbackWindowId);
+    }
+    
+    try {
+      await this.snapshots.record(windowIds, reason);
+    } catch (error) {
+      console.error('Error capturing undo snapshot:', error);
+    }
+  }
+
+  async undoLastSort() {
+    if (this.isProcessing) {
+      return { success: false, error: 'Already processing tabs' };
+    }
+    
+    this.isProcessing = true;
+    
+    try {
+      // Rule actions taken by the sort being undone are reverted first (closed tabs reopen)
+      const [latestActions, latestSnapshot] = await Promise.all([
+        this.ruleActions.getLatest(),
+        this.snapshots.getLatest()
+      ]);
+      if (latestActions && (!latestSnapshot || latestActions.createdAt >= latestSnapshot.createdAt)) {
+        await this.withProgrammaticMoves(() => this.ruleActions.undoLatest());
+      }
+      
+      const result = await this.withProgrammaticMoves(() => this.snapshots.restoreLatest());
+      // Restored groups are new groups; moves out of them are not corrections
+      await this.corrections.clearTracking();
+      return result;
+    } catch (error) {
+      console.error('Error undoing last sort:', error);
+      return { success: false, error: error.message };
+    } finally {
+      this.isProcessing = false;
+    }
+  }
+
   getGroupColor(category) {
+    const validColors = ['grey', 'blue', 'red', 'yellow', 'green', 'pink', 'purple', 'cyan', 'orange'];
+    if (validColors.includes(this.groupColors[category])) {
+      return this.groupColors[category];
+    }
+    
     const colors = {
       work: 'blue',
       shopping: 'red',
@@ -689,16 +1273,61 @@ class TabSorterBackground {
     return {
       groups: analysis.categorized,
       stats: analysis.stats,
+      explanations: analysis.explanations || {},
+      ruleActions: analysis.ruleActions || [],
       totalTabs: tabsToAnalyze.length
     };
   }
 
+  /**
+   * Evaluate an unsaved rule against every open tab for the rule editor
+   */
+  async testRule(rule, savedRuleId = null) {
+    const engine = this.categorizer.rulesEngine;
+    const draft = { ...rule, id: '__draft__', enabled: true };
+    const tabs = await chrome.tabs.query({});
+
+    const results = tabs.map(tab => {
+      const result = {
+        tabId: tab.id,
+        windowId: tab.windowId,
+        title: tab.title || '',
+        url: tab.url,
+        favIconUrl: tab.favIconUrl || null,
+        matched: false
+      };
+
+      try {
+        result.trace = engine.traceConditions(tab, draft.conditions);
+        result.matched = result.trace.matched;
+        if (result.matched) {
+          result.confidence = engine.calculateRuleConfidence(tab, draft);
+
+          // The saved copy of the rule being edited doesn't compete with the draft
+          const winner = engine.evaluateTab(tab, [draft]).find(match => match.rule.id !== savedRuleId);
+          if (winner && winner.rule.id !== draft.id) {
+            result.takenBy = winner.rule.name;
+          }
+        }
+      } catch (error) {
+        result.error = error.message;
+      }
+      return result;
+    });
+
+    return {
+      tabs: results,
+      total: tabs.length,
+      matched: results.filter(result => result.matched).length
+    };
+  }
+
   async applyPreviewChanges(changes, settings) {
     try {
       if (settings.groupingMode === 'windows') {
         await this.sortIntoWindows(changes.groups);
       } else {
-        await this.sortIntoGroups(changes.groups);
+        await this.sortIntoGroups(changes.groups, settings);
       }
       
       return { success: true };
@@ -740,39 +1369,165 @@ class TabSorterBackground {
         title: 'Sort all tabs',
         contexts: ['page']
       });
+      
+      chrome.contextMenus.create({
+        id: 'undoLastSort',
+        title: 'Undo last sort',
+        contexts: ['page']
+      });
+      
+      chrome.contextMenus.create({
+        id: 'ruleFromTab',
+        title: 'Always put tabs like this in…',
+        contexts: ['page']
+      });
+      this.ruleMenuItems = [];
+      this.updateRuleMenu();
     });
     
+    // Keep the group entries of the rule submenu in step with open groups
+    const scheduleRuleMenu = () => {
+      clearTimeout(this.ruleMenuTimer);
+      this.ruleMenuTimer = setTimeout(() => this.updateRuleMenu(), 500);
+    };
+    chrome.tabGroups.onCreated.addListener(scheduleRuleMenu);
+    chrome.tabGroups.onUpdated.addListener(scheduleRuleMenu);
+    chrome.tabGroups.onRemoved.addListener(scheduleRuleMenu);
+    
     chrome.contextMenus.onClicked.addListener(async (info, tab) => {
-      if (info.menuItemId === 'sortCurrentTab') {
+      await this.ready;
+      const menuId = String(info.menuItemId);
+      if (menuId.startsWith('ruleFromTab:')) {
+        const [, kind, value] = menuId.split(':');
+        const target = kind === 'group'
+          ? this.getGroupRuleTarget(decodeURIComponent(value))
+          : { category: value };
+        await this.openRuleDialog(tab.id, target);
+      } else if (info.menuItemId === 'sortCurrentTab') {
         await this.sortSingleTab(tab);
       } else if (info.menuItemId === 'sortAllTabs') {
         await this.sortTabs(null, await this.getSettings());
+      } else if (info.menuItemId === 'undoLastSort') {
+        await this.undoLastSort();
       }
     });
   }
 
-  async sortSingleTab(tab) {
-    const category = this.categorizeTab(tab);
+  /**
+   * Categories and open groups a rule can send tabs to
+   */
+  async getRuleTargets() {
+    await this.categorizer.initialize();
+    const categories = Object.values(this.categorizer.defaultCategories).map(category => ({
+      id: category.id,
+      name: category.name,
+      emoji: category.emoji || '',
+      subcategories: Object.entries(category.subcategories || {}).map(([id, sub]) => ({ id, name: sub.name || id }))
+    }));
+    
+    const groups = [];
+    const seen = new Set();
+    for (const group of await chrome.tabGroups.query({})) {
+      if (!group.title || seen.has(group.title)) continue;
+      seen.add(group.title);
+      groups.push({ title: group.title, color: group.color, ...this.getGroupRuleTarget(group.title) });
+    }
     
-    if (category && category.name !== 'other') {
+    return { categories, groups };
+  }
+  
+  /**
+   * The category (and subcategory) a group's tabs are sorted into
+   * Groups named after no known category become a category of their own
+   */
+  getGroupRuleTarget(title) {
+    const categoryId = this.categorizer.findCategoryIdByName(title);
+    if (!categoryId) {
+      return { category: title.replace(/ \d+$/, '').trim() };
+    }
+    
+    const subName = title.split(' · ')[1];
+    const subcategories = this.categorizer.defaultCategories[categoryId].subcategories || {};
+    const subcategory = subName && Object.keys(subcategories)
+      .find(id => (subcategories[id].name || id).toLowerCase() === subName.trim().toLowerCase());
+    return subcategory ? { category: categoryId, subcategory } : { category: categoryId };
+  }
+  
+  async updateRuleMenu() {
+    for (const id of this.ruleMenuItems) {
+      chrome.contextMenus.remove(id, () => void chrome.runtime.lastError);
+    }
+    this.ruleMenuItems = [];
+    
+    let targets;
+    try {
+      targets = await this.getRuleTargets();
+    } catch (error) {
+      console.warn('Could not build the rule menu:', error);
+      return;
+    }
+    
+    const add = (id, title, type = 'normal') => {
+      chrome.contextMenus.create({ id, parentId: 'ruleFromTab', title, type, contexts: ['page'] },
+        () => void chrome.runtime.lastError);
+      this.ruleMenuItems.push(id);
+    };
+    
+    for (const category of targets.categories) {
+      add(`ruleFromTab:category:${category.id}`, `${category.emoji} ${category.name}`.trim());
+    }
+    if (targets.groups.length > 0) {
+      add('ruleFromTab:separator', '', 'separator');
+      for (const group of targets.groups) {
+        add(`ruleFromTab:group:${encodeURIComponent(group.title)}`, `Group "${group.title}"`);
+      }
+    }
+  }
+  
+  /**
+   * Open the confirm dialog for a rule drafted from a tab
+   */
+  async openRuleDialog(tabId, target = {}) {
+    const params = new URLSearchParams({ tabId: String(tabId) });
+    if (target.category) params.set('category', target.category);
+    if (target.subcategory) params.set('subcategory', target.subcategory);
+    
+    await chrome.windows.create({
+      url: chrome.runtime.getURL(`rule-dialog/rule-dialog.html?${params}`),
+      type: 'popup',
+      width: 440,
+      height: 600
+    });
+  }
+  
+  async sortSingleTab(tab, settings = null) {
+    settings = settings || await this.getSettings();
+    const result = await this.categorizer.categorizeTab(tab, this.getPipelineOptions(settings));
+    
+    if (result.categoryId !== 'general') {
+      const groupName = result.category.name;
+      this.groupColors[groupName] = result.category.color;
+      
       try {
-        const groups = await chrome.tabGroups.query({ title: category.name });
+        const groups = await chrome.tabGroups.query({ title: groupName, windowId: tab.windowId });
         
-        if (groups.length > 0) {
-          await chrome.tabs.group({
-            tabIds: [tab.id],
-            groupId: groups[0].id
-          });
-        } else {
-          const groupId = await chrome.tabs.group({
-            tabIds: [tab.id]
-          });
-          
-          await chrome.tabGroups.update(groupId, {
-            title: category.name,
-            color: this.getGroupColor(category.name)
-          });
-        }
+        await this.withProgrammaticMoves(async () => {
+          if (groups.length > 0) {
+            await chrome.tabs.group({
+              tabIds: [tab.id],
+              groupId: groups[0].id
+            });
+          } else {
+            const groupId = await chrome.tabs.group({
+              tabIds: [tab.id]
+            });
+            
+            await chrome.tabGroups.update(groupId, {
+              title: groupName,
+              color: this.getGroupColor(groupName)
+            });
+          }
+        });
       } catch (error) {
         console.error('Error sorting single tab:', error);
       }
@@ -781,20 +1536,51 @@ class TabSorterBackground {
 
   setupTabListeners() {
     chrome.tabs.onCreated.addListener(async (tab) => {
+      this.openers.record(tab);
+      this.activity.created(tab);
+      await this.ready;
       const settings = await this.getSettings();
       if (settings.autoGroup) {
         setTimeout(() => {
-          this.sortSingleTab(tab);
+          this.sortSingleTab(tab, settings);
         }, 2000);
       }
     });
     
+    chrome.tabs.onRemoved.addListener((tabId) => {
+      this.openers.forget(tabId);
+      this.activity.removed(tabId);
+    });
+    
+    chrome.tabs.onReplaced.addListener((addedTabId, removedTabId) => {
+      this.activity.replaced(addedTabId, removedTabId);
+    });
+    
+    chrome.tabs.onActivated.addListener(({ tabId }) => {
+      this.activity.activated(tabId);
+    });
+    
+    // Focus time only counts while a browser window has focus
+    chrome.windows.onFocusChanged.addListener(async (windowId) => {
+      if (windowId === chrome.windows.WINDOW_ID_NONE) {
+        this.activity.blurred();
+        return;
+      }
+      const [tab] = await chrome.tabs.query({ active: true, windowId });
+      if (tab) this.activity.activated(tab.id, false);
+    });
+    
     chrome.tabs.onUpdated.addListener(async (tabId, changeInfo, tab) => {
+      await this.ready;
+      if (changeInfo.groupId !== undefined) {
+        this.handleGroupChange(tabId, changeInfo.groupId, tab);
+      }
+      
       if (changeInfo.status === 'complete') {
         const settings = await this.getSettings();
         if (settings.autoGroup && !tab.pinned) {
           if (changeInfo.url) {
-            this.sortSingleTab(tab);
+            this.sortSingleTab(tab, settings);
           }
         }
       }
@@ -808,19 +1594,143 @@ class TabSorterBackground {
     }
   }
 
-  async getSettings() {
-    const result = await chrome.storage.sync.get('settings');
-    return result.settings || {
-      autoGroup: false,
-      smartMode: true,
-      partialGrouping: false,
-      minConfidence: 0.7,
-      preservePinned: true,
-      groupingMode: 'groups',
-      minGroupSize: 2,
-      analysisDepth: 'standard'
+  /**
+   * Duplicate clusters across all normal windows, optionally also matching page text
+   */
+  async findDuplicates(useContent = false) {
+    const tabs = await chrome.tabs.query({ windowType: 'normal' });
+    const fingerprints = useContent ? await this.duplicates.getFingerprints(tabs) : null;
+    
+    return this.duplicates.findClusters(tabs, fingerprints).map(cluster => ({
+      ...cluster,
+      tabs: cluster.tabs.map(tab => ({
+        id: tab.id,
+        windowId: tab.windowId,
+        title: tab.title,
+        url: tab.url,
+        favIconUrl: tab.favIconUrl,
+        active: tab.active,
+        pinned: tab.pinned
+      }))
+    }));
+  }
+  
+  /**
+   * Close the listed duplicate tabs, re-checking that each still has a copy to keep
+   */
+  async closeDuplicates(tabIds, useContent = false) {
+    const clusters = await this.findDuplicates(useContent);
+    const steps = this.duplicates.planClose(clusters, tabIds);
+    const result = await this.withProgrammaticMoves(() => this.duplicateUndo.execute(steps, 'duplicates'));
+    return { success: true, closed: result.applied, failed: result.failed, recordId: result.recordId };
+  }
+  
+  /**
+   * Tabs in normal windows not used for thresholdHours, least recently used first
+   */
+  async getStaleTabs(thresholdHours) {
+    const settings = await this.getSettings();
+    const tabs = await chrome.tabs.query({ windowType: 'normal' });
+    const stale = await this.activity.findStale(tabs, thresholdHours || settings.staleTabHours || 72);
+    
+    return stale.map(({ tab, activity, idleFor }) => ({
+      id: tab.id,
+      windowId: tab.windowId,
+      title: tab.title,
+      url: tab.url,
+      favIconUrl: tab.favIconUrl,
+      discarded: tab.discarded,
+      groupId: tab.groupId,
+      createdAt: activity.createdAt,
+      lastUsed: activity.lastUsed,
+      activations: activity.activations,
+      focusTime: activity.focusTime,
+      idleFor: idleFor,
+      keptOpenBy: this.getKeepOpenRule(tab)?.name || null
+    }));
+  }
+  
+  /**
+   * The rule that keeps a tab open (action keepOpen), if any
+   */
+  getKeepOpenRule(tab) {
+    const engine = this.categorizer.rulesEngine;
+    if (!engine) return null;
+    const match = engine.evaluateTab(tab).find(({ rule }) => rule.action?.keepOpen);
+    return match ? match.rule : null;
+  }
+  
+  /**
+   * Discard, bookmark and close, or archive stale tabs; tabs used since or kept open by a rule are skipped
+   */
+  async applyStaleTabsAction(tabIds, type, thresholdHours) {
+    const stepTypes = { discard: 'discard', bookmarkAndClose: 'bookmarkAndClose', archive: 'moveToGroup' };
+    if (!stepTypes[type]) {
+      return { error: `Unknown stale tab action: ${type}` };
+    }
+    
+    const requested = new Set(tabIds);
+    const stale = (await this.getStaleTabs(thresholdHours)).filter(tab => requested.has(tab.id));
+    const targets = { discard: null, bookmarkAndClose: this.staleUndo.defaultBookmarkFolder, archive: 'Archive' };
+    
+    const steps = stale
+      .filter(tab => !tab.keptOpenBy && !(type === 'discard' && tab.discarded))
+      .map(tab => ({
+        tabId: tab.id,
+        title: tab.title || '',
+        url: tab.url,
+        ruleId: null,
+        ruleName: 'Stale tabs',
+        type: stepTypes[type],
+        target: targets[type],
+        description: this.staleUndo.describe(stepTypes[type], targets[type])
+      }));
+    
+    const result = await this.withProgrammaticMoves(() => this.staleUndo.execute(steps, 'stale'));
+    return {
+      success: true,
+      applied: result.applied,
+      failed: result.failed,
+      skipped: tabIds.length - steps.length,
+      recordId: result.recordId
     };
   }
+  
+  /**
+   * Swap in a profile's settings and rules
+   */
+  async switchProfile(profileId) {
+    const { profile, settings } = await this.profiles.activate(profileId, await this.getSettings());
+    await this.settingsStore.save(settings);
+    
+    this.rules.storageKey = this.profiles.rulesKey(profile.id);
+    await this.rules.load();
+    
+    console.log(`Switched to profile "${profile.name}"`);
+    return profile;
+  }
+  
+  /**
+   * Re-creating the alarm under the same name replaces the old period
+   */
+  scheduleAutoGrouping(intervalMinutes) {
+    chrome.alarms.create('autoCategories', { periodInMinutes: intervalMinutes });
+  }
+  
+  async applyProfileSchedule() {
+    try {
+      const profile = await this.profiles.checkSchedule();
+      if (profile) {
+        await this.switchProfile(profile.id);
+      }
+    } catch (error) {
+      console.error('Error applying profile schedule:', error);
+    }
+  }
+  
+  async getSettings() {
+    return this.settingsStore.load();
+  }
 }
 
 // Initialize the background script
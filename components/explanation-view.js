@@ -0,0 +1,149 @@
+/**
+ * Explanation View Component
+ * Renders a tab's categorization explanation as a "Why here?" expander
+ * Shared by the popup and the preview modal
+ */
+
+class ExplanationView {
+    static sourceLabels = {
+        rules: 'Category matching',
+        hybrid: 'Category matching (AI agreed or was unsure)',
+        rules_engine: 'Rules engine',
+        ai: 'AI clustering',
+        correction: 'Your earlier corrections',
+        custom_rule: 'Custom rule',
+        domain_group: 'Same-domain grouping',
+        keyword_group: 'Shared keywords',
+        opener_trail: 'Browsing trail',
+        rarely_used: 'Rarely used',
+        none: 'No matching signals'
+    };
+
+    static urlFeatureLabels = {
+        isShoppingUrl: 'shopping',
+        isDevUrl: 'developer',
+        isSocialUrl: 'social',
+        isVideoUrl: 'video',
+        isNewsUrl: 'news',
+        isEmailUrl: 'email',
+        isWorkUrl: 'work'
+    };
+
+    /**
+     * Render the expander; returns an empty string when there is nothing to explain
+     */
+    static render(explanation) {
+        if (!explanation) return '';
+
+        const confidence = typeof explanation.confidence === 'number'
+            ? ` · ${Math.round(explanation.confidence * 100)}% confidence`
+            : '';
+        const contributions = explanation.contributions || [];
+        const runnerUp = explanation.runnerUp;
+
+        return `
+            <details class="why-here">
+                <summary>Why here?</summary>
+                <div class="why-here-body">
+                    <div class="why-here-source">
+                        ${ExplanationView.escape(ExplanationView.sourceLabels[explanation.source] || explanation.source)}${confidence}
+                    </div>
+                    ${contributions.length > 0 ? `
+                        <ul class="why-here-list">
+                            ${contributions.map(contribution => ExplanationView.renderContribution(contribution)).join('')}
+                        </ul>
+                    ` : '<div class="why-here-empty">Nothing matched; grouped with other leftovers</div>'}
+                    ${runnerUp ? `
+                        <div class="why-here-runner-up">
+                            Next best category match: ${ExplanationView.escape(runnerUp.categoryId)} (${runnerUp.score} pts)
+                        </div>
+                    ` : ''}
+                </div>
+            </details>
+        `;
+    }
+
+    /**
+     * Render one contribution row; rows for other categories are shown as overridden
+     */
+    static renderContribution(contribution) {
+        const target = contribution.categoryId && !contribution.supports
+            ? ` → ${ExplanationView.escape(contribution.categoryId)}`
+            : '';
+
+        return `
+            <li class="why-here-item${contribution.supports ? '' : ' overridden'}">
+                <span class="why-here-label">${ExplanationView.describe(contribution)}${target}</span>
+                <span class="why-here-score">${ExplanationView.formatScore(contribution)}</span>
+            </li>
+        `;
+    }
+
+    /**
+     * Human readable description of a contribution
+     */
+    static describe(contribution) {
+        const detail = ExplanationView.escape(contribution.detail ?? '');
+
+        switch (contribution.type) {
+            case 'domain':
+                return `Domain <code>${detail}</code>`;
+            case 'keyword':
+                return `Title keyword “${detail}”`;
+            case 'pattern':
+                return 'URL/title pattern';
+            case 'schema_type':
+                return `Page declares schema.org <code>${detail}</code>`;
+            case 'url_feature':
+                return `Looks like a ${ExplanationView.escape(ExplanationView.urlFeatureLabels[contribution.detail] || contribution.detail)} URL`;
+            case 'analyzer':
+                return `Page analysis (${detail})`;
+            case 'rule':
+                return `Rule “${detail}” <code>${ExplanationView.escape(contribution.id)}</code>`;
+            case 'ai_cluster':
+                return `AI cluster “${detail}”`;
+            case 'ai_prototype':
+                return `Closest category embedding (${detail})`;
+            case 'correction':
+                return `You moved a similar tab${detail ? ` out of ${detail}` : ''}`;
+            case 'custom_rule':
+                return `Custom rule “${detail}”`;
+            case 'merged':
+                return `Merged into the related ${detail} group`;
+            case 'subcategory':
+                return `Subcategory ${detail}`;
+            case 'small_group':
+                return 'Too few tabs for its own group';
+            case 'domain_group':
+                return `Grouped with other tabs from <code>${detail}</code>`;
+            case 'keyword_group':
+                return `Grouped with other tabs mentioning “${detail}”`;
+            case 'rarely_used':
+                return `Not used for ${detail}`;
+            case 'opener_trail':
+                return detail ? `Opened from “${detail}”, or from tabs it opened` : 'Opened from the same tab as the others';
+            default:
+                return detail;
+        }
+    }
+
+    static formatScore(contribution) {
+        if (contribution.score === null || contribution.score === undefined) return '';
+        if (contribution.unit === 'points') return `+${contribution.score}`;
+        return `${Math.round(contribution.score * 100)}%`;
+    }
+
+    static escape(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ExplanationView;
+}
@@ -3,17 +3,23 @@
  * Extracts relevant content from web pages for categorization
  */
 
-// Message listener for content extraction requests
-chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.type === 'EXTRACT_CONTENT') {
-    const content = extractPageContent();
-    sendResponse({
-      success: true,
-      data: content
-    });
-  }
-  return true; // Keep message channel open
-});
+// Deep analysis injects this script on demand, possibly more than once per page;
+// only the first injection registers the listener
+if (!window.tabSorterContentScript) {
+  window.tabSorterContentScript = true;
+
+  // Message listener for content extraction requests
+  chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+    if (message.type === 'EXTRACT_CONTENT') {
+      const content = extractPageContent();
+      sendResponse({
+        success: true,
+        data: content
+      });
+    }
+    return true; // Keep message channel open
+  });
+}
 
 /**
  * Extract relevant content from the current page
@@ -256,21 +262,3 @@ function extractStructuredData() {
   
   return structured.length > 0 ? structured : null;
 }
-
-/**
- * Initialize content script
- */
-(function init() {
-  // Send ready signal to background
-  chrome.runtime.sendMessage({
-    type: 'CONTENT_SCRIPT_READY',
-    data: {
-      url: window.location.href,
-      title: document.title
-    }
-  }).catch(() => {
-    // Background script might not be ready
-  });
-  
-  console.log('Tab Sorter content script loaded');
-})();
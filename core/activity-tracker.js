@@ -0,0 +1,179 @@
+/**
+ * Activity Tracker - Records how each tab is used
+ * Keeps created time, last activation, activation count and focus time, and finds tabs left unused
+ */
+
+class ActivityTracker {
+    static HOUR = 60 * 60 * 1000;
+
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'tabActivity';
+        this.records = null; // tab ID -> { createdAt, lastActivated, activations, focusTime }
+        this.focus = null; // { tabId, since } while a browser window has focus
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Tab IDs only live for the browser session; session storage outlives service worker restarts
+     */
+    get area() {
+        return chrome.storage.session || chrome.storage.local;
+    }
+
+    async load() {
+        if (!this.records) {
+            const result = await this.area.get(this.storageKey);
+            const stored = result[this.storageKey] || {};
+            this.records = stored.records || {};
+            this.focus = stored.focus || null;
+        }
+        return this.records;
+    }
+
+    /**
+     * Writes are queued so events arriving together don't overwrite each other
+     */
+    save() {
+        this.writes = this.writes
+            .then(() => this.area.set({ [this.storageKey]: { records: this.records, focus: this.focus } }))
+            .catch(error => console.error('Failed to save tab activity:', error));
+        return this.writes;
+    }
+
+    /**
+     * Start records for tabs opened before tracking began and drop records of closed tabs
+     * focusedTab: the active tab of the focused window, if any
+     */
+    async sync(tabs, focusedTab = null) {
+        await this.load();
+        const open = new Set(tabs.map(tab => tab.id));
+
+        for (const id of Object.keys(this.records)) {
+            if (!open.has(Number(id))) delete this.records[id];
+        }
+        for (const tab of tabs) {
+            if (!this.records[tab.id]) {
+                // Chrome's lastAccessed is the best guess for tabs we never saw opening
+                const seen = tab.lastAccessed || Date.now();
+                this.records[tab.id] = this.newRecord(seen, tab.lastAccessed || null);
+            }
+        }
+
+        if (!focusedTab) {
+            this.focus = null;
+        } else if (this.focus?.tabId !== focusedTab.id) {
+            this.focus = { tabId: focusedTab.id, since: Date.now() };
+        }
+        await this.save();
+    }
+
+    newRecord(createdAt, lastActivated = null) {
+        return { createdAt: createdAt, lastActivated: lastActivated, activations: 0, focusTime: 0 };
+    }
+
+    async created(tab) {
+        await this.load();
+        if (!this.records[tab.id]) {
+            this.records[tab.id] = this.newRecord(Date.now());
+            await this.save();
+        }
+    }
+
+    /**
+     * A tab became the active tab of the focused window
+     * countActivation is false when focus only comes back from another app or window
+     */
+    async activated(tabId, countActivation = true) {
+        await this.load();
+        const now = Date.now();
+        this.endFocus(now);
+
+        const record = this.records[tabId] || (this.records[tabId] = this.newRecord(now));
+        record.lastActivated = now;
+        if (countActivation) record.activations++;
+        this.focus = { tabId, since: now };
+        await this.save();
+    }
+
+    /**
+     * The browser lost focus; stop counting focus time
+     */
+    async blurred() {
+        await this.load();
+        if (!this.focus) return;
+        this.endFocus(Date.now());
+        this.focus = null;
+        await this.save();
+    }
+
+    async removed(tabId) {
+        await this.load();
+        if (this.focus?.tabId === tabId) this.focus = null;
+        if (!this.records[tabId]) return;
+        delete this.records[tabId];
+        await this.save();
+    }
+
+    /**
+     * Discarding and prerendering swap a tab's ID; keep its history
+     */
+    async replaced(addedTabId, removedTabId) {
+        await this.load();
+        if (this.records[removedTabId]) {
+            this.records[addedTabId] = this.records[removedTabId];
+            delete this.records[removedTabId];
+        }
+        if (this.focus?.tabId === removedTabId) this.focus.tabId = addedTabId;
+        await this.save();
+    }
+
+    endFocus(now) {
+        if (!this.focus) return;
+        const record = this.records[this.focus.tabId];
+        if (record) {
+            record.focusTime += Math.max(0, now - this.focus.since);
+            record.lastActivated = now;
+        }
+    }
+
+    /**
+     * Activity of a tab, counting the focus session still in progress
+     */
+    get(tabId, now = Date.now()) {
+        const record = this.records?.[tabId];
+        if (!record) return null;
+
+        const focused = this.focus?.tabId === tabId;
+        return {
+            ...record,
+            focusTime: record.focusTime + (focused ? Math.max(0, now - this.focus.since) : 0),
+            lastUsed: focused ? now : Math.max(record.lastActivated || 0, record.createdAt || 0),
+            focused: focused
+        };
+    }
+
+    /**
+     * Tabs not used for thresholdHours, least recently used first: [{ tab, activity, idleFor }]
+     * Active, pinned and audible tabs are never stale
+     */
+    async findStale(tabs, thresholdHours) {
+        await this.load();
+        const now = Date.now();
+        const threshold = thresholdHours * ActivityTracker.HOUR;
+
+        return tabs
+            .filter(tab => !tab.active && !tab.pinned && !tab.audible)
+            .map(tab => {
+                const activity = this.get(tab.id, now) ||
+                    { ...this.newRecord(tab.lastAccessed || now, tab.lastAccessed || null), lastUsed: tab.lastAccessed || now };
+                return { tab, activity, idleFor: now - activity.lastUsed };
+            })
+            .filter(entry => entry.idleFor >= threshold)
+            .sort((a, b) => b.idleFor - a.idleFor);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ActivityTracker;
+}
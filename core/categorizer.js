@@ -6,20 +6,49 @@
 class SmartCategorizer {
     constructor() {
         this.analyzer = new TabAnalyzer();
+        this.rulesEngine = typeof RulesEngine !== 'undefined' ? new RulesEngine() : null;
+        this.patterns = PatternCompiler.shared;
         this.defaultCategories = null;
         this.customRules = [];
+        this.aiProvider = null;
+        this.lastClustering = null; // Strategy used by the most recent AI clustering run
+        this.corrections = [];
         this.initialized = false;
     }
 
+    /**
+     * Set the AI backend used for clustering (e.g. the background's offscreen manager).
+     * Without one, clustering requests are sent over runtime messaging.
+     */
+    setAIProvider(provider) {
+        this.aiProvider = provider;
+    }
+
+    /**
+     * Set the corrections learned from tabs the user moved between groups
+     */
+    setCorrections(corrections) {
+        this.corrections = corrections || [];
+    }
+
     /**
      * Initialize the categorizer (async)
      */
     async initialize() {
         if (this.initialized) return;
         this.defaultCategories = await this.loadDefaultCategories();
+        this.analyzer.setCategories(Object.values(this.defaultCategories));
         this.initialized = true;
     }
 
+    /**
+     * A category's URL/title pattern; the escaped category name when it has no usable patterns
+     */
+    compileCategoryPatterns(category) {
+        const compiled = category.urlPatterns ? this.patterns.compileAny(category.urlPatterns) : null;
+        return compiled || this.patterns.compile(PatternCompiler.escape(category.name));
+    }
+
     /**
      * Load default categories with their characteristics
      */
@@ -40,7 +69,9 @@ class SmartCategorizer {
                         priority: category.priority,
                         keywords: category.keywords,
                         domains: category.domains,
-                        patterns: category.urlPatterns ? new RegExp(category.urlPatterns.join('|'), 'i') : new RegExp(category.name, 'i')
+                        description: category.description,
+                        subcategories: category.subcategories || {},
+                        patterns: this.compileCategoryPatterns(category)
                     };
                 }
                 return categoriesMap;
@@ -51,7 +82,7 @@ class SmartCategorizer {
         
         // Fallback to hardcoded categories
         return {
-            'Work': {
+            'work': {
                 id: 'work',
                 name: 'Work',
                 emoji: '💼',
@@ -61,7 +92,7 @@ class SmartCategorizer {
                 domains: ['slack.com', 'teams.microsoft.com', 'zoom.us', 'meet.google.com'],
                 patterns: /work|office|meeting|project/i
             },
-            'Development': {
+            'development': {
                 id: 'development',
                 name: 'Development',
                 emoji: '💻',
@@ -71,7 +102,7 @@ class SmartCategorizer {
                 domains: ['github.com', 'gitlab.com', 'stackoverflow.com', 'localhost'],
                 patterns: /github|gitlab|code|programming|developer/i
             },
-            'Research': {
+            'research': {
                 id: 'research',
                 name: 'Research',
                 emoji: '🔬',
@@ -81,7 +112,7 @@ class SmartCategorizer {
                 domains: ['scholar.google.com', 'arxiv.org', 'jstor.org', 'pubmed.gov'],
                 patterns: /research|study|paper|academic/i
             },
-            'Shopping': {
+            'shopping': {
                 id: 'shopping',
                 name: 'Shopping',
                 emoji: '🛒',
@@ -91,7 +122,7 @@ class SmartCategorizer {
                 domains: ['amazon.com', 'ebay.com', 'etsy.com', 'alibaba.com'],
                 patterns: /shop|buy|cart|product|store/i
             },
-            'Entertainment': {
+            'entertainment': {
                 id: 'entertainment',
                 name: 'Entertainment',
                 emoji: '🎬',
@@ -101,7 +132,7 @@ class SmartCategorizer {
                 domains: ['youtube.com', 'netflix.com', 'spotify.com', 'twitch.tv'],
                 patterns: /youtube|netflix|video|watch|stream/i
             },
-            'Social': {
+            'social': {
                 id: 'social',
                 name: 'Social',
                 emoji: '💬',
@@ -111,7 +142,7 @@ class SmartCategorizer {
                 domains: ['facebook.com', 'twitter.com', 'instagram.com', 'reddit.com'],
                 patterns: /facebook|twitter|instagram|social/i
             },
-            'News': {
+            'news': {
                 id: 'news',
                 name: 'News',
                 emoji: '📰',
@@ -121,7 +152,7 @@ class SmartCategorizer {
                 domains: ['cnn.com', 'bbc.com', 'reuters.com', 'nytimes.com'],
                 patterns: /news|article|breaking|latest/i
             },
-            'Learning': {
+            'learning': {
                 id: 'learning',
                 name: 'Learning',
                 emoji: '📚',
@@ -131,7 +162,7 @@ class SmartCategorizer {
                 domains: ['coursera.org', 'udemy.com', 'khan', 'edx.org'],
                 patterns: /learn|course|tutorial|education/i
             },
-            'Finance': {
+            'finance': {
                 id: 'finance',
                 name: 'Finance',
                 emoji: '💰',
@@ -141,7 +172,7 @@ class SmartCategorizer {
                 domains: ['bank', 'paypal.com', 'coinbase.com', 'robinhood.com'],
                 patterns: /bank|finance|money|invest|stock/i
             },
-            'Communication': {
+            'communication': {
                 id: 'communication',
                 name: 'Communication',
                 emoji: '📧',
@@ -162,54 +193,320 @@ class SmartCategorizer {
         await this.initialize();
         const {
             useAI = true,
-            useRules = true,
             useClustering = true,
             minGroupSize = 2,
-            similarityThreshold = 0.45
+            maxGroupSize = 20,
+            similarityThreshold = 0.45,
+            aiBatchSize,
+            clusteringStrategy,
+            splitMode = 'size'
         } = options;
 
-        // Analyze all tabs first
-        const analyzedTabs = await this.analyzer.analyzeTabs(tabs);
-
-        // Strategy 1: Rule-based categorization
-        let categorized = useRules ? 
-            this.applyRuleBasedCategorization(analyzedTabs) : 
-            analyzedTabs.map(tab => ({ ...tab, category: null }));
+        this.lastClustering = null;
+        let categorized = await this.runCategoryStages(tabs, options);
 
-        // Strategy 2: AI/Embedding-based clustering (if available)
+        // Strategy 3: AI/Embedding-based clustering (if available)
         if (useAI && useClustering) {
-            categorized = await this.applyAIClustering(categorized, similarityThreshold);
+            categorized = await this.applyAIClustering(categorized, similarityThreshold, {
+                batchSize: aiBatchSize,
+                strategy: clusteringStrategy,
+                disabledCategories: options.disabledCategories
+            });
         }
 
-        // Strategy 3: Apply custom rules (overrides)
-        categorized = this.applyCustomRules(categorized);
+        // Strategy 4: Learned corrections (user moved similar tabs before)
+        if (options.useCorrections !== false) {
+            categorized = this.applyCorrections(categorized);
+        }
+
+        // Strategy 5: Apply custom rules (overrides)
+        if (options.useCustomRules !== false) {
+            categorized = this.applyCustomRules(categorized);
+        }
 
         // Group tabs by category
         const groups = this.groupByCategory(categorized, minGroupSize);
 
         // Post-processing: merge small groups, split large ones
-        const optimizedGroups = this.optimizeGroups(groups);
+        const optimizedGroups = this.optimizeGroups(groups, maxGroupSize, splitMode);
 
         // Add metadata and scoring
         return this.finalizeGroups(optimizedGroups);
     }
 
+    /**
+     * Run the per-tab stages shared by batch and single-tab categorization
+     */
+    async runCategoryStages(tabs, options = {}) {
+        const {
+            useAnalyzer = true,
+            useRules = true,
+            useRulesEngine = true,
+            userRules = []
+        } = options;
+        // Categories switched off (e.g. by the active profile) are never chosen
+        const disabled = new Set(options.disabledCategories || []);
+
+        // Analyze all tabs first
+        const analyzedTabs = await this.analyzer.analyzeTabs(tabs);
+
+        // Strategy 1: Category matching (domains, keywords, patterns, schema.org types)
+        const schemaTypes = this.getSchemaTypeMapper(options.schemaTypeMappings);
+        let categorized = useRules ?
+            this.applyRuleBasedCategorization(analyzedTabs, useAnalyzer, disabled, schemaTypes) :
+            analyzedTabs.map(tab => ({ ...tab, category: null }));
+
+        // Strategy 2: Rules engine (system and user rules)
+        if (useRulesEngine && this.rulesEngine) {
+            categorized = this.applyRulesEngine(categorized, userRules, disabled);
+        }
+
+        return categorized;
+    }
+
+    /**
+     * Categorize a single tab without grouping (used for auto-grouping new tabs)
+     */
+    async categorizeTab(tab, options = {}) {
+        await this.initialize();
+
+        let [categorized] = await this.runCategoryStages([tab], options);
+        if (options.useCorrections !== false) {
+            [categorized] = this.applyCorrections([categorized]);
+        }
+        if (options.useCustomRules !== false) {
+            [categorized] = this.applyCustomRules([categorized]);
+        }
+
+        const categoryId = categorized.category || 'general';
+        const categoryInfo = this.defaultCategories[categoryId] || {
+            id: categoryId,
+            name: categoryId.charAt(0).toUpperCase() + categoryId.slice(1),
+            color: 'grey'
+        };
+
+        return {
+            categoryId: categoryId,
+            category: categoryInfo,
+            confidence: this.getTabConfidence(categorized),
+            tab: categorized
+        };
+    }
+
+    /**
+     * Confidence of the stage that decided a tab's category
+     */
+    getTabConfidence(tab) {
+        if (tab.categorySource === 'rules_engine' && tab.ruleMatch) {
+            return tab.ruleMatch.confidence;
+        }
+        if (tab.categorySource === 'ai' && tab.aiCluster && tab.aiCluster.prototype) {
+            return tab.aiCluster.prototype.confidence;
+        }
+        if (tab.categorySource === 'correction' && tab.correction) {
+            return tab.correction.confidence;
+        }
+        return tab.categoryMatch ? tab.categoryMatch.confidence : 0;
+    }
+
+    /**
+     * Explain which signals placed a tab in its category
+     * Category-match scores are points; later stages report a 0-1 confidence
+     */
+    explainTab(tab, group = null) {
+        const categoryId = tab.category || 'general';
+        const contributions = [];
+        const add = (stage, contribution) => contributions.push({
+            stage: stage,
+            ...contribution,
+            supports: contribution.categoryId === categoryId
+        });
+
+        if (tab.categoryMatch) {
+            for (const contribution of tab.categoryMatch.contributions || []) {
+                add('category_match', { ...contribution, categoryId: tab.categoryMatch.categoryId, unit: 'points' });
+            }
+        }
+
+        if (tab.ruleMatch) {
+            add('rules_engine', {
+                type: 'rule',
+                id: tab.ruleMatch.ruleId,
+                detail: tab.ruleMatch.ruleName,
+                categoryId: tab.ruleMatch.category,
+                score: tab.ruleMatch.confidence,
+                unit: 'confidence'
+            });
+        }
+
+        if (tab.aiCluster) {
+            const { clusterId, clusterLabel, clusterConfidence, clusterCategory, prototype } = tab.aiCluster;
+            if (clusterId !== undefined) {
+                add('ai', {
+                    type: 'ai_cluster',
+                    id: clusterId,
+                    detail: clusterLabel,
+                    categoryId: clusterCategory ? clusterCategory.categoryId : null,
+                    score: clusterConfidence,
+                    unit: 'confidence'
+                });
+            }
+            if (prototype) {
+                add('ai', {
+                    type: 'ai_prototype',
+                    detail: `similarity ${prototype.similarity}, margin ${prototype.margin}`,
+                    categoryId: prototype.categoryId,
+                    score: prototype.confidence,
+                    unit: 'confidence'
+                });
+            }
+        }
+
+        if (tab.correction) {
+            add('correction', {
+                type: 'correction',
+                id: tab.correction.id,
+                detail: tab.correction.fromCategory,
+                categoryId: tab.correction.toCategory,
+                score: tab.correction.confidence,
+                unit: 'confidence'
+            });
+        }
+
+        if (tab.customRule) {
+            const rule = this.customRules.find(r => r.id === tab.customRule);
+            add('custom_rule', {
+                type: 'custom_rule',
+                id: tab.customRule,
+                detail: rule ? rule.name || rule.id : tab.customRule,
+                categoryId: rule ? rule.category : categoryId,
+                score: null,
+                unit: null
+            });
+        }
+
+        if (group && group.subcategory && tab.subcategoryMatch) {
+            add('grouping', {
+                type: 'subcategory',
+                id: tab.subcategoryMatch.id,
+                detail: tab.subcategoryMatch.source === 'rules_engine' ?
+                    tab.subcategoryMatch.name :
+                    `${tab.subcategoryMatch.name}: ${tab.subcategoryMatch.keywords.join(', ')}`,
+                categoryId: categoryId,
+                score: null,
+                unit: null
+            });
+        }
+
+        // Grouping can still move a tab out of its category's group
+        const groupCategory = group ? group.parentGroup || group.categoryId : categoryId;
+        if (groupCategory !== categoryId) {
+            add('grouping', {
+                type: groupCategory === 'general' ? 'small_group' : 'merged',
+                detail: groupCategory,
+                categoryId: groupCategory,
+                score: null,
+                unit: null
+            });
+        }
+
+        const category = this.defaultCategories[categoryId];
+        return {
+            tabId: tab.tabId,
+            categoryId: categoryId,
+            categoryName: category ? category.name : categoryId.charAt(0).toUpperCase() + categoryId.slice(1),
+            source: tab.categorySource || (tab.categoryMatch ? 'rules' : 'none'),
+            confidence: this.getTabConfidence(tab),
+            contributions: contributions,
+            runnerUp: tab.categoryMatch ? tab.categoryMatch.runnerUp || null : null
+        };
+    }
+
+    /**
+     * Apply the rules engine; a matching rule wins when it is at least as confident
+     */
+    applyRulesEngine(categorizedTabs, userRules = [], disabled = new Set()) {
+        // The rules engine expects Chrome tab field names
+        const ruleTabs = categorizedTabs.map(tab => ({
+            ...tab,
+            pinned: tab.isPinned,
+            active: tab.isActive
+        }));
+        const results = this.rulesEngine.applyRules(ruleTabs, userRules);
+
+        return categorizedTabs.map((tab, index) => {
+            const result = results[index];
+            if (!result.rule || disabled.has(result.category)) return tab;
+
+            const ruleMatch = {
+                ruleId: result.rule.id,
+                ruleName: result.rule.name,
+                category: result.category,
+                subcategory: result.subcategory,
+                confidence: result.confidence,
+                actions: result.actions
+            };
+            const currentConfidence = tab.categoryMatch ? tab.categoryMatch.confidence : 0;
+
+            if (!tab.category || tab.category === 'general' || result.confidence >= currentConfidence) {
+                return {
+                    ...tab,
+                    category: result.category,
+                    subcategory: result.subcategory || null,
+                    ruleMatch: ruleMatch,
+                    categorySource: 'rules_engine'
+                };
+            }
+
+            return { ...tab, ruleMatch: ruleMatch };
+        });
+    }
+
+    /**
+     * Schema type mapper for the user's mappings, falling back to the built-in ones
+     */
+    getSchemaTypeMapper(mappings) {
+        try {
+            return new SchemaTypeMapper(mappings);
+        } catch (error) {
+            console.warn('Ignoring invalid schema type mappings:', error.message);
+            return new SchemaTypeMapper();
+        }
+    }
+
     /**
      * Apply rule-based categorization
      */
-    applyRuleBasedCategorization(analyzedTabs) {
+    applyRuleBasedCategorization(analyzedTabs, useAnalyzer = true, disabled = new Set(), schemaTypes = null) {
+        const urlFeatureCategories = {
+            isShoppingUrl: 'shopping',
+            isDevUrl: 'development',
+            isSocialUrl: 'social',
+            isVideoUrl: 'entertainment',
+            isNewsUrl: 'news',
+            isEmailUrl: 'communication',
+            isWorkUrl: 'work'
+        };
+
         return analyzedTabs.map(tab => {
             let bestMatch = null;
+            let runnerUp = null;
             let bestScore = 0;
+            // Only set when deep analysis read the page
+            const schemaVotes = schemaTypes && tab.contentFeatures ? schemaTypes.votes(tab.contentFeatures.schemaTypes) : [];
 
             // Check each default category
             for (const [categoryId, category] of Object.entries(this.defaultCategories)) {
+                if (disabled.has(categoryId)) continue;
                 let score = 0;
+                const contributions = []; // What added to the score, for explanations
 
                 // Domain matching (highest weight)
                 const domain = tab.domain.toLowerCase();
-                if (category.domains.some(d => domain.includes(d) || d.includes(domain))) {
+                const matchedDomain = category.domains.find(d => domain.includes(d) || d.includes(domain));
+                if (matchedDomain) {
                     score += 5;
+                    contributions.push({ type: 'domain', detail: matchedDomain, score: 5 });
                 }
 
                 // Keyword matching in title
@@ -217,41 +514,63 @@ class SmartCategorizer {
                 for (const keyword of category.keywords) {
                     if (title.includes(keyword)) {
                         score += 2;
+                        contributions.push({ type: 'keyword', detail: keyword, score: 2 });
                     }
                 }
 
                 // Pattern matching
-                if (category.patterns.test(tab.url) || category.patterns.test(tab.title)) {
+                if (this.patterns.matches(category.patterns, tab.url) || this.patterns.matches(category.patterns, tab.title)) {
                     score += 3;
+                    contributions.push({ type: 'pattern', detail: category.patterns.source, score: 3 });
+                }
+
+                // Schema.org types the page declares
+                for (const vote of schemaVotes) {
+                    if (vote.categoryId === categoryId) {
+                        score += vote.weight;
+                        contributions.push({ type: 'schema_type', detail: vote.type, score: vote.weight });
+                    }
                 }
 
                 // URL features matching
-                if (tab.urlFeatures) {
-                    if (categoryId === 'shopping' && tab.urlFeatures.isShoppingUrl) score += 4;
-                    if (categoryId === 'development' && tab.urlFeatures.isDevUrl) score += 4;
-                    if (categoryId === 'social' && tab.urlFeatures.isSocialUrl) score += 4;
-                    if (categoryId === 'entertainment' && tab.urlFeatures.isVideoUrl) score += 4;
-                    if (categoryId === 'news' && tab.urlFeatures.isNewsUrl) score += 4;
-                    if (categoryId === 'communication' && tab.urlFeatures.isEmailUrl) score += 4;
-                    if (categoryId === 'work' && tab.urlFeatures.isWorkUrl) score += 4;
+                if (useAnalyzer && tab.urlFeatures) {
+                    for (const [feature, featureCategory] of Object.entries(urlFeatureCategories)) {
+                        if (categoryId === featureCategory && tab.urlFeatures[feature]) {
+                            score += 4;
+                            contributions.push({ type: 'url_feature', detail: feature, score: 4 });
+                        }
+                    }
                 }
 
                 // Check suggested category from analyzer
-                if (tab.suggestedCategory && tab.suggestedCategory.toLowerCase() === categoryId) {
+                if (useAnalyzer && tab.suggestedCategory && tab.suggestedCategory.toLowerCase() === categoryId) {
                     score += 3;
+                    contributions.push({
+                        type: 'analyzer',
+                        detail: (tab.signals || []).join(', ') || tab.suggestedCategory,
+                        score: 3
+                    });
                 }
 
                 if (score > bestScore) {
+                    runnerUp = bestMatch;
                     bestScore = score;
                     bestMatch = {
                         categoryId: categoryId,
                         category: category,
                         score: score,
-                        confidence: Math.min(score / 15, 1) // Normalize to 0-1
+                        confidence: Math.min(score / 15, 1), // Normalize to 0-1
+                        contributions: contributions
                     };
+                } else if (score > 0 && (!runnerUp || score > runnerUp.score)) {
+                    runnerUp = { categoryId: categoryId, score: score };
                 }
             }
 
+            if (bestMatch) {
+                bestMatch.runnerUp = runnerUp ? { categoryId: runnerUp.categoryId, score: runnerUp.score } : null;
+            }
+
             return {
                 ...tab,
                 category: bestMatch ? bestMatch.categoryId : 'general',
@@ -264,17 +583,29 @@ class SmartCategorizer {
     /**
      * Apply AI-based clustering (connects to offscreen AI processor)
      */
-    async applyAIClustering(categorizedTabs, threshold) {
+    async applyAIClustering(categorizedTabs, threshold, options = {}) {
+        const { disabledCategories, ...rest } = options;
+        const aiOptions = { ...rest, categories: this.getPrototypeCategories(new Set(disabledCategories || [])) };
+
         try {
             // Send to AI processor if available
-            const response = await chrome.runtime.sendMessage({
-                type: 'CLUSTER_TABS',
-                tabs: categorizedTabs,
-                threshold: threshold
-            });
+            const response = this.aiProvider ?
+                await this.aiProvider.clusterTabs(categorizedTabs, threshold, aiOptions) :
+                await chrome.runtime.sendMessage({
+                    type: 'CLUSTER_TABS',
+                    tabs: categorizedTabs,
+                    threshold: threshold,
+                    ...aiOptions
+                });
 
             if (response && response.success) {
-                return this.mergeAIResults(categorizedTabs, response.clusters);
+                // Reported alongside the preview so strategies can be compared
+                this.lastClustering = {
+                    strategy: response.strategy,
+                    name: response.strategyName,
+                    clusters: response.clusters.length
+                };
+                return this.mergeAIResults(categorizedTabs, response.clusters, response.assignments);
             }
         } catch (error) {
             console.log('AI clustering not available, using rule-based only');
@@ -283,10 +614,24 @@ class SmartCategorizer {
         return categorizedTabs;
     }
 
+    /**
+     * Categories sent to the AI processor to build prototype embeddings
+     */
+    getPrototypeCategories(disabled = new Set()) {
+        return Object.values(this.defaultCategories).filter(category => !disabled.has(category.id)).map(category => ({
+            id: category.id,
+            name: category.name,
+            description: category.description || '',
+            keywords: category.keywords || []
+        }));
+    }
+
     /**
      * Merge AI clustering results with rule-based results
+     * Prototype assignments map tabs straight to a category; clusters fill in
+     * for tabs without a confident assignment of their own
      */
-    mergeAIResults(categorizedTabs, aiClusters) {
+    mergeAIResults(categorizedTabs, aiClusters, assignments = []) {
         // Create a map of tab ID to AI cluster
         const aiClusterMap = new Map();
         
@@ -295,65 +640,93 @@ class SmartCategorizer {
                 aiClusterMap.set(tab.id, {
                     clusterId: index,
                     clusterLabel: cluster.label,
-                    clusterConfidence: cluster.confidence
+                    clusterConfidence: cluster.confidence,
+                    clusterCategory: cluster.category || null
                 });
             });
         });
 
+        const assignmentMap = new Map(assignments.map(assignment => [assignment.tabId, assignment]));
+
         return categorizedTabs.map(tab => {
             const aiInfo = aiClusterMap.get(tab.tabId);
-            
-            if (aiInfo) {
-                // If AI confidence is high, override rule-based category
-                if (aiInfo.clusterConfidence > 0.7 && (!tab.categoryMatch || tab.categoryMatch.confidence < 0.6)) {
-                    return {
-                        ...tab,
-                        category: this.mapAILabelToCategory(aiInfo.clusterLabel),
-                        aiCluster: aiInfo,
-                        categorySource: 'ai'
-                    };
-                }
-                
-                // Otherwise, add AI info but keep rule-based category
+            const assignment = assignmentMap.get(tab.tabId) || null;
+
+            // Prefer the tab's own assignment, fall back to its cohesive cluster's
+            let prototype = assignment;
+            if (aiInfo && aiInfo.clusterCategory && aiInfo.clusterConfidence > 0.7 &&
+                (!prototype || prototype.confidence < aiInfo.clusterCategory.confidence)) {
+                prototype = aiInfo.clusterCategory;
+            }
+
+            if (!aiInfo && !prototype) {
                 return {
                     ...tab,
-                    aiCluster: aiInfo,
-                    categorySource: 'hybrid'
+                    categorySource: tab.categorySource || 'rules'
                 };
             }
-            
+
+            const aiDetails = {
+                ...(aiInfo || {}),
+                prototype: prototype
+            };
+
+            // If the AI is confident, override a weak rule-based category
+            if (prototype && prototype.confidence >= 0.5 &&
+                this.defaultCategories[prototype.categoryId] &&
+                this.getTabConfidence(tab) < 0.6) {
+                return {
+                    ...tab,
+                    category: prototype.categoryId,
+                    aiCluster: aiDetails,
+                    categorySource: 'ai'
+                };
+            }
+
+            // Otherwise, add AI info but keep rule-based category
             return {
                 ...tab,
-                categorySource: 'rules'
+                aiCluster: aiDetails,
+                categorySource: 'hybrid'
             };
         });
     }
 
     /**
-     * Map AI cluster labels to categories
+     * Apply learned corrections to tabs that resemble ones the user moved
      */
-    mapAILabelToCategory(aiLabel) {
-        const labelLower = aiLabel.toLowerCase();
-        
-        // Try to match with existing categories
-        for (const [categoryId, category] of Object.entries(this.defaultCategories)) {
-            if (labelLower.includes(categoryId) || 
-                labelLower.includes(category.name.toLowerCase()) ||
-                category.keywords.some(k => labelLower.includes(k))) {
-                return categoryId;
-            }
+    applyCorrections(categorizedTabs) {
+        if (this.corrections.length === 0 || typeof CorrectionStore === 'undefined') {
+            return categorizedTabs;
         }
-        
-        // Default mapping for common AI labels
-        if (labelLower.includes('development') || labelLower.includes('code')) return 'development';
-        if (labelLower.includes('social')) return 'social';
-        if (labelLower.includes('shop')) return 'shopping';
-        if (labelLower.includes('media') || labelLower.includes('video')) return 'entertainment';
-        if (labelLower.includes('work')) return 'work';
-        if (labelLower.includes('research')) return 'research';
-        if (labelLower.includes('news')) return 'news';
-        
-        return 'general';
+
+        return categorizedTabs.map(tab => {
+            const match = CorrectionStore.findMatch(this.corrections, tab);
+            if (!match) return tab;
+
+            return {
+                ...tab,
+                category: match.correction.toCategory,
+                correction: {
+                    id: match.correction.id,
+                    fromCategory: tab.category,
+                    toCategory: match.correction.toCategory,
+                    confidence: match.confidence
+                },
+                categorySource: 'correction'
+            };
+        });
+    }
+
+    /**
+     * Find a category ID by its display name (e.g. a tab group title)
+     * Subgroup titles ("Work · Meetings", "Work 2") map to their parent category
+     */
+    findCategoryIdByName(name) {
+        const nameLower = (name || '').split(' · ')[0].replace(/ \d+$/, '').trim().toLowerCase();
+        const match = Object.values(this.defaultCategories || {})
+            .find(category => category.name.toLowerCase() === nameLower || category.id === nameLower);
+        return match ? match.id : null;
     }
 
     /**
@@ -384,16 +757,14 @@ class SmartCategorizer {
     evaluateRule(rule, tab) {
         // Check domain condition
         if (rule.domain) {
-            const domainPattern = new RegExp(rule.domain, 'i');
-            if (!domainPattern.test(tab.domain)) {
+            if (!this.patterns.test(rule.domain, tab.domain)) {
                 return false;
             }
         }
         
         // Check URL pattern
         if (rule.urlPattern) {
-            const urlPattern = new RegExp(rule.urlPattern, 'i');
-            if (!urlPattern.test(tab.url)) {
+            if (!this.patterns.test(rule.urlPattern, tab.url)) {
                 return false;
             }
         }
@@ -449,7 +820,7 @@ class SmartCategorizer {
         for (const group of groups.values()) {
             if (group.tabs.length > 0) {
                 const totalConfidence = group.tabs.reduce((sum, tab) => 
-                    sum + (tab.categoryMatch ? tab.categoryMatch.confidence : 0), 0
+                    sum + this.getTabConfidence(tab), 0
                 );
                 group.avgConfidence = totalConfidence / group.tabs.length;
             }
@@ -487,16 +858,18 @@ class SmartCategorizer {
 
     /**
      * Optimize groups by merging small ones and splitting large ones
+     * splitMode 'subcategory' splits large groups by subcategory before falling back to size
      */
-    optimizeGroups(groups) {
+    optimizeGroups(groups, maxGroupSize = 20, splitMode = 'size') {
         const optimized = [];
-        const maxGroupSize = 20;
         const minGroupSize = 2;
         
         for (const group of groups) {
             // Split large groups
             if (group.tabs.length > maxGroupSize) {
-                const subgroups = this.splitLargeGroup(group, maxGroupSize);
+                const subgroups = splitMode === 'subcategory' ?
+                    this.splitBySubcategory(group, maxGroupSize, minGroupSize) :
+                    this.splitLargeGroup(group, maxGroupSize);
                 optimized.push(...subgroups);
             } 
             // Keep normal-sized groups
@@ -549,6 +922,100 @@ class SmartCategorizer {
         return subgroups;
     }
 
+    /**
+     * Split a large group by subcategory ("Work · Meetings")
+     * Tabs without a subcategory, and subcategories too small to stand alone, stay in the parent
+     */
+    splitBySubcategory(group, maxSize, minSize = 2) {
+        const category = this.defaultCategories[group.categoryId];
+        if (!category || Object.keys(category.subcategories || {}).length === 0) {
+            return this.splitLargeGroup(group, maxSize);
+        }
+
+        const buckets = new Map();
+        const remainder = [];
+        for (const tab of group.tabs) {
+            const match = this.matchSubcategory(tab, category);
+            if (!match) {
+                remainder.push(tab);
+                continue;
+            }
+            if (!buckets.has(match.id)) {
+                buckets.set(match.id, { subcategory: { id: match.id, name: match.name }, tabs: [] });
+            }
+            buckets.get(match.id).tabs.push({ ...tab, subcategoryMatch: match });
+        }
+
+        const subgroups = [];
+        for (const bucket of buckets.values()) {
+            if (bucket.tabs.length < minSize) {
+                remainder.push(...bucket.tabs);
+                continue;
+            }
+            subgroups.push({
+                ...group,
+                categoryId: `${group.categoryId}_${bucket.subcategory.id}`,
+                categoryInfo: {
+                    ...group.categoryInfo,
+                    name: `${group.categoryInfo.name} · ${bucket.subcategory.name}`
+                },
+                tabs: bucket.tabs,
+                subcategory: bucket.subcategory,
+                isSubgroup: true,
+                parentGroup: group.categoryId
+            });
+        }
+
+        // Nothing to split on
+        if (subgroups.length === 0) {
+            return this.splitLargeGroup(group, maxSize);
+        }
+
+        if (remainder.length > 0) {
+            subgroups.push({ ...group, tabs: remainder });
+        }
+
+        // A subcategory can still be too large on its own
+        return subgroups.flatMap(subgroup => subgroup.tabs.length > maxSize ?
+            this.splitLargeGroup(subgroup, maxSize).map(part => ({ ...part, parentGroup: group.categoryId })) :
+            [subgroup]);
+    }
+
+    /**
+     * Best subcategory for a tab: the rules engine's subcategory, else the most keyword hits
+     * (ties go to the higher priority)
+     */
+    matchSubcategory(tab, category) {
+        const subcategories = category.subcategories || {};
+
+        if (tab.ruleMatch && tab.ruleMatch.subcategory && tab.ruleMatch.category === category.id) {
+            const id = tab.ruleMatch.subcategory;
+            return {
+                id: id,
+                name: subcategories[id] ? subcategories[id].name : id.charAt(0).toUpperCase() + id.slice(1),
+                source: 'rules_engine',
+                keywords: []
+            };
+        }
+
+        const text = `${tab.title} ${tab.url}`.toLowerCase();
+        let best = null;
+        for (const [id, subcategory] of Object.entries(subcategories)) {
+            const keywords = (subcategory.keywords || []).filter(keyword => text.includes(keyword.toLowerCase()));
+            if (keywords.length === 0) continue;
+
+            const priority = subcategory.priority || 0;
+            if (!best || keywords.length > best.keywords.length ||
+                (keywords.length === best.keywords.length && priority > best.priority)) {
+                best = { id, name: subcategory.name, source: 'keywords', keywords, priority };
+            }
+        }
+
+        if (!best) return null;
+        const { priority, ...match } = best;
+        return match;
+    }
+
     /**
      * Merge small groups that are similar
      */
@@ -624,6 +1091,12 @@ class SmartCategorizer {
             
             // Add tab IDs for easy reference
             const tabIds = group.tabs.map(tab => tab.tabId);
+
+            // Why each tab ended up here, keyed by tab ID
+            const explanations = {};
+            for (const tab of group.tabs) {
+                explanations[tab.tabId] = this.explainTab(tab, group);
+            }
             
             return {
                 id: `group_${group.categoryId}_${Date.now()}`,
@@ -634,11 +1107,13 @@ class SmartCategorizer {
                 color: group.categoryInfo.color,
                 tabs: group.tabs,
                 tabIds: tabIds,
+                explanations: explanations,
                 tabCount: group.tabs.length,
                 confidence: group.avgConfidence,
                 quality: qualityScore,
                 isSubgroup: group.isSubgroup || false,
                 parentGroup: group.parentGroup || null,
+                subcategory: group.subcategory || null,
                 metadata: {
                     createdAt: Date.now(),
                     source: this.determinePrimarySource(group.tabs),
@@ -774,6 +1249,13 @@ class SmartCategorizer {
      * Add a custom rule
      */
     addCustomRule(rule) {
+        for (const key of ['domain', 'urlPattern']) {
+            const result = rule[key] ? this.patterns.check(rule[key]) : { valid: true };
+            if (!result.valid) {
+                throw new Error(`Invalid ${key} "${rule[key]}": ${result.error}`);
+            }
+        }
+
         this.customRules.push({
             id: `rule_${Date.now()}`,
             ...rule,
@@ -0,0 +1,240 @@
+/**
+ * Correction Store - Learns from tabs the user moves between TabSorter groups
+ * Records corrections, tracks which groups TabSorter created and matches new tabs
+ */
+
+class CorrectionStore {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'categoryCorrections';
+        this.trackingKey = options.trackingKey || 'sortedGroups';
+        this.maxCorrections = options.maxCorrections || 200;
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Read-modify-writes are queued so events arriving together don't overwrite each other
+     */
+    queue(change) {
+        const result = this.writes.then(change);
+        // Callers get the error; the queue carries on
+        this.writes = result.catch(() => {});
+        return result;
+    }
+
+    /**
+     * Features a correction is matched on: domain and title words
+     */
+    static featuresOf(tab) {
+        let domain = '';
+        try {
+            domain = new URL(tab.url).hostname.replace(/^www\./, '').toLowerCase();
+        } catch {
+            domain = (tab.domain || '').toLowerCase();
+        }
+
+        const stopWords = new Set(['the', 'and', 'for', 'with', 'you', 'your', 'from', 'this', 'that', 'are', 'how']);
+        const tokens = [...new Set(
+            (tab.title || '').toLowerCase()
+                .split(/[^a-z0-9]+/)
+                .filter(word => word.length >= 3 && !stopWords.has(word) && !/^\d+$/.test(word))
+        )];
+
+        return { domain, tokens };
+    }
+
+    /**
+     * Best matching enabled correction for a tab, or null
+     */
+    static findMatch(corrections, tab) {
+        const features = CorrectionStore.featuresOf(tab);
+        let best = null;
+
+        for (const correction of corrections) {
+            if (correction.enabled === false) continue;
+
+            const sameDomain = !!features.domain && correction.domain === features.domain;
+            let confidence = 0;
+
+            if (correction.scope === 'domain') {
+                confidence = sameDomain ? 0.9 : 0;
+            } else {
+                const overlap = CorrectionStore.tokenOverlap(correction.tokens, features.tokens);
+                if (sameDomain && overlap >= 0.2) {
+                    confidence = 0.5 + overlap / 2;
+                } else if (overlap >= 0.6) {
+                    confidence = overlap * 0.8;
+                }
+            }
+
+            if (confidence > 0 && (!best || confidence > best.confidence ||
+                (confidence === best.confidence && correction.updatedAt > best.correction.updatedAt))) {
+                best = { correction, confidence };
+            }
+        }
+
+        return best;
+    }
+
+    /**
+     * Jaccard overlap of two word lists
+     */
+    static tokenOverlap(a = [], b = []) {
+        if (a.length === 0 || b.length === 0) return 0;
+        const setB = new Set(b);
+        const intersection = a.filter(word => setB.has(word)).length;
+        return intersection / (new Set([...a, ...b]).size);
+    }
+
+    /**
+     * Record that a tab belongs in another category
+     */
+    record(tab, fromCategory, toCategory, toCategoryName) {
+        return this.queue(async () => {
+            const features = CorrectionStore.featuresOf(tab);
+            const corrections = await this.getAll();
+            const now = Date.now();
+
+            // The same tab features corrected again replace the earlier correction
+            const existing = corrections.find(correction =>
+                correction.domain === features.domain &&
+                CorrectionStore.tokenOverlap(correction.tokens, features.tokens) === 1
+            );
+
+            if (existing) {
+                existing.count = existing.toCategory === toCategory ? (existing.count || 1) + 1 : 1;
+                Object.assign(existing, {
+                    fromCategory, toCategory, toCategoryName,
+                    title: tab.title || '',
+                    enabled: true,
+                    updatedAt: now
+                });
+            } else {
+                corrections.unshift({
+                    id: `correction_${now}_${Math.random().toString(36).slice(2, 7)}`,
+                    domain: features.domain,
+                    tokens: features.tokens,
+                    title: tab.title || '',
+                    url: tab.url,
+                    fromCategory: fromCategory,
+                    toCategory: toCategory,
+                    toCategoryName: toCategoryName,
+                    scope: 'similar',
+                    enabled: true,
+                    count: 1,
+                    createdAt: now,
+                    updatedAt: now
+                });
+            }
+
+            await this.save(corrections);
+            return existing || corrections[0];
+        });
+    }
+
+    /**
+     * Get all corrections (most recent first)
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get(this.storageKey);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Edit a correction's target, scope or enabled state
+     */
+    update(id, changes) {
+        return this.queue(async () => {
+            const corrections = await this.getAll();
+            const correction = corrections.find(c => c.id === id);
+            if (!correction) {
+                throw new Error(`Correction ${id} not found`);
+            }
+
+            for (const key of ['toCategory', 'toCategoryName', 'scope', 'enabled']) {
+                if (changes[key] !== undefined) {
+                    correction[key] = changes[key];
+                }
+            }
+            correction.updatedAt = Date.now();
+
+            await this.save(corrections);
+            return correction;
+        });
+    }
+
+    remove(id) {
+        return this.queue(async () => {
+            const corrections = await this.getAll();
+            await this.save(corrections.filter(c => c.id !== id));
+        });
+    }
+
+    clear() {
+        return this.queue(() => chrome.storage.local.remove(this.storageKey));
+    }
+
+    async save(corrections) {
+        await chrome.storage.local.set({
+            [this.storageKey]: corrections.slice(0, this.maxCorrections)
+        });
+    }
+
+    /**
+     * Group IDs only live for the browser session
+     */
+    get trackingArea() {
+        return chrome.storage.session || chrome.storage.local;
+    }
+
+    /**
+     * Remember which groups a sort created: { groupId: { title, categoryId, tabIds } }
+     */
+    trackGroups(groups) {
+        return this.queue(async () => {
+            const tracked = await this.getTrackedGroups();
+
+            // A tab belongs to the group it was sorted into most recently
+            const claimed = new Set(Object.values(groups).flatMap(group => group.tabIds));
+            for (const group of Object.values(tracked)) {
+                group.tabIds = group.tabIds.filter(id => !claimed.has(id));
+            }
+
+            await this.trackingArea.set({ [this.trackingKey]: { ...tracked, ...groups } });
+        });
+    }
+
+    async getTrackedGroups() {
+        const result = await this.trackingArea.get(this.trackingKey);
+        return result[this.trackingKey] || {};
+    }
+
+    /**
+     * Move a tab's membership from one tracked group to another
+     * Returns the tracked group it left, or null if it wasn't in a different one
+     */
+    moveTrackedTab(tabId, toGroupId) {
+        return this.queue(async () => {
+            const tracked = await this.getTrackedGroups();
+            const source = Object.entries(tracked).find(([, group]) => group.tabIds.includes(tabId));
+            if (!source || Number(source[0]) === toGroupId) return null;
+
+            for (const [groupId, group] of Object.entries(tracked)) {
+                group.tabIds = group.tabIds.filter(id => id !== tabId);
+                if (Number(groupId) === toGroupId) {
+                    group.tabIds.push(tabId);
+                }
+            }
+            await this.trackingArea.set({ [this.trackingKey]: tracked });
+            return source[1];
+        });
+    }
+
+    clearTracking() {
+        return this.queue(() => this.trackingArea.remove(this.trackingKey));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorrectionStore;
+}
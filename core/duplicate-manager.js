@@ -0,0 +1,233 @@
+/**
+ * Duplicate Manager - Finds tabs showing the same page
+ * Compares normalized URLs, optionally page text fingerprints, and plans which copies to close
+ */
+
+class DuplicateManager {
+    /**
+     * Query parameters that only track where a visit came from
+     */
+    static TRACKING_PARAMS = new Set([
+        'fbclid', 'gclid', 'gclsrc', 'dclid', 'msclkid', 'yclid', 'twclid', 'igshid', 'mc_cid', 'mc_eid',
+        '_ga', '_gl', '_hsenc', '_hsmi', 'mkt_tok', 'oly_anon_id', 'oly_enc_id', 'vero_id', 'wickedid',
+        'ref_src', 'ref_url', 'si', 'spm', 'cmpid', 'amp', 'outputtype'
+    ]);
+
+    static MOBILE_SUBDOMAINS = /^(?:www|m|mobile|amp)\./;
+
+    constructor(options = {}) {
+        this.fingerprintTimeout = options.fingerprintTimeout || 2000;
+        this.maxFingerprintText = options.maxFingerprintText || 20000;
+    }
+
+    /**
+     * Comparable form of a URL, or null for pages that aren't web pages
+     * Drops tracking parameters, fragments, trailing slashes and AMP/mobile variants
+     */
+    static normalizeUrl(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return null;
+        }
+        if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') return null;
+
+        let host = parsed.hostname.toLowerCase();
+        while (DuplicateManager.MOBILE_SUBDOMAINS.test(host)) {
+            host = host.replace(DuplicateManager.MOBILE_SUBDOMAINS, '');
+        }
+        if (parsed.port) host += `:${parsed.port}`;
+
+        const path = parsed.pathname
+            .replace(/\/amp(?=\/|$)/i, '')
+            .replace(/\.amp(?=\.html?$|$)/i, '')
+            .replace(/\/index\.html?$/i, '/')
+            .replace(/\/+$/, '');
+
+        const params = [...parsed.searchParams]
+            .filter(([key]) => !key.toLowerCase().startsWith('utm_') && !DuplicateManager.TRACKING_PARAMS.has(key.toLowerCase()))
+            .sort(([a], [b]) => a.localeCompare(b));
+        const query = params.length > 0 ? `?${new URLSearchParams(params)}` : '';
+
+        // Hash routes ("#/inbox", "#!/page") pick the page in single-page apps; other fragments are just anchors
+        const hash = /^#!?\//.test(parsed.hash) ? parsed.hash : '';
+
+        return `${host}${path}${query}${hash}`;
+    }
+
+    /**
+     * Group tabs showing the same page
+     * fingerprints: optional Map of tab ID -> page text fingerprint
+     * Returns [{ key, reason, tabs, keepTabId, closeTabIds }] with the tab to keep first
+     */
+    findClusters(tabs, fingerprints = null) {
+        const parent = new Map(tabs.map(tab => [tab.id, tab.id]));
+        const find = id => {
+            while (parent.get(id) !== id) {
+                parent.set(id, parent.get(parent.get(id)));
+                id = parent.get(id);
+            }
+            return id;
+        };
+        const reasons = new Map(); // root tab ID -> 'url' | 'content'
+
+        const join = (byKey, reason) => {
+            for (const ids of byKey.values()) {
+                for (const id of ids.slice(1)) {
+                    const a = find(ids[0]);
+                    const b = find(id);
+                    if (a === b) continue;
+                    parent.set(b, a);
+                    // Clusters found by URL stay 'url' even when content joins more tabs in
+                    reasons.set(a, reasons.get(a) === 'url' || reasons.get(b) === 'url' ? 'url' : reason);
+                }
+            }
+        };
+
+        const byUrl = new Map();
+        for (const tab of tabs) {
+            const key = DuplicateManager.normalizeUrl(tab.url);
+            if (!key) continue;
+            if (!byUrl.has(key)) byUrl.set(key, []);
+            byUrl.get(key).push(tab.id);
+        }
+        join(byUrl, 'url');
+
+        if (fingerprints) {
+            const byContent = new Map();
+            for (const tab of tabs) {
+                const fingerprint = fingerprints.get(tab.id);
+                if (!fingerprint) continue;
+                if (!byContent.has(fingerprint)) byContent.set(fingerprint, []);
+                byContent.get(fingerprint).push(tab.id);
+            }
+            join(byContent, 'content');
+        }
+
+        const clusters = new Map();
+        for (const tab of tabs) {
+            const root = find(tab.id);
+            if (!clusters.has(root)) clusters.set(root, []);
+            clusters.get(root).push(tab);
+        }
+
+        return [...clusters.entries()]
+            .filter(([, members]) => members.length > 1)
+            .map(([root, members]) => {
+                const ordered = members.sort((a, b) => DuplicateManager.keepScore(b) - DuplicateManager.keepScore(a));
+                return {
+                    key: DuplicateManager.normalizeUrl(ordered[0].url),
+                    reason: reasons.get(root) || 'url',
+                    tabs: ordered,
+                    keepTabId: ordered[0].id,
+                    // Pinned copies stay; they were pinned on purpose
+                    closeTabIds: ordered.slice(1).filter(tab => !tab.pinned).map(tab => tab.id)
+                };
+            })
+            .filter(cluster => cluster.closeTabIds.length > 0)
+            .sort((a, b) => b.tabs.length - a.tabs.length);
+    }
+
+    /**
+     * Which copy to keep: the active tab, then pinned, then the most recently used
+     */
+    static keepScore(tab) {
+        return (tab.active ? 4e13 : 0) + (tab.pinned ? 2e13 : 0) + (tab.lastAccessed || tab.id || 0);
+    }
+
+    /**
+     * Number of tabs closing duplicates would close
+     */
+    countDuplicates(tabs) {
+        return this.findClusters(tabs).reduce((sum, cluster) => sum + cluster.closeTabIds.length, 0);
+    }
+
+    /**
+     * Fingerprint the visible text of loaded web pages
+     * Tabs that can't be read (discarded, still loading, restricted pages) are left out
+     */
+    async getFingerprints(tabs) {
+        const fingerprints = new Map();
+        const readable = tabs.filter(tab =>
+            DuplicateManager.normalizeUrl(tab.url) && !tab.discarded && tab.status === 'complete');
+
+        await Promise.all(readable.map(async tab => {
+            try {
+                const fingerprint = await this.withTimeout(this.fingerprintTab(tab.id), this.fingerprintTimeout);
+                if (fingerprint) fingerprints.set(tab.id, fingerprint);
+            } catch (error) {
+                console.debug(`No fingerprint for tab ${tab.id}:`, error.message);
+            }
+        }));
+
+        return fingerprints;
+    }
+
+    async fingerprintTab(tabId) {
+        const [injection] = await chrome.scripting.executeScript({
+            target: { tabId },
+            func: DuplicateManager.pageFingerprint,
+            args: [this.maxFingerprintText]
+        });
+        return injection ? injection.result : null;
+    }
+
+    /**
+     * Runs in the page: FNV-1a hash of the whitespace-normalized body text
+     * Pages with too little text to tell apart return null
+     */
+    static pageFingerprint(maxLength) {
+        const text = (document.body ? document.body.innerText : '')
+            .replace(/\s+/g, ' ')
+            .trim()
+            .slice(0, maxLength);
+        if (text.length < 200) return null;
+
+        let hash = 0x811c9dc5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return `${text.length}:${(hash >>> 0).toString(16)}`;
+    }
+
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+
+    /**
+     * Close steps in the RuleActionExecutor format, so closes can be undone the same way
+     */
+    planClose(clusters, tabIds = null) {
+        const allowed = tabIds ? new Set(tabIds) : null;
+        const steps = [];
+
+        for (const cluster of clusters) {
+            for (const tab of cluster.tabs) {
+                if (!cluster.closeTabIds.includes(tab.id) || (allowed && !allowed.has(tab.id))) continue;
+                steps.push({
+                    tabId: tab.id,
+                    title: tab.title || '',
+                    url: tab.url,
+                    ruleId: null,
+                    ruleName: 'Duplicate tabs',
+                    type: 'close',
+                    target: null,
+                    description: 'Close duplicate'
+                });
+            }
+        }
+
+        return steps;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DuplicateManager;
+}
@@ -0,0 +1,171 @@
+/**
+ * Group Reconciler - Minimal diff between desired groups and existing tab groups
+ * Makes repeated sorts idempotent by reusing groups instead of duplicating them
+ */
+
+class GroupReconciler {
+    constructor(options = {}) {
+        this.colorFor = options.colorFor || (() => 'grey');
+        this.minOverlap = options.minOverlap || 0.5;
+    }
+
+    /**
+     * Compute the changes needed to turn the window's current groups
+     * into the desired categorization
+     */
+    plan(categorized, windowTabs, existingGroups) {
+        const currentGroupOf = new Map(windowTabs.map(tab => [tab.id, tab.groupId ?? -1]));
+        const membersOf = new Map(existingGroups.map(group => [group.id, new Set()]));
+        for (const tab of windowTabs) {
+            if (membersOf.has(tab.groupId)) {
+                membersOf.get(tab.groupId).add(tab.id);
+            }
+        }
+
+        const desired = Object.entries(categorized)
+            .filter(([, tabs]) => tabs.length > 0)
+            .map(([title, tabs]) => ({
+                title: title,
+                color: this.colorFor(title),
+                tabIds: tabs.map(tab => tab.id),
+                group: null
+            }));
+
+        const unmatched = new Map(existingGroups.map(group => [group.id, group]));
+
+        // Pass 1: reuse groups with the same title
+        for (const target of desired) {
+            const title = target.title.trim().toLowerCase();
+            const match = [...unmatched.values()]
+                .find(group => (group.title || '').trim().toLowerCase() === title);
+            if (match) {
+                target.group = match;
+                unmatched.delete(match.id);
+            }
+        }
+
+        // Pass 2: reuse groups that already hold most of the same tabs
+        for (const target of desired) {
+            if (target.group) continue;
+
+            let best = null;
+            let bestOverlap = 0;
+            for (const group of unmatched.values()) {
+                const overlap = this.calculateOverlap(membersOf.get(group.id), target.tabIds);
+                if (overlap > bestOverlap) {
+                    best = group;
+                    bestOverlap = overlap;
+                }
+            }
+
+            if (best && bestOverlap >= this.minOverlap) {
+                target.group = best;
+                unmatched.delete(best.id);
+            }
+        }
+
+        const entries = desired.map(target => {
+            const groupId = target.group ? target.group.id : null;
+            return {
+                title: target.title,
+                color: target.color,
+                groupId: groupId,
+                addTabIds: target.tabIds.filter(id => groupId === null || currentGroupOf.get(id) !== groupId),
+                rename: !!target.group && target.group.title !== target.title,
+                recolor: !!target.group && target.group.color !== target.color
+            };
+        });
+
+        return {
+            entries: entries,
+            removedGroupIds: this.findEmptiedGroups(entries, membersOf)
+        };
+    }
+
+    /**
+     * Jaccard overlap between a group's members and a set of tab IDs
+     */
+    calculateOverlap(members, tabIds) {
+        if (!members || members.size === 0) return 0;
+
+        const intersection = tabIds.filter(id => members.has(id)).length;
+        const union = new Set([...members, ...tabIds]).size;
+        return intersection / union;
+    }
+
+    /**
+     * Existing groups that lose every tab once the plan is applied
+     */
+    findEmptiedGroups(entries, membersOf) {
+        const targetIds = new Set(entries.map(entry => entry.groupId).filter(id => id !== null));
+        const leaving = new Set(entries.flatMap(entry => entry.addTabIds));
+
+        const emptied = [];
+        for (const [groupId, members] of membersOf) {
+            if (targetIds.has(groupId)) continue;
+            if ([...members].every(id => leaving.has(id))) {
+                emptied.push(groupId);
+            }
+        }
+        return emptied;
+    }
+
+    /**
+     * Summarize a plan for display and logging
+     */
+    summarize(plan) {
+        return {
+            tabsMoved: plan.entries.reduce((sum, entry) => sum + entry.addTabIds.length, 0),
+            groupsCreated: plan.entries.filter(entry => entry.groupId === null).length,
+            groupsReused: plan.entries.filter(entry => entry.groupId !== null).length,
+            groupsRenamed: plan.entries.filter(entry => entry.rename).length,
+            groupsRecolored: plan.entries.filter(entry => entry.recolor).length,
+            groupsRemoved: plan.removedGroupIds.length
+        };
+    }
+
+    /**
+     * Apply only the changes in the plan
+     */
+    async apply(plan, windowId) {
+        for (const entry of plan.entries) {
+            try {
+                let groupId = entry.groupId;
+
+                if (entry.addTabIds.length > 0) {
+                    if (groupId !== null) {
+                        await chrome.tabs.group({ tabIds: entry.addTabIds, groupId: groupId });
+                    } else {
+                        groupId = await chrome.tabs.group({
+                            tabIds: entry.addTabIds,
+                            createProperties: { windowId: windowId }
+                        });
+                    }
+                }
+
+                if (entry.groupId === null) {
+                    await chrome.tabGroups.update(groupId, {
+                        title: entry.title,
+                        color: entry.color,
+                        collapsed: false
+                    });
+                } else if (entry.rename || entry.recolor) {
+                    await chrome.tabGroups.update(groupId, {
+                        title: entry.title,
+                        color: entry.color
+                    });
+                }
+            } catch (error) {
+                console.error('Error reconciling group for', entry.title, error);
+            }
+        }
+
+        // Chrome removes a group automatically once its last tab leaves
+        return this.summarize(plan);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = GroupReconciler;
+}
@@ -0,0 +1,261 @@
+/**
+ * Offscreen Manager - Lifecycle of the offscreen AI document
+ * Creates the document on demand, tracks AI state and closes it when idle
+ */
+
+class OffscreenManager {
+    constructor(options = {}) {
+        this.documentPath = options.documentPath || 'offscreen.html';
+        this.idleMinutes = options.idleMinutes || 5;
+        this.requestTimeout = options.requestTimeout || 60000;
+        this.initTimeout = options.initTimeout || 120000;
+        this.idleAlarmName = 'closeOffscreenAI';
+
+        this.states = {
+            CLOSED: 'CLOSED',
+            CREATING: 'CREATING',
+            INITIALIZING: 'INITIALIZING',
+            READY: 'READY',
+            ERROR: 'ERROR'
+        };
+
+        this.state = this.states.CLOSED;
+        this.aiState = null;      // Last state reported by the processor via ai:status
+        this.lastError = null;
+        this.details = {};
+        this.lastUsed = null;
+        this.creating = null;     // Promise while the document is being created
+        this.initializing = null; // Promise while INIT_AI is in flight
+    }
+
+    /**
+     * Check whether the offscreen document already exists
+     */
+    async hasDocument() {
+        if (chrome.runtime.getContexts) {
+            const contexts = await chrome.runtime.getContexts({
+                contextTypes: ['OFFSCREEN_DOCUMENT'],
+                documentUrls: [chrome.runtime.getURL(this.documentPath)]
+            });
+            return contexts.length > 0;
+        }
+
+        // Older Chrome versions
+        const matchedClients = await clients.matchAll();
+        return matchedClients.some(client => client.url === chrome.runtime.getURL(this.documentPath));
+    }
+
+    /**
+     * Create the offscreen document if it is not open yet
+     */
+    async ensureDocument() {
+        if (await this.hasDocument()) {
+            if (this.state === this.states.CLOSED) {
+                this.state = this.states.INITIALIZING;
+            }
+            return;
+        }
+
+        if (!this.creating) {
+            this.state = this.states.CREATING;
+            this.creating = chrome.offscreen.createDocument({
+                url: this.documentPath,
+                reasons: ['WORKERS'],
+                justification: 'Run the local embedding model for semantic tab grouping'
+            }).finally(() => {
+                this.creating = null;
+            });
+        }
+
+        await this.creating;
+        this.state = this.states.INITIALIZING;
+    }
+
+    /**
+     * Create the document and initialize the AI model
+     */
+    async ensureReady() {
+        await this.ensureDocument();
+        if (this.state === this.states.READY) return;
+
+        if (!this.initializing) {
+            this.initializing = this.withTimeout(
+                chrome.runtime.sendMessage({ type: 'INIT_AI' }),
+                this.initTimeout,
+                'AI initialization timed out'
+            ).then(response => {
+                if (!response || !response.success) {
+                    throw new Error(response?.error || `AI initialization failed in state ${response?.state}`);
+                }
+                this.markReady(response.details);
+            }).catch(error => {
+                this.markError(error.message);
+                throw error;
+            }).finally(() => {
+                this.initializing = null;
+            });
+        }
+
+        await this.initializing;
+    }
+
+    /**
+     * Send a request to the offscreen processor, starting it if needed
+     */
+    async send(message, timeout = this.requestTimeout) {
+        await this.ensureReady();
+        this.touch();
+
+        const response = await this.withTimeout(
+            chrome.runtime.sendMessage(message),
+            timeout,
+            `AI request ${message.type} timed out`
+        );
+        this.touch();
+        return response;
+    }
+
+    /**
+     * Cluster tabs by semantic similarity
+     * Options: batchSize, strategy, categories (for zero-shot assignment)
+     */
+    async clusterTabs(tabs, threshold, options = {}) {
+        // Only send what the processor reads; analyzed tabs carry a lot of extra data
+        const payload = tabs.map(tab => ({
+            id: tab.tabId ?? tab.id,
+            url: tab.url,
+            title: tab.title,
+            // Page summary from deep analysis, so generic titles still embed by what the page is about
+            content: tab.contentFeatures?.summary || undefined
+        }));
+
+        const response = await this.send({
+            type: 'PROCESS_TABS',
+            tabs: payload,
+            threshold: threshold,
+            batchSize: options.batchSize,
+            strategy: options.strategy,
+            categories: options.categories
+        });
+
+        if (!response || !response.success) {
+            throw new Error(response?.error || 'AI clustering failed');
+        }
+
+        return {
+            success: true,
+            clusters: response.groups || [],
+            ungrouped: response.ungrouped || [],
+            assignments: response.assignments || [],
+            strategy: response.strategy,
+            strategyName: response.strategyName
+        };
+    }
+
+    /**
+     * Run the processor self-test, including the batch inference benchmark
+     */
+    async runSelfTest(batchSize) {
+        return this.send({ type: 'ai:selftest', batchSize: batchSize }, this.initTimeout);
+    }
+
+    /**
+     * Track state broadcasts from the offscreen document
+     * Returns true if the message was an AI lifecycle message
+     */
+    handleMessage(message) {
+        switch (message.type) {
+            case 'ai:status':
+                this.aiState = message.state;
+                if (message.state === 'ERROR') {
+                    this.markError(message.details?.error || 'AI processor reported an error');
+                }
+                return true;
+
+            case 'ai:ready':
+                this.markReady(message.details);
+                return true;
+
+            case 'ai:error':
+                this.markError(message.message || message.error || 'Unknown AI error');
+                return true;
+        }
+
+        return false;
+    }
+
+    markReady(details = {}) {
+        this.state = this.states.READY;
+        this.aiState = 'READY';
+        this.lastError = null;
+        this.details = details;
+    }
+
+    markError(error) {
+        this.state = this.states.ERROR;
+        this.lastError = error;
+    }
+
+    /**
+     * Record activity and push back the idle close
+     */
+    touch() {
+        this.lastUsed = Date.now();
+        chrome.alarms.create(this.idleAlarmName, { delayInMinutes: this.idleMinutes });
+    }
+
+    /**
+     * Close the document once the idle alarm fires
+     * (every request replaces the alarm, so it only fires after a quiet period)
+     */
+    async handleAlarm(alarm) {
+        if (alarm.name !== this.idleAlarmName) return false;
+
+        await this.closeDocument();
+        return true;
+    }
+
+    /**
+     * Close the offscreen document and release the model
+     */
+    async closeDocument() {
+        try {
+            if (await this.hasDocument()) {
+                await chrome.offscreen.closeDocument();
+                console.log('Closed idle offscreen AI document');
+            }
+        } catch (error) {
+            console.warn('Error closing offscreen document:', error);
+        }
+
+        this.state = this.states.CLOSED;
+        this.aiState = null;
+        chrome.alarms.clear(this.idleAlarmName);
+    }
+
+    /**
+     * Current lifecycle status for the UI
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            aiState: this.aiState,
+            ready: this.state === this.states.READY,
+            error: this.lastError,
+            lastUsed: this.lastUsed
+        };
+    }
+
+    withTimeout(promise, ms, message) {
+        let timeoutId;
+        const timeout = new Promise((_, reject) => {
+            timeoutId = setTimeout(() => reject(new Error(message)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timeoutId));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OffscreenManager;
+}
@@ -0,0 +1,167 @@
+/**
+ * Opener Tracker - Remembers which tab opened which
+ * Builds browsing trails (a search page and the results opened from it) that can be grouped together
+ */
+
+class OpenerTracker {
+    /**
+     * URL parameters search pages put the query in
+     */
+    static QUERY_PARAMS = ['q', 'query', 'search_query', 'p', 'wd', 'text', 'k', 'search'];
+
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'openerTree';
+        this.maxNameLength = options.maxNameLength || 30;
+        this.openers = null; // tab ID -> { openerId, openedAt }
+        this.writes = Promise.resolve();
+    }
+
+    /**
+     * Tab IDs only live for the browser session
+     */
+    get area() {
+        return chrome.storage.session || chrome.storage.local;
+    }
+
+    async load() {
+        if (!this.openers) {
+            const result = await this.area.get(this.storageKey);
+            this.openers = result[this.storageKey] || {};
+        }
+        return this.openers;
+    }
+
+    /**
+     * Writes are queued so events arriving together don't overwrite each other
+     */
+    save() {
+        this.writes = this.writes
+            .then(() => this.area.set({ [this.storageKey]: this.openers }))
+            .catch(error => console.error('Failed to save opener tree:', error));
+        return this.writes;
+    }
+
+    /**
+     * Record a new tab's opener (from tabs.onCreated)
+     */
+    async record(tab) {
+        if (tab.openerTabId === undefined || tab.openerTabId === tab.id) return;
+        await this.load();
+        this.openers[tab.id] = { openerId: tab.openerTabId, openedAt: Date.now() };
+        await this.save();
+    }
+
+    /**
+     * Forget a closed tab; the tabs it opened move up to its own opener so the trail stays connected
+     * A closed trail root stays in its children's entries and still joins them
+     */
+    async forget(tabId) {
+        await this.load();
+        const entry = this.openers[tabId];
+        if (!entry) return;
+
+        for (const child of Object.values(this.openers)) {
+            if (child.openerId === tabId) child.openerId = entry.openerId;
+        }
+        delete this.openers[tabId];
+        await this.save();
+    }
+
+    /**
+     * Match the tree to the open tabs: add openers Chrome knows about, drop entries of closed tabs
+     */
+    async sync(tabs) {
+        await this.load();
+        const open = new Set(tabs.map(tab => tab.id));
+
+        for (const id of Object.keys(this.openers)) {
+            if (!open.has(Number(id))) delete this.openers[id];
+        }
+        for (const tab of tabs) {
+            if (tab.openerTabId !== undefined && tab.openerTabId !== tab.id && !this.openers[tab.id]) {
+                this.openers[tab.id] = { openerId: tab.openerTabId, openedAt: Date.now() };
+            }
+        }
+
+        await this.save();
+    }
+
+    /**
+     * Trails among the given tabs with at least minSize tabs: [{ rootId, root, tabIds, name }]
+     * Pinned tabs don't start trails; they open too many unrelated pages. pinnedIds covers
+     * pinned tabs that aren't among the given tabs
+     */
+    async findTrails(tabs, { minSize = 2, pinnedIds = [] } = {}) {
+        await this.load();
+        const tabsById = new Map(tabs.map(tab => [tab.id, tab]));
+        const pinned = new Set(pinnedIds);
+
+        const rootOf = (tab) => {
+            let id = tab.id;
+            const seen = new Set([id]);
+            while (true) {
+                const openerId = this.openers[id]?.openerId ?? tabsById.get(id)?.openerTabId;
+                if (openerId === undefined || seen.has(openerId) || pinned.has(openerId) || tabsById.get(openerId)?.pinned) {
+                    return id;
+                }
+                seen.add(openerId);
+                id = openerId;
+            }
+        };
+
+        const trails = new Map();
+        for (const tab of tabs) {
+            const rootId = rootOf(tab);
+            if (!trails.has(rootId)) trails.set(rootId, []);
+            trails.get(rootId).push(tab.id);
+        }
+
+        return [...trails.entries()]
+            .filter(([, tabIds]) => tabIds.length >= minSize)
+            .map(([rootId, tabIds]) => {
+                const root = tabsById.get(rootId) || null;
+                return {
+                    rootId: rootId,
+                    root: root,
+                    tabIds: tabIds,
+                    name: this.trailName(root || tabsById.get(tabIds[0]))
+                };
+            });
+    }
+
+    /**
+     * Name a trail after the search that started it, else its first page's title
+     */
+    trailName(tab) {
+        const query = OpenerTracker.searchQuery(tab.url);
+        const name = query || tab.title || OpenerTracker.hostname(tab.url) || 'Browsing trail';
+        return name.length > this.maxNameLength ? name.slice(0, this.maxNameLength - 1).trim() + '…' : name;
+    }
+
+    static searchQuery(url) {
+        try {
+            const parsed = new URL(url);
+            if (!/search|results|\/s$|^\/$/i.test(parsed.pathname) && !/search/i.test(parsed.hostname)) return null;
+            for (const param of OpenerTracker.QUERY_PARAMS) {
+                const value = parsed.searchParams.get(param);
+                if (value && value.trim()) return value.trim();
+            }
+        } catch {
+            // Not a URL
+        }
+        return null;
+    }
+
+    static hostname(url) {
+        try {
+            return new URL(url).hostname.replace('www.', '');
+        } catch {
+            return null;
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = OpenerTracker;
+}
@@ -0,0 +1,99 @@
+/**
+ * Page Content Reader - Reads what open pages contain for deep analysis
+ * Injects the content script on demand; pages that can't be read are skipped
+ */
+
+class PageContentReader {
+    static CONTENT_SCRIPT = 'content/content.js';
+
+    constructor(options = {}) {
+        this.timeout = options.timeout || 1500;
+        this.concurrency = options.concurrency || 4;
+        this.maxHeadings = options.maxHeadings || 5;
+    }
+
+    /**
+     * Only loaded web pages can be read; restricted and discarded tabs are left alone
+     */
+    static isReadable(tab) {
+        return /^https?:\/\//.test(tab.url || '') && !tab.discarded && tab.status === 'complete';
+    }
+
+    /**
+     * Read several tabs a few at a time
+     * Returns a Map of tab ID -> page content for the tabs that could be read
+     */
+    async readAll(tabs) {
+        const contents = new Map();
+        const queue = tabs.filter(tab => PageContentReader.isReadable(tab));
+
+        const worker = async () => {
+            while (queue.length > 0) {
+                const tab = queue.shift();
+                const content = await this.read(tab);
+                if (content) contents.set(tab.id, content);
+            }
+        };
+        await Promise.all(Array.from({ length: Math.min(this.concurrency, queue.length) }, worker));
+
+        return contents;
+    }
+
+    /**
+     * Page content of one tab, or null when it can't be read in time
+     */
+    async read(tab) {
+        try {
+            return await this.withTimeout(this.extract(tab.id), this.timeout);
+        } catch (error) {
+            // Web store pages, PDFs, error pages and other restricted pages reject injection
+            console.debug(`No page content for tab ${tab.id}:`, error.message);
+            return null;
+        }
+    }
+
+    async extract(tabId) {
+        await chrome.scripting.executeScript({
+            target: { tabId },
+            files: [PageContentReader.CONTENT_SCRIPT]
+        });
+        const response = await chrome.tabs.sendMessage(tabId, { type: 'EXTRACT_CONTENT' });
+        return response && response.success ? this.summarize(response.data) : null;
+    }
+
+    /**
+     * Keep only what categorization reads from the content script's extraction
+     */
+    summarize(data) {
+        if (!data) return null;
+
+        const metadata = data.metadata || {};
+        const patterns = Object.entries(data.patterns || {})
+            .filter(([, detected]) => detected)
+            .map(([pattern]) => pattern);
+
+        return {
+            description: data.description || metadata.ogDescription || null,
+            ogTitle: metadata.ogTitle || null,
+            keywords: data.keywords || null,
+            type: data.type || null,
+            headings: (data.headings || []).slice(0, this.maxHeadings),
+            text: data.text || null,
+            patterns: patterns,
+            schemaTypes: SchemaTypeMapper.collectTypes(metadata.structured)
+        };
+    }
+
+    withTimeout(promise, ms) {
+        let timer;
+        const timeout = new Promise((resolve, reject) => {
+            timer = setTimeout(() => reject(new Error(`Timed out after ${ms}ms`)), ms);
+        });
+        return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PageContentReader;
+}
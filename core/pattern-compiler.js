@@ -0,0 +1,502 @@
+/**
+ * Pattern Compiler - Shared compiler for user-supplied URL and title patterns
+ * Validates, caches and guards regexes against catastrophic backtracking; also accepts "glob:" patterns
+ */
+
+class PatternCompiler {
+    static GLOB_PREFIX = 'glob:';
+
+    /**
+     * Estimated backtracking steps a pattern may need on a capped input before it is rejected
+     * (a few hundred milliseconds on the slowest patterns let through, with crafted input)
+     */
+    static MAX_STEPS = 1e9;
+
+    /**
+     * Repeats that can take at most this many characters, like \d{1,3}, are too short to count as backtracking points
+     */
+    static SHORT_REPEAT = 10;
+
+    /**
+     * One compiler (and cache) shared by the rules engine, categorizer and options page
+     */
+    static get shared() {
+        if (!PatternCompiler.instance) {
+            PatternCompiler.instance = new PatternCompiler();
+        }
+        return PatternCompiler.instance;
+    }
+
+    constructor(options = {}) {
+        this.maxLength = options.maxLength || 500;
+        this.maxInputLength = options.maxInputLength || 2048;
+        this.cacheSize = options.cacheSize || 500;
+        this.cache = new Map(); // key -> RegExp or Error, least recently used first
+        this.warned = new Set();
+    }
+
+    /**
+     * Compile a pattern, throwing an Error with a readable message when it can't be used
+     */
+    compile(pattern, flags = 'i') {
+        const key = `${flags}/${pattern}`;
+
+        let compiled = this.cache.get(key);
+        if (compiled) {
+            this.cache.delete(key);
+        } else {
+            try {
+                compiled = this.build(String(pattern), flags);
+            } catch (error) {
+                compiled = error;
+            }
+        }
+
+        this.cache.set(key, compiled);
+        if (this.cache.size > this.cacheSize) {
+            this.cache.delete(this.cache.keys().next().value);
+        }
+
+        if (compiled instanceof Error) throw compiled;
+        return compiled;
+    }
+
+    build(pattern, flags) {
+        if (pattern.length > this.maxLength) {
+            throw new Error(`Pattern is too long (${pattern.length} characters, max ${this.maxLength})`);
+        }
+
+        const glob = PatternCompiler.isGlob(pattern);
+        if (!glob) {
+            // Syntax errors come from RegExp itself, before the backtracking check
+            new RegExp(pattern, flags);
+        }
+        // Globs are anchored; several *s over the same text can backtrack just like .*
+        const source = glob
+            ? PatternCompiler.globToRegex(pattern.slice(PatternCompiler.GLOB_PREFIX.length))
+            : PatternCompiler.trimWildcards(pattern);
+        const unsafe = PatternCompiler.findUnsafe(source, { flags, inputLength: this.maxInputLength });
+        if (unsafe) {
+            throw new Error(unsafe);
+        }
+
+        return new RegExp(source, flags);
+    }
+
+    /**
+     * Compile a list of patterns into one RegExp matching any of them
+     * Unusable patterns are skipped; returns null when none can be used
+     */
+    compileAny(patterns, flags = 'i') {
+        const sources = [];
+        for (const pattern of patterns) {
+            try {
+                sources.push(`(?:${this.compile(pattern, flags).source})`);
+            } catch (error) {
+                console.warn(`Ignoring pattern "${pattern}": ${error.message}`);
+            }
+        }
+        return sources.length > 0 ? this.compile(sources.join('|'), flags) : null;
+    }
+
+    /**
+     * Save-time validation: { valid, error, syntax }
+     */
+    check(pattern, flags = 'i') {
+        const syntax = PatternCompiler.isGlob(pattern) ? 'glob' : 'regex';
+        try {
+            this.compile(pattern, flags);
+            return { valid: true, error: null, syntax };
+        } catch (error) {
+            return { valid: false, error: error.message, syntax };
+        }
+    }
+
+    /**
+     * Test text against a pattern; unusable patterns never match
+     */
+    test(pattern, text, flags = 'i') {
+        let regex;
+        try {
+            regex = this.compile(pattern, flags);
+        } catch (error) {
+            if (!this.warned.has(pattern)) {
+                this.warned.add(pattern);
+                console.warn(`Ignoring pattern "${pattern}": ${error.message}`);
+            }
+            return false;
+        }
+
+        return this.matches(regex, text);
+    }
+
+    /**
+     * Test text against a compiled pattern
+     * Only the first maxInputLength characters are read; the backtracking check assumes that length
+     */
+    matches(regex, text) {
+        regex.lastIndex = 0;
+        return regex.test(String(text ?? '').slice(0, this.maxInputLength));
+    }
+
+    static isGlob(pattern) {
+        return typeof pattern === 'string' && pattern.startsWith(PatternCompiler.GLOB_PREFIX);
+    }
+
+    /**
+     * Glob to anchored regex source: * is any text, ? one character
+     * Globs without a scheme also match after any "scheme://"
+     * A leading or trailing * drops that anchor instead; it would match anything there anyway
+     */
+    static globToRegex(glob) {
+        let body = glob.split('').map(char => {
+            if (char === '*') return '.*';
+            if (char === '?') return '.';
+            return PatternCompiler.escape(char);
+        }).join('').replace(/(\.\*)+/g, '.*');
+
+        let start = `^${glob.includes('://') ? '' : '(?:[a-z][a-z0-9+.-]*://)?'}`;
+        let end = '$';
+        if (body.startsWith('.*')) {
+            body = body.slice(2);
+            start = '';
+        }
+        if (body.endsWith('.*')) {
+            body = body.slice(0, -2);
+            end = '';
+        }
+        return `${start}${body}${end}`;
+    }
+
+    static escape(text) {
+        return String(text).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    /**
+     * Reason a regex could backtrack catastrophically on inputs up to inputLength, or null
+     * Rejects back-references, repeated groups whose iterations can split the same text
+     * differently like (a+)+ or (a|ab)*, and runs of repeats over overlapping characters
+     * like .*a.*a.*b whose estimated worst case passes maxSteps
+     */
+    static findUnsafe(source, { flags = 'i', inputLength = 2048, maxSteps = PatternCompiler.MAX_STEPS } = {}) {
+        let branches;
+        try {
+            branches = PatternCompiler.parse(source);
+        } catch (error) {
+            return error.message;
+        }
+
+        const sets = new PatternSets(flags);
+        const check = (items, implicitStart) => {
+            items = PatternCompiler.flatten(items);
+
+            for (let k = 0; k < items.length; k++) {
+                const item = items[k];
+                if (!item.branches) continue;
+                for (const branch of item.branches) {
+                    const reason = check(branch, implicitStart && k === 0 && item.max === 1 && !item.lookaround);
+                    if (reason) return reason;
+                }
+                if (item.max > 1) {
+                    const reason = PatternCompiler.findAmbiguousRepeat(item, sets);
+                    if (reason) return reason;
+                }
+            }
+
+            if (PatternCompiler.estimateSteps(items, implicitStart, inputLength, sets) > maxSteps) {
+                return 'Several repeats that can match the same text, like .*a.*a.*b or a*a*b, can take forever on some URLs; ' +
+                    'anchor the pattern with ^ or use fewer of them';
+            }
+            return null;
+        };
+
+        for (const branch of branches) {
+            const reason = check(branch, true);
+            if (reason) return reason;
+        }
+        return null;
+    }
+
+    /**
+     * Worst-case backtracking steps over a sequence: each repeat that can hand characters
+     * to the next one multiplies the work by the number of places the text can be split,
+     * which is at most how many it can take, min(max, inputLength)
+     * An unanchored pattern is also tried at every starting position
+     */
+    static estimateSteps(items, implicitStart, inputLength, sets) {
+        const nodes = [];
+        if (implicitStart && !(items[0] && items[0].anchor)) {
+            nodes.push({ index: -1, set: sets.all, splits: inputLength });
+        }
+        items.forEach((item, index) => {
+            const reach = PatternCompiler.reach(item);
+            if (reach > PatternCompiler.SHORT_REPEAT) {
+                nodes.push({ index, set: sets.of(item), first: sets.first(item), splits: Math.min(reach, inputLength) });
+            }
+        });
+
+        let worst = inputLength;
+        const steps = nodes.map(() => inputLength);
+        for (let b = 1; b < nodes.length; b++) {
+            for (let a = 0; a < b; a++) {
+                const from = nodes[a];
+                const between = items.slice(from.index + 1, nodes[b].index).filter(item => sets.minLength(item) > 0);
+                if (!sets.overlap(from.set, nodes[b].first) || !between.every(item => sets.overlap(from.set, sets.of(item)))) {
+                    continue;
+                }
+                const gap = Math.max(1, between.reduce((sum, item) => sum + sets.minLength(item), 0));
+                steps[b] = Math.max(steps[b], steps[a] * from.splits / gap);
+            }
+            worst = Math.max(worst, steps[b]);
+        }
+        return worst;
+    }
+
+    /**
+     * A repeated group is ambiguous when two alternatives can start the same way, or when
+     * a repeat inside it can run on into the group's next iteration
+     */
+    static findAmbiguousRepeat(group, sets) {
+        const firsts = group.branches.map(branch => sets.first({ branches: [branch], min: 1, max: 1 }));
+        const empty = group.branches.some(branch => sets.minLength({ branches: [branch], min: 1, max: 1 }) === 0);
+        if (group.branches.length > 1 && (empty || firsts.some((first, i) => firsts.slice(i + 1).some(other => sets.overlap(first, other))))) {
+            return 'Repeated alternatives that can match the same text, like (a|ab)*, can take forever on some URLs';
+        }
+
+        const groupFirst = sets.first(group);
+        for (const branch of group.branches) {
+            const items = PatternCompiler.flatten(branch);
+            for (let k = 0; k < items.length; k++) {
+                if (!PatternCompiler.repeats(items[k], 2)) continue;
+                const set = sets.of(items[k]);
+                // A required item the repeat can't match marks where each iteration ends
+                const bounded = items.slice(k + 1).some(item => sets.minLength(item) > 0 && !sets.overlap(set, sets.of(item)));
+                if (!bounded && sets.overlap(set, groupFirst)) {
+                    return 'Nested repeats like (a+)+ can take forever on some URLs';
+                }
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Whether an item repeats at least up to max times, itself or through a repeat inside it
+     */
+    static repeats(item, max) {
+        if (item.max >= max) return true;
+        return !!item.branches && !item.lookaround &&
+            item.branches.some(branch => branch.some(inner => PatternCompiler.repeats(inner, max)));
+    }
+
+    /**
+     * How many times an item can repeat, counting repeats nested inside it
+     */
+    static reach(item) {
+        if (item.max === 0) return 0;
+        if (!item.branches || item.lookaround) return item.max;
+        const inner = Math.max(1, ...item.branches.flatMap(branch => branch.map(inner => PatternCompiler.reach(inner))));
+        return item.max * inner;
+    }
+
+    /**
+     * Inline plain (?:...) groups so their contents count as part of the surrounding sequence
+     */
+    static flatten(items) {
+        return items.flatMap(item =>
+            item.branches && !item.lookaround && item.branches.length === 1 && item.min === 1 && item.max === 1
+                ? PatternCompiler.flatten(item.branches[0])
+                : [item]);
+    }
+
+    /**
+     * Parse a regex that RegExp already accepted into branches of items:
+     * { source, min, max, start, end } plus branches for groups, anchor for ^, zeroWidth for assertions
+     */
+    static parse(source) {
+        let i = 0;
+
+        const quantifier = () => {
+            const char = source[i];
+            let range = null;
+            if (char === '*') range = [0, Infinity, 1];
+            else if (char === '+') range = [1, Infinity, 1];
+            else if (char === '?') range = [0, 1, 1];
+            else if (char === '{') {
+                const match = source.slice(i).match(/^\{(\d+)(,(\d*))?\}/);
+                if (match) {
+                    const min = parseInt(match[1], 10);
+                    const max = match[2] ? (match[3] === '' ? Infinity : parseInt(match[3], 10)) : min;
+                    range = [min, max, match[0].length];
+                }
+            }
+            if (!range) return { min: 1, max: 1 };
+            i += range[2];
+            if (source[i] === '?') i++; // Lazy quantifier
+            return { min: range[0], max: range[1] };
+        };
+
+        const atom = () => {
+            const start = i;
+            const char = source[i];
+
+            if (char === '\\') {
+                const next = source[i + 1];
+                if (/[1-9]/.test(next) || (next === 'k' && source[i + 2] === '<')) {
+                    throw new Error('Back-references like \\1 are not supported in patterns');
+                }
+                i += 2;
+                if (next === 'b' || next === 'B') return { zeroWidth: true };
+                const digits = { u: /^[0-9a-fA-F]{4}/, x: /^[0-9a-fA-F]{2}/, c: /^[A-Za-z]/ }[next];
+                i += digits ? (source.slice(i).match(digits) || [''])[0].length : 0;
+                return { source: source.slice(start, i) };
+            }
+            if (char === '[') {
+                i++;
+                if (source[i] === '^') i++;
+                while (i < source.length && source[i] !== ']') {
+                    i += source[i] === '\\' ? 2 : 1;
+                }
+                i++;
+                return { source: source.slice(start, i) };
+            }
+            if (char === '(') {
+                const prefix = source.slice(i).match(/^\((\?(?::|=|!|<=|<!|<[A-Za-z_][A-Za-z0-9_]*>))?/);
+                i += prefix[0].length;
+                const lookaround = !!prefix[1] && /^\?(=|!|<=|<!)$/.test(prefix[1]);
+                const branches = alternation();
+                i++; // ')'
+                return { branches, lookaround, zeroWidth: lookaround };
+            }
+            i++;
+            if (char === '^') return { zeroWidth: true, anchor: true };
+            if (char === '$') return { zeroWidth: true };
+            return { source: char };
+        };
+
+        const sequence = () => {
+            const items = [];
+            while (i < source.length && source[i] !== '|' && source[i] !== ')') {
+                const start = i;
+                const item = atom();
+                Object.assign(item, item.zeroWidth && !item.branches ? { min: 1, max: 1 } : quantifier(), { start, end: i });
+                items.push(item);
+            }
+            return items;
+        };
+
+        const alternation = () => {
+            const branches = [sequence()];
+            while (source[i] === '|') {
+                i++;
+                branches.push(sequence());
+            }
+            return branches;
+        };
+
+        return alternation();
+    }
+
+    /**
+     * Drop a leading and trailing .* from an unanchored single-branch pattern
+     * They never change whether text matches, but a leading one makes every starting position scan the rest
+     */
+    static trimWildcards(source) {
+        let branches;
+        try {
+            branches = PatternCompiler.parse(source);
+        } catch {
+            return source;
+        }
+        if (branches.length !== 1) return source;
+
+        const items = branches[0];
+        const isWildcard = item => item && item.source === '.' && item.min === 0 && item.max === Infinity;
+        const from = isWildcard(items[0]) && items.length > 1 ? items[1].start : 0;
+        const last = items[items.length - 1];
+        const to = isWildcard(last) && items.length > (from > 0 ? 2 : 1) ? last.start : source.length;
+        return source.slice(from, to);
+    }
+}
+
+/**
+ * Character sets of pattern items, sampled over printable ASCII and a few other characters
+ */
+class PatternSets {
+    static SAMPLE = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).join('') + '\t\né€\u00a0';
+
+    constructor(flags) {
+        this.flags = flags.replace(/[gy]/g, '');
+        this.all = new Set(PatternSets.SAMPLE);
+        this.cache = new Map();
+    }
+
+    /**
+     * Characters an item can match anywhere in it
+     */
+    of(item) {
+        if (item.branches) {
+            if (item.lookaround) return new Set();
+            return this.union(item.branches.flat().map(inner => this.of(inner)));
+        }
+        if (item.zeroWidth) return new Set();
+
+        if (!this.cache.has(item.source)) {
+            let set;
+            try {
+                const regex = new RegExp(`^(?:${item.source})$`, this.flags);
+                set = new Set([...PatternSets.SAMPLE].filter(char => regex.test(char)));
+            } catch {
+                set = this.all;
+            }
+            this.cache.set(item.source, set);
+        }
+        return this.cache.get(item.source);
+    }
+
+    /**
+     * Characters an item's match can start with
+     */
+    first(item) {
+        if (!item.branches || item.lookaround) return this.of(item);
+
+        const firsts = [];
+        for (const branch of item.branches) {
+            for (const inner of branch) {
+                firsts.push(this.first(inner));
+                if (this.minLength(inner) > 0) break;
+            }
+        }
+        return this.union(firsts);
+    }
+
+    /**
+     * Fewest characters an item matches
+     */
+    minLength(item) {
+        if (item.zeroWidth) return 0;
+        const once = item.branches
+            ? Math.min(...item.branches.map(branch => branch.reduce((sum, inner) => sum + this.minLength(inner), 0)))
+            : 1;
+        return once * item.min;
+    }
+
+    overlap(a, b) {
+        for (const char of a) {
+            if (b.has(char)) return true;
+        }
+        return false;
+    }
+
+    union(sets) {
+        const result = new Set();
+        for (const set of sets) {
+            for (const char of set) result.add(char);
+        }
+        return result;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PatternCompiler;
+}
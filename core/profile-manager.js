@@ -0,0 +1,227 @@
+/**
+ * Profile Manager - Named profiles (e.g. Work, Personal) with their own rules and settings
+ * Switching stashes the outgoing profile's settings and loads the incoming one's; schedules switch automatically
+ */
+
+class ProfileManager {
+    static DEFAULT_ID = 'default';
+
+    /**
+     * Settings each profile keeps for itself; everything else is shared
+     */
+    static PROFILE_SETTINGS = [
+        'disabledCategories',
+        'minConfidence',
+        'partialGrouping',
+        'similarityThreshold',
+        'minGroupSize',
+        'maxGroupSize',
+        'groupingMode',
+        'groupingStrategy',
+        'dedicatedWindows'
+    ];
+
+    constructor(rulesEngine, options = {}) {
+        this.engine = rulesEngine;
+        this.storageKey = options.storageKey || 'profiles';
+        this.rulesKeyPrefix = options.rulesKeyPrefix || 'customRules';
+    }
+
+    /**
+     * Stored profiles; the default profile always exists
+     */
+    async getState() {
+        const result = await chrome.storage.local.get(this.storageKey);
+        const state = result[this.storageKey] || {};
+        const profiles = state.profiles || [];
+
+        if (!profiles.some(profile => profile.id === ProfileManager.DEFAULT_ID)) {
+            profiles.unshift({ id: ProfileManager.DEFAULT_ID, name: 'Default', settings: {}, schedule: null });
+        }
+
+        return {
+            activeId: profiles.some(profile => profile.id === state.activeId) ? state.activeId : ProfileManager.DEFAULT_ID,
+            scheduledId: state.scheduledId || null,
+            profiles: profiles
+        };
+    }
+
+    async setState(state) {
+        await chrome.storage.local.set({ [this.storageKey]: state });
+    }
+
+    async getActive() {
+        const state = await this.getState();
+        return state.profiles.find(profile => profile.id === state.activeId);
+    }
+
+    /**
+     * Storage key of a profile's rules; the default profile keeps the original key
+     */
+    rulesKey(profileId) {
+        return profileId === ProfileManager.DEFAULT_ID ? this.rulesKeyPrefix : `${this.rulesKeyPrefix}_${profileId}`;
+    }
+
+    /**
+     * Create a profile starting from the active profile's settings and rules
+     */
+    async create({ name, schedule = null }, settings = {}) {
+        if (!name || !name.trim()) {
+            throw new Error('Profile name is required');
+        }
+        const state = await this.getState();
+        if (state.profiles.some(profile => profile.name.toLowerCase() === name.trim().toLowerCase())) {
+            throw new Error(`A profile named "${name.trim()}" already exists`);
+        }
+
+        const profile = {
+            id: `profile_${Date.now()}`,
+            name: name.trim(),
+            settings: ProfileManager.pickSettings(settings),
+            schedule: ProfileManager.normalizeSchedule(schedule),
+            createdAt: Date.now()
+        };
+
+        const rulesKey = this.rulesKey(state.activeId);
+        const stored = await chrome.storage.local.get(rulesKey);
+        if (stored[rulesKey]) {
+            await chrome.storage.local.set({ [this.rulesKey(profile.id)]: stored[rulesKey] });
+        }
+
+        state.profiles.push(profile);
+        await this.setState(state);
+        return profile;
+    }
+
+    /**
+     * Rename a profile or change its schedule
+     */
+    async update(profileId, changes) {
+        const state = await this.getState();
+        const profile = state.profiles.find(p => p.id === profileId);
+        if (!profile) {
+            throw new Error(`Profile ${profileId} not found`);
+        }
+
+        if (changes.name !== undefined) {
+            const name = String(changes.name).trim();
+            if (!name) throw new Error('Profile name is required');
+            if (state.profiles.some(p => p.id !== profileId && p.name.toLowerCase() === name.toLowerCase())) {
+                throw new Error(`A profile named "${name}" already exists`);
+            }
+            profile.name = name;
+        }
+        if (changes.schedule !== undefined) {
+            profile.schedule = ProfileManager.normalizeSchedule(changes.schedule);
+            state.scheduledId = null; // Re-evaluate on the next check
+        }
+
+        await this.setState(state);
+        return profile;
+    }
+
+    /**
+     * Delete a profile and its rules; the default and active profiles can't be deleted
+     */
+    async remove(profileId) {
+        const state = await this.getState();
+        if (profileId === ProfileManager.DEFAULT_ID) {
+            throw new Error('The default profile can\'t be deleted');
+        }
+        if (profileId === state.activeId) {
+            throw new Error('Switch to another profile before deleting this one');
+        }
+
+        state.profiles = state.profiles.filter(profile => profile.id !== profileId);
+        await this.setState(state);
+        await chrome.storage.local.remove(this.rulesKey(profileId));
+    }
+
+    /**
+     * Make a profile active; settings are the current shared settings
+     * Returns the settings to use from now on, which the caller stores
+     */
+    async activate(profileId, settings = {}) {
+        const state = await this.getState();
+        const incoming = state.profiles.find(profile => profile.id === profileId);
+        if (!incoming) {
+            throw new Error(`Profile ${profileId} not found`);
+        }
+
+        const outgoing = state.profiles.find(profile => profile.id === state.activeId);
+        if (outgoing) {
+            outgoing.settings = ProfileManager.pickSettings(settings);
+        }
+        state.activeId = incoming.id;
+        await this.setState(state);
+
+        // Keys the incoming profile never set fall back to their defaults
+        const next = { ...settings };
+        for (const key of ProfileManager.PROFILE_SETTINGS) {
+            delete next[key];
+        }
+        return { profile: incoming, settings: { ...next, ...incoming.settings } };
+    }
+
+    /**
+     * The profile the schedule calls for now: the first whose schedule matches, else the default
+     */
+    getScheduledProfile(state) {
+        const scheduled = state.profiles.find(profile =>
+            profile.schedule && this.engine.evaluateTimeCondition(profile.schedule));
+        return scheduled || state.profiles.find(profile => profile.id === ProfileManager.DEFAULT_ID);
+    }
+
+    /**
+     * Profile to switch to because the schedule changed, or null
+     * Manual switches stick until the schedule moves on to another profile
+     */
+    async checkSchedule() {
+        const state = await this.getState();
+        if (!state.profiles.some(profile => profile.schedule)) return null;
+
+        const scheduled = this.getScheduledProfile(state);
+        if (scheduled.id === state.scheduledId) return null;
+
+        state.scheduledId = scheduled.id;
+        await this.setState(state);
+        return scheduled.id !== state.activeId ? scheduled : null;
+    }
+
+    static pickSettings(settings) {
+        const picked = {};
+        for (const key of ProfileManager.PROFILE_SETTINGS) {
+            if (settings[key] !== undefined) picked[key] = settings[key];
+        }
+        return picked;
+    }
+
+    /**
+     * Schedules use the rules engine's timeRange format: { hours: { start, end }, days }
+     */
+    static normalizeSchedule(schedule) {
+        if (!schedule) return null;
+
+        const normalized = {};
+        if (schedule.hours) {
+            const start = parseInt(schedule.hours.start, 10);
+            const end = parseInt(schedule.hours.end, 10);
+            if (!(start >= 0 && start <= 23 && end >= 0 && end <= 23)) {
+                throw new Error('Schedule hours must be between 0 and 23');
+            }
+            normalized.hours = { start, end };
+        }
+        if (Array.isArray(schedule.days) && schedule.days.length > 0) {
+            normalized.days = [...new Set(schedule.days.map(day => parseInt(day, 10)))]
+                .filter(day => day >= 0 && day <= 6)
+                .sort();
+        }
+
+        return Object.keys(normalized).length > 0 ? normalized : null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProfileManager;
+}
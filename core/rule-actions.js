@@ -0,0 +1,373 @@
+/**
+ * Rule Action Executor - Runs the tab actions declared by matched rules
+ * Plans actions as a dry run, executes them after sorting and records how to undo them
+ */
+
+class RuleActionExecutor {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'ruleActionUndo';
+        this.namedWindowsKey = options.namedWindowsKey || 'namedWindows';
+        this.maxRecords = options.maxRecords || 5;
+        this.defaultBookmarkFolder = options.bookmarkFolder || 'TabSorter';
+    }
+
+    /**
+     * Whether a rule action block asks for anything besides categorization
+     */
+    static hasActions(action = {}) {
+        return action.pinTab !== undefined || action.muteTab !== undefined ||
+            !!(action.collapseGroup || action.discardTab || action.closeTab ||
+                action.moveToWindow || action.bookmarkAndClose);
+    }
+
+    /**
+     * Dry run: the steps that would run for each matched rule
+     * matches: [{ tab, ruleId, ruleName, action }] with live Chrome tabs
+     */
+    plan(matches) {
+        const steps = [];
+
+        for (const { tab, ruleId, ruleName, action = {} } of matches) {
+            if (!tab) continue;
+            const add = (type, target = null) => steps.push({
+                tabId: tab.id,
+                title: tab.title || '',
+                url: tab.url,
+                ruleId: ruleId,
+                ruleName: ruleName,
+                type: type,
+                target: target,
+                description: this.describe(type, target)
+            });
+
+            if (action.pinTab !== undefined && !!tab.pinned !== !!action.pinTab) {
+                add(action.pinTab ? 'pin' : 'unpin');
+            }
+            if (action.muteTab !== undefined && !!tab.mutedInfo?.muted !== !!action.muteTab) {
+                add(action.muteTab ? 'mute' : 'unmute');
+            }
+            if (action.moveToWindow) {
+                add('moveToWindow', String(action.moveToWindow));
+            }
+            if (action.collapseGroup && !action.pinTab) {
+                add('collapse');
+            }
+
+            // At most one destructive step per tab, and never for tabs the rule keeps open
+            if (action.keepOpen) continue;
+            if (action.bookmarkAndClose) {
+                add('bookmarkAndClose', typeof action.bookmarkAndClose === 'string' ?
+                    action.bookmarkAndClose : this.defaultBookmarkFolder);
+            } else if (action.closeTab) {
+                add('close');
+            } else if (action.discardTab && !tab.discarded && !tab.active) {
+                add('discard');
+            }
+        }
+
+        return steps;
+    }
+
+    describe(type, target) {
+        switch (type) {
+            case 'pin': return 'Pin';
+            case 'unpin': return 'Unpin';
+            case 'mute': return 'Mute';
+            case 'unmute': return 'Unmute';
+            case 'collapse': return 'Collapse its group';
+            case 'moveToWindow': return `Move to window "${target}"`;
+            case 'moveToGroup': return `Move to group "${target}"`;
+            case 'discard': return 'Discard (unload from memory)';
+            case 'close': return 'Close';
+            case 'bookmarkAndClose': return `Bookmark in "${target}" and close`;
+            default: return type;
+        }
+    }
+
+    /**
+     * Execute planned steps and store an undo record
+     */
+    async execute(steps, reason = 'sort') {
+        const entries = [];
+        const failed = [];
+        const collapsedGroups = new Set();
+        const tabIds = new Map(); // Discarding replaces a tab's ID
+
+        for (const step of steps) {
+            const tabId = tabIds.get(step.tabId) ?? step.tabId;
+            try {
+                const entry = await this.runStep({ ...step, tabId }, collapsedGroups);
+                if (!entry) continue;
+                if (entry.type === 'discarded' && entry.tabId !== tabId) {
+                    tabIds.set(step.tabId, entry.tabId);
+                    // Earlier undo entries must point at the replacement tab
+                    entries.filter(e => e.tabId === tabId).forEach(e => { e.tabId = entry.tabId; });
+                }
+                entries.push({ ...entry, description: step.description, title: step.title });
+            } catch (error) {
+                console.warn('Rule action failed:', step.type, step.tabId, error);
+                failed.push({ ...step, error: error.message });
+            }
+        }
+
+        let record = null;
+        if (entries.length > 0) {
+            record = {
+                id: `actions_${Date.now()}`,
+                reason: reason,
+                createdAt: Date.now(),
+                entries: entries
+            };
+            await this.push(record);
+        }
+
+        return { applied: entries.length, failed: failed, recordId: record ? record.id : null };
+    }
+
+    /**
+     * Run one step; returns the undo entry, or null when there was nothing to do
+     */
+    async runStep(step, collapsedGroups) {
+        const { tabId } = step;
+
+        switch (step.type) {
+            case 'pin':
+            case 'unpin':
+                await chrome.tabs.update(tabId, { pinned: step.type === 'pin' });
+                return { type: 'pinned', tabId, previous: step.type !== 'pin' };
+
+            case 'mute':
+            case 'unmute':
+                await chrome.tabs.update(tabId, { muted: step.type === 'mute' });
+                return { type: 'muted', tabId, previous: step.type !== 'mute' };
+
+            case 'collapse': {
+                const tab = await chrome.tabs.get(tabId);
+                if (tab.groupId === -1 || collapsedGroups.has(tab.groupId)) return null;
+
+                const group = await chrome.tabGroups.get(tab.groupId);
+                collapsedGroups.add(tab.groupId);
+                if (group.collapsed) return null;
+
+                await chrome.tabGroups.update(tab.groupId, { collapsed: true });
+                return { type: 'collapsed', groupId: tab.groupId, previous: false };
+            }
+
+            case 'moveToWindow': {
+                const tab = await chrome.tabs.get(tabId);
+                const previous = { windowId: tab.windowId, index: tab.index };
+                const windowId = await this.moveToNamedWindow(tabId, step.target);
+                return { type: 'moved', tabId, windowId, previous };
+            }
+
+            case 'moveToGroup': {
+                const tab = await chrome.tabs.get(tabId);
+                const previous = { groupId: tab.groupId ?? -1, index: tab.index };
+                const groupId = await this.moveToNamedGroup(tab, step.target);
+                return { type: 'grouped', tabId, groupId, previous };
+            }
+
+            case 'discard': {
+                const discarded = await chrome.tabs.discard(tabId);
+                return { type: 'discarded', tabId: discarded ? discarded.id : tabId };
+            }
+
+            case 'close': {
+                const tab = await chrome.tabs.get(tabId);
+                await chrome.tabs.remove(tabId);
+                return { type: 'closed', tab: this.describeTab(tab) };
+            }
+
+            case 'bookmarkAndClose': {
+                const tab = await chrome.tabs.get(tabId);
+                const folder = await this.getBookmarkFolder(step.target);
+                const bookmark = await chrome.bookmarks.create({
+                    parentId: folder.id,
+                    title: tab.title || tab.url,
+                    url: tab.url
+                });
+                await chrome.tabs.remove(tabId);
+                return { type: 'closed', tab: this.describeTab(tab), bookmarkId: bookmark.id };
+            }
+
+            default:
+                throw new Error(`Unknown rule action: ${step.type}`);
+        }
+    }
+
+    describeTab(tab) {
+        return {
+            url: tab.url,
+            windowId: tab.windowId,
+            index: tab.index,
+            pinned: tab.pinned || false,
+            groupId: tab.groupId ?? -1
+        };
+    }
+
+    /**
+     * Move a tab to the window remembered under a name, opening one if needed
+     * Window IDs only live for the browser session
+     */
+    async moveToNamedWindow(tabId, name) {
+        const area = chrome.storage.session || chrome.storage.local;
+        const result = await area.get(this.namedWindowsKey);
+        const windows = result[this.namedWindowsKey] || {};
+
+        if (windows[name] !== undefined) {
+            try {
+                await chrome.windows.get(windows[name]);
+                await chrome.tabs.move(tabId, { windowId: windows[name], index: -1 });
+                return windows[name];
+            } catch {
+                // Window was closed; open a new one below
+            }
+        }
+
+        const newWindow = await chrome.windows.create({ tabId, focused: false });
+        windows[name] = newWindow.id;
+        await area.set({ [this.namedWindowsKey]: windows });
+        return newWindow.id;
+    }
+
+    /**
+     * Add a tab to the group with this title in its window, creating a collapsed grey group if needed
+     */
+    async moveToNamedGroup(tab, title) {
+        const [existing] = await chrome.tabGroups.query({ windowId: tab.windowId, title });
+        if (existing) {
+            await chrome.tabs.group({ groupId: existing.id, tabIds: [tab.id] });
+            return existing.id;
+        }
+
+        const groupId = await chrome.tabs.group({ tabIds: [tab.id], createProperties: { windowId: tab.windowId } });
+        await chrome.tabGroups.update(groupId, { title, color: 'grey', collapsed: true });
+        return groupId;
+    }
+
+    /**
+     * Find a bookmark folder by title, creating it under Other Bookmarks
+     */
+    async getBookmarkFolder(title) {
+        const matches = await chrome.bookmarks.search({ title });
+        const folder = matches.find(node => !node.url);
+        return folder || chrome.bookmarks.create({ title });
+    }
+
+    /**
+     * Revert the most recent action record and remove it from the stack
+     */
+    async undoLatest() {
+        const records = await this.getAll();
+        if (records.length === 0) {
+            return { success: false, error: 'No rule actions to undo' };
+        }
+
+        const [latest, ...rest] = records;
+        let reverted = 0;
+        const failed = [];
+
+        for (const entry of [...latest.entries].reverse()) {
+            try {
+                await this.revert(entry);
+                reverted++;
+            } catch (error) {
+                console.warn('Could not undo rule action:', entry.type, error);
+                failed.push({ ...entry, error: error.message });
+            }
+        }
+
+        await chrome.storage.local.set({ [this.storageKey]: rest });
+        return { success: true, reverted, failed };
+    }
+
+    async revert(entry) {
+        switch (entry.type) {
+            case 'pinned':
+                await chrome.tabs.update(entry.tabId, { pinned: entry.previous });
+                break;
+
+            case 'muted':
+                await chrome.tabs.update(entry.tabId, { muted: entry.previous });
+                break;
+
+            case 'collapsed':
+                await chrome.tabGroups.update(entry.groupId, { collapsed: entry.previous });
+                break;
+
+            case 'moved':
+                await chrome.tabs.move(entry.tabId, entry.previous);
+                break;
+
+            case 'grouped':
+                if (entry.previous.groupId !== -1) {
+                    await chrome.tabs.group({ groupId: entry.previous.groupId, tabIds: [entry.tabId] })
+                        .catch(() => chrome.tabs.ungroup(entry.tabId));
+                } else {
+                    await chrome.tabs.ungroup(entry.tabId);
+                }
+                await chrome.tabs.move(entry.tabId, { index: entry.previous.index });
+                break;
+
+            case 'discarded':
+                await chrome.tabs.reload(entry.tabId);
+                break;
+
+            case 'closed': {
+                if (entry.bookmarkId) {
+                    await chrome.bookmarks.remove(entry.bookmarkId).catch(() => {});
+                }
+
+                const { tab } = entry;
+                let windowId = tab.windowId;
+                try {
+                    await chrome.windows.get(windowId);
+                } catch {
+                    windowId = undefined; // Reopen in the current window
+                }
+
+                const reopened = await chrome.tabs.create({
+                    url: tab.url,
+                    windowId: windowId,
+                    index: windowId !== undefined ? tab.index : undefined,
+                    pinned: tab.pinned,
+                    active: false
+                });
+
+                if (tab.groupId !== -1 && !tab.pinned) {
+                    await chrome.tabs.group({ groupId: tab.groupId, tabIds: [reopened.id] }).catch(() => {});
+                }
+                break;
+            }
+
+            default:
+                throw new Error(`Unknown undo entry: ${entry.type}`);
+        }
+    }
+
+    async push(record) {
+        const records = await this.getAll();
+        records.unshift(record);
+        await chrome.storage.local.set({
+            [this.storageKey]: records.slice(0, this.maxRecords)
+        });
+    }
+
+    /**
+     * Get stored action records (newest first)
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get(this.storageKey);
+        return result[this.storageKey] || [];
+    }
+
+    async getLatest() {
+        const records = await this.getAll();
+        return records[0] || null;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleActionExecutor;
+}
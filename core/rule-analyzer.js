@@ -0,0 +1,251 @@
+/**
+ * Rule Analyzer - Finds rules that never fire or fight each other
+ * Checks shadowing and overlaps between rules, and tests patterns against open tabs and history
+ */
+
+class RuleAnalyzer {
+    constructor(rulesEngine, options = {}) {
+        this.engine = rulesEngine;
+        this.historyDays = options.historyDays || 30;
+        this.maxHistoryItems = options.maxHistoryItems || 2000;
+    }
+
+    /**
+     * Analyze the enabled rules against sample tabs
+     * Issues are only reported when a custom rule is involved
+     * history is null when history access wasn't granted
+     */
+    analyze(tabs = [], history = null) {
+        const rules = this.getEvaluationOrder();
+        const customIds = new Set(this.engine.rules.map(rule => rule.id));
+        const issues = [];
+
+        const samples = [...tabs, ...(history || [])];
+        const matches = new Map(rules.map(rule => [rule.id, this.matchingTabs(rule, samples)]));
+        const matchSets = new Map([...matches].map(([id, matched]) => [id, new Set(matched)]));
+        const shadowed = new Set();
+
+        for (let i = 0; i < rules.length; i++) {
+            for (let j = i + 1; j < rules.length; j++) {
+                const higher = rules[i];
+                const lower = rules[j];
+                if (!customIds.has(higher.id) && !customIds.has(lower.id)) continue;
+
+                const sameTarget = this.sameTarget(higher, lower);
+
+                if (!shadowed.has(lower.id) && this.implies(this.normalize(lower.conditions), this.normalize(higher.conditions))) {
+                    shadowed.add(lower.id);
+                    issues.push(this.issue(sameTarget ? 'redundant' : 'shadowed', sameTarget ? 'info' : 'warning', lower, higher,
+                        sameTarget
+                            ? `Every tab it matches is already sent to the same category by "${higher.name}"`
+                            : `Never fires: every tab it matches is taken first by "${higher.name}" (${this.describeTarget(higher)})`));
+                    continue;
+                }
+
+                if (sameTarget) continue;
+                const overlap = matches.get(lower.id).filter(sample => matchSets.get(higher.id).has(sample));
+                if (overlap.length > 0) {
+                    issues.push(this.issue('overlap', 'warning', lower, higher,
+                        `Conflicts with "${higher.name}" (${this.describeTarget(higher)}) on ${overlap.length} tab${overlap.length === 1 ? '' : 's'}, which wins by priority`,
+                        { examples: overlap.slice(0, 3).map(sample => sample.title || sample.url) }));
+                }
+            }
+        }
+
+        for (const rule of rules.filter(r => customIds.has(r.id))) {
+            const patternIssues = this.checkPatterns(rule, tabs);
+            issues.push(...patternIssues);
+
+            const broken = patternIssues.some(issue => issue.type === 'invalid_pattern');
+            if (history && !broken && !shadowed.has(rule.id) && matches.get(rule.id).length === 0) {
+                issues.push(this.issue('unused', 'info', rule, null,
+                    `Matches nothing in your open tabs or the last ${this.historyDays} days of history`));
+            }
+        }
+
+        return {
+            issues: issues,
+            checkedRules: rules.length,
+            checkedTabs: tabs.length,
+            checkedHistory: history ? history.length : null
+        };
+    }
+
+    /**
+     * Recent history as { url, title } samples, or null without the optional history permission
+     */
+    async getRecentHistory() {
+        if (!chrome.permissions || !chrome.history) return null;
+        if (!await chrome.permissions.contains({ permissions: ['history'] })) return null;
+
+        const items = await chrome.history.search({
+            text: '',
+            startTime: Date.now() - this.historyDays * 24 * 60 * 60 * 1000,
+            maxResults: this.maxHistoryItems
+        });
+        return items.map(item => ({ url: item.url, title: item.title || '' }));
+    }
+
+    /**
+     * Enabled rules in the order RulesEngine.evaluateTab tries them
+     */
+    getEvaluationOrder() {
+        return [...this.engine.systemRules, ...this.engine.rules]
+            .filter(rule => rule.enabled)
+            .sort((a, b) => (b.action?.priority || 0) - (a.action?.priority || 0));
+    }
+
+    matchingTabs(rule, samples) {
+        return samples.filter(sample => {
+            try {
+                return this.engine.evaluateConditions(sample, rule.conditions);
+            } catch {
+                return false;
+            }
+        });
+    }
+
+    /**
+     * Invalid regexes, and regexes no open tab matches
+     */
+    checkPatterns(rule, tabs) {
+        const issues = [];
+
+        for (const { key, pattern } of this.collectPatterns(rule.conditions)) {
+            const result = this.engine.patterns.check(pattern);
+            if (!result.valid) {
+                issues.push(this.issue('invalid_pattern', 'error', rule, null, `Unusable pattern "${pattern}": ${result.error}`));
+                continue;
+            }
+
+            // Exclusions are expected not to match
+            if (key === 'urlExcludes' || tabs.length === 0) continue;
+
+            const field = key === 'titlePattern' ? 'title' : 'url';
+            if (!tabs.some(tab => this.engine.patterns.test(pattern, tab[field] || ''))) {
+                issues.push(this.issue('pattern_unmatched', 'info', rule, null,
+                    `The ${field} pattern "${pattern}" matches none of your ${tabs.length} open tabs`));
+            }
+        }
+
+        return issues;
+    }
+
+    collectPatterns(conditions = {}) {
+        const patterns = ['urlPattern', 'urlExcludes', 'titlePattern']
+            .filter(key => conditions[key])
+            .map(key => ({ key, pattern: conditions[key] }));
+
+        for (const clause of conditions.clauses || []) {
+            patterns.push(...this.collectPatterns(clause));
+        }
+        return patterns;
+    }
+
+    sameTarget(a, b) {
+        return a.action?.category === b.action?.category &&
+            (a.action?.subcategory || null) === (b.action?.subcategory || null);
+    }
+
+    describeTarget(rule) {
+        return rule.action?.subcategory ? `${rule.action.category}/${rule.action.subcategory}` : rule.action?.category;
+    }
+
+    issue(type, severity, rule, other, message, extra = {}) {
+        return {
+            type: type,
+            severity: severity,
+            ruleId: rule.id,
+            ruleName: rule.name,
+            otherRuleId: other ? other.id : null,
+            otherRuleName: other ? other.name : null,
+            message: message,
+            ...extra
+        };
+    }
+
+    /**
+     * Turn conditions into a tree of { op, children } nodes and { key, value } leaves
+     */
+    normalize(conditions = {}) {
+        const children = [];
+
+        for (const [key, value] of Object.entries(conditions)) {
+            if (['operator', 'clauses', 'keywordThreshold'].includes(key) || value === undefined) continue;
+            children.push({
+                key: key,
+                value: value,
+                threshold: key === 'keywords' ? (conditions.keywordThreshold || 1) : undefined
+            });
+        }
+        for (const clause of conditions.clauses || []) {
+            children.push(this.normalize(clause));
+        }
+
+        const op = conditions.operator || 'AND';
+        if (op !== 'NOT' && children.length === 1) {
+            return children[0];
+        }
+        return { op, children };
+    }
+
+    /**
+     * Whether every tab matching b also matches a
+     * Sound but incomplete: false means "not proven"
+     */
+    implies(b, a) {
+        // Conditions without any checks never match; the history check reports those
+        if (a.op && a.children.length === 0) return false;
+        if (b.op && b.children.length === 0) return false;
+
+        if (b.op === 'OR') return b.children.every(child => this.implies(child, a));
+        if (a.op === 'AND') return a.children.every(child => this.implies(b, child));
+        if (a.op === 'OR') return a.children.some(child => this.implies(b, child));
+        if (b.op === 'AND') return b.children.some(child => this.implies(child, a));
+
+        if (a.op === 'NOT' || b.op === 'NOT') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return this.leafImplies(b, a);
+    }
+
+    leafImplies(b, a) {
+        const domainOf = pattern => String(pattern).toLowerCase().replace(/^\*\./, '');
+        // matchDomain matches by substring, so a longer pattern containing a shorter one is narrower
+        const domainWithin = (narrow, broad) => domainOf(narrow).includes(domainOf(broad));
+
+        if (a.key === 'domain' || a.key === 'domains') {
+            const broad = a.key === 'domain' ? [a.value] : a.value;
+            const narrow = b.key === 'domain' ? [b.value] : b.key === 'domains' ? b.value : null;
+            return !!narrow && narrow.length > 0 &&
+                narrow.every(n => broad.some(w => domainWithin(n, w)));
+        }
+
+        if (a.key !== b.key) return false;
+
+        switch (a.key) {
+            case 'titleContains':
+                return b.value.toLowerCase().includes(a.value.toLowerCase());
+            case 'keywords': {
+                const shared = b.value.filter(keyword => a.value.map(k => k.toLowerCase()).includes(keyword.toLowerCase()));
+                const missing = b.value.length - shared.length;
+                return b.threshold - missing >= a.threshold;
+            }
+            case 'fileExtension':
+            case 'isPinned':
+            case 'isActive':
+            case 'urlPattern':
+            case 'urlExcludes':
+            case 'titlePattern':
+                return a.value === b.value;
+            default:
+                // Custom functions can't be compared
+                return typeof a.value !== 'function' && JSON.stringify(a.value) === JSON.stringify(b.value);
+        }
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleAnalyzer;
+}
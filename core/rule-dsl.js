@@ -0,0 +1,768 @@
+/**
+ * Rule DSL - Text syntax for rules engine rules
+ * Parses rules like `domain ~ "*.atlassian.net" and (title has "sprint" or url ~ "/board/") -> work/planning priority 90`
+ * into the engine's conditions/action structure, validates them and prints them back
+ */
+
+class RuleSyntaxError extends Error {
+    constructor(message, line, column) {
+        super(`Line ${line}, column ${column}: ${message}`);
+        this.name = 'RuleSyntaxError';
+        this.reason = message;
+        this.line = line;
+        this.column = column;
+    }
+}
+
+class RuleDSL {
+    /**
+     * Fields and the condition key each operator compiles to
+     */
+    static FIELDS = {
+        domain: { '~': 'domain', 'in': 'domains' },
+        url: { '~': 'urlPattern', '!~': 'urlExcludes', 'like': 'urlPattern' },
+        title: { '~': 'titlePattern', 'has': 'titleContains', 'like': 'titlePattern' },
+        keywords: { 'has': 'keywords' },
+        extension: { '=': 'fileExtension' },
+        pinned: { '=': 'isPinned' },
+        active: { '=': 'isActive' },
+        hour: { 'in': 'hours' },
+        day: { 'in': 'days' }
+    };
+
+    static DAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+    // Boolean action flags written after the target category
+    static FLAGS = {
+        pin: ['pinTab', true],
+        unpin: ['pinTab', false],
+        mute: ['muteTab', true],
+        unmute: ['muteTab', false],
+        collapse: ['collapseGroup', true],
+        discard: ['discardTab', true],
+        close: ['closeTab', true],
+        'keep-open': ['keepOpen', true],
+        separate: ['groupSeparately', true],
+        stop: ['stopProcessing', true]
+    };
+
+    static KEYWORDS = new Set(['and', 'or', 'not', 'in', 'has', 'like', 'min', 'true', 'false']);
+
+    static PRECEDENCE = { or: 1, and: 2, not: 3, cond: 4 };
+
+    static LINE_WIDTH = 72;
+
+    /**
+     * Parse rule text into { conditions, action }
+     * Throws RuleSyntaxError at the first problem
+     */
+    static parse(source) {
+        const ast = new RuleDSL(source).parseRule();
+        const errors = RuleDSL.check(ast);
+        if (errors.length > 0) {
+            throw errors[0];
+        }
+
+        return {
+            conditions: RuleDSL.compileConditions(ast.expression),
+            action: ast.action
+        };
+    }
+
+    /**
+     * Check rule text without throwing
+     * Options: categories (known category IDs)
+     * Returns { valid, errors: [{ message, line, column }], rule }
+     */
+    static validate(source, options = {}) {
+        let ast;
+        try {
+            ast = new RuleDSL(source).parseRule();
+        } catch (error) {
+            if (!(error instanceof RuleSyntaxError)) throw error;
+            return { valid: false, errors: [RuleDSL.describeError(error)], rule: null };
+        }
+
+        const errors = RuleDSL.check(ast, options);
+        if (errors.length > 0) {
+            return { valid: false, errors: errors.map(RuleDSL.describeError), rule: null };
+        }
+
+        return {
+            valid: true,
+            errors: [],
+            rule: { conditions: RuleDSL.compileConditions(ast.expression), action: ast.action }
+        };
+    }
+
+    static describeError(error) {
+        return { message: error.reason, line: error.line, column: error.column };
+    }
+
+    constructor(source) {
+        this.source = String(source ?? '');
+        this.tokens = this.tokenize();
+        this.position = 0;
+    }
+
+    // ---- Lexer ----
+
+    tokenize() {
+        const tokens = [];
+        const source = this.source;
+        let index = 0;
+        let line = 1;
+        let lineStart = 0;
+
+        const isIdentStart = char => /[A-Za-z_]/.test(char);
+        const isIdentChar = (char, next) => /[A-Za-z0-9_-]/.test(char) && !(char === '-' && next === '>');
+
+        while (index < source.length) {
+            const char = source[index];
+            const column = index - lineStart + 1;
+
+            if (char === '\n') {
+                index++;
+                line++;
+                lineStart = index;
+                continue;
+            }
+            if (/\s/.test(char)) {
+                index++;
+                continue;
+            }
+            if (char === '#') {
+                while (index < source.length && source[index] !== '\n') index++;
+                continue;
+            }
+
+            const token = { line, column };
+
+            if (char === '"' || char === '\'') {
+                let value = '';
+                index++;
+                while (index < source.length && source[index] !== char) {
+                    if (source[index] === '\n') {
+                        throw new RuleSyntaxError('Unterminated string', line, column);
+                    }
+                    // Only quotes and backslashes are escaped, so regex escapes like \d read as written
+                    if (source[index] === '\\' && (source[index + 1] === char || source[index + 1] === '\\')) {
+                        index++;
+                    }
+                    value += source[index++];
+                }
+                if (index >= source.length) {
+                    throw new RuleSyntaxError('Unterminated string', line, column);
+                }
+                index++;
+                tokens.push({ ...token, type: 'string', value });
+                continue;
+            }
+
+            if (/[0-9]/.test(char)) {
+                let text = '';
+                while (index < source.length && /[0-9]/.test(source[index])) text += source[index++];
+                tokens.push({ ...token, type: 'number', value: parseInt(text, 10) });
+                continue;
+            }
+
+            if (isIdentStart(char)) {
+                let text = '';
+                while (index < source.length && isIdentChar(source[index], source[index + 1])) text += source[index++];
+                const lower = text.toLowerCase();
+                tokens.push({ ...token, type: RuleDSL.KEYWORDS.has(lower) ? lower : 'ident', value: text });
+                continue;
+            }
+
+            const symbol = ['->', '!~', '..'].find(s => source.startsWith(s, index)) ||
+                ('~=()[],/'.includes(char) ? char : null);
+            if (!symbol) {
+                throw new RuleSyntaxError(`Unexpected character "${char}"`, line, column);
+            }
+            index += symbol.length;
+            tokens.push({ ...token, type: symbol, value: symbol });
+        }
+
+        const column = index - lineStart + 1;
+        tokens.push({ type: 'end', value: 'end of rule', line, column });
+        return tokens;
+    }
+
+    // ---- Parser ----
+
+    peek() {
+        return this.tokens[this.position];
+    }
+
+    next() {
+        return this.tokens[this.position++];
+    }
+
+    accept(type) {
+        if (this.peek().type === type) {
+            return this.next();
+        }
+        return null;
+    }
+
+    expect(type, description = `"${type}"`) {
+        const token = this.peek();
+        if (token.type !== type) {
+            throw this.error(`Expected ${description} but found ${this.describeToken(token)}`, token);
+        }
+        return this.next();
+    }
+
+    describeToken(token) {
+        if (token.type === 'end') return 'the end of the rule';
+        return `"${token.value}"`;
+    }
+
+    error(message, token = this.peek()) {
+        return new RuleSyntaxError(message, token.line, token.column);
+    }
+
+    /**
+     * rule := expression "->" target options
+     */
+    parseRule() {
+        const expression = this.parseOr();
+        this.expect('->', '"->" and a category');
+        const action = this.parseAction();
+        this.expect('end', 'end of rule');
+        return { expression, action };
+    }
+
+    parseOr() {
+        const first = this.parseAnd();
+        const children = [first];
+        while (this.accept('or')) {
+            children.push(this.parseAnd());
+        }
+        return children.length === 1 ? first : { type: 'or', children, token: first.token };
+    }
+
+    parseAnd() {
+        const first = this.parseNot();
+        const children = [first];
+        while (this.accept('and')) {
+            children.push(this.parseNot());
+        }
+        return children.length === 1 ? first : { type: 'and', children, token: first.token };
+    }
+
+    parseNot() {
+        const token = this.accept('not');
+        if (token) {
+            return { type: 'not', child: this.parseNot(), token };
+        }
+        return this.parsePrimary();
+    }
+
+    parsePrimary() {
+        if (this.accept('(')) {
+            const expression = this.parseOr();
+            this.expect(')', '")"');
+            return expression;
+        }
+        return this.parseCondition();
+    }
+
+    /**
+     * condition := field operator value ["min" number]
+     */
+    parseCondition() {
+        const fieldToken = this.peek();
+        if (fieldToken.type !== 'ident') {
+            throw this.error(`Expected a condition but found ${this.describeToken(fieldToken)}`);
+        }
+        this.next();
+
+        const operatorToken = this.peek();
+        if (!['~', '!~', '=', 'in', 'has', 'like'].includes(operatorToken.type)) {
+            throw this.error(`Expected an operator (~, !~, =, in, has, like) after "${fieldToken.value}" but found ${this.describeToken(operatorToken)}`);
+        }
+        this.next();
+
+        const valueToken = this.peek();
+        const value = this.parseValue();
+        const condition = {
+            type: 'cond',
+            field: fieldToken.value.toLowerCase(),
+            op: operatorToken.type,
+            value,
+            token: fieldToken,
+            operatorToken,
+            valueToken
+        };
+
+        const minToken = this.accept('min');
+        if (minToken) {
+            condition.min = this.expect('number', 'a number').value;
+            condition.minToken = minToken;
+        }
+
+        return condition;
+    }
+
+    /**
+     * value := string | number | true | false | number ".." number | "[" value, ... "]"
+     */
+    parseValue() {
+        const token = this.peek();
+
+        if (this.accept('[')) {
+            const items = [];
+            if (this.peek().type !== ']') {
+                do {
+                    items.push(this.parseScalar());
+                } while (this.accept(','));
+            }
+            this.expect(']', '"]"');
+            return { kind: 'list', items };
+        }
+
+        const scalar = this.parseScalar();
+        if (scalar.kind === 'number' && this.accept('..')) {
+            const end = this.expect('number', 'a number');
+            return { kind: 'range', start: scalar.value, end: end.value };
+        }
+        if (scalar.kind === 'string' && this.peek().type === ',') {
+            throw this.error('Put multiple values in a list: ["a", "b"]', token);
+        }
+        return scalar;
+    }
+
+    parseScalar() {
+        const token = this.next();
+        switch (token.type) {
+            case 'string': return { kind: 'string', value: token.value, token };
+            case 'number': return { kind: 'number', value: token.value, token };
+            case 'true': return { kind: 'boolean', value: true, token };
+            case 'false': return { kind: 'boolean', value: false, token };
+            case 'ident': return { kind: 'word', value: token.value, token };
+            default:
+                throw this.error(`Expected a value but found ${this.describeToken(token)}`, token);
+        }
+    }
+
+    /**
+     * target := name ["/" name]; then "priority" number, action flags,
+     * "window" name and "bookmark" [name] in any order
+     */
+    parseAction() {
+        const categoryToken = this.peek();
+        const action = { category: this.parseName('a category') };
+        const tokens = { category: categoryToken };
+
+        if (this.accept('/')) {
+            tokens.subcategory = this.peek();
+            action.subcategory = this.parseName('a subcategory');
+        }
+
+        while (this.peek().type === 'ident') {
+            const token = this.next();
+            const word = token.value.toLowerCase();
+
+            if (word === 'priority') {
+                tokens.priority = this.peek();
+                action.priority = this.expect('number', 'a number').value;
+            } else if (word === 'window') {
+                action.moveToWindow = this.parseName('a window name');
+            } else if (word === 'bookmark') {
+                action.bookmarkAndClose = this.peek().type === 'string' ? this.next().value : true;
+            } else if (RuleDSL.FLAGS[word]) {
+                const [key, value] = RuleDSL.FLAGS[word];
+                if (action[key] !== undefined) {
+                    throw this.error(`"${token.value}" conflicts with an earlier action`, token);
+                }
+                action[key] = value;
+            } else {
+                throw this.error(`Unknown action "${token.value}"`, token);
+            }
+        }
+
+        Object.defineProperty(action, 'tokens', { value: tokens, enumerable: false });
+        return action;
+    }
+
+    parseName(description) {
+        const token = this.peek();
+        if (token.type === 'ident' || token.type === 'string') {
+            return this.next().value;
+        }
+        throw this.error(`Expected ${description} but found ${this.describeToken(token)}`, token);
+    }
+
+    // ---- Validation ----
+
+    /**
+     * Semantic checks on a parsed rule; returns RuleSyntaxErrors
+     */
+    static check(ast, options = {}) {
+        const errors = [];
+        const fail = (message, token) => errors.push(new RuleSyntaxError(message, token.line, token.column));
+
+        const visit = node => {
+            if (node.type === 'and' || node.type === 'or') {
+                node.children.forEach(visit);
+            } else if (node.type === 'not') {
+                visit(node.child);
+            } else {
+                RuleDSL.checkCondition(node, fail);
+            }
+        };
+        visit(ast.expression);
+
+        const { action } = ast;
+        const tokens = action.tokens || {};
+        if (action.priority !== undefined && (action.priority < 0 || action.priority > 100)) {
+            fail('Priority must be between 0 and 100', tokens.priority);
+        }
+        if (options.categories && !options.categories.includes(action.category)) {
+            fail(`Unknown category "${action.category}"`, tokens.category);
+        }
+
+        return errors;
+    }
+
+    static checkCondition(node, fail) {
+        const operators = RuleDSL.FIELDS[node.field];
+        if (!operators) {
+            fail(`Unknown field "${node.token.value}" (use ${Object.keys(RuleDSL.FIELDS).join(', ')})`, node.token);
+            return;
+        }
+
+        const key = operators[node.op];
+        if (!key) {
+            fail(`"${node.field}" can't be used with "${node.op}" (use ${Object.keys(operators).join(' or ')})`, node.operatorToken);
+            return;
+        }
+
+        const { value, valueToken } = node;
+        const strings = value.kind === 'list' ? value.items : [value];
+        const allStrings = strings.every(item => item.kind === 'string');
+
+        if (node.min !== undefined && key !== 'keywords') {
+            fail('"min" only applies to keywords', node.minToken);
+        }
+
+        switch (key) {
+            case 'domains':
+                if (value.kind !== 'list' || !allStrings || strings.length === 0) {
+                    fail('Expected a list of domains, e.g. ["a.com", "b.com"]', valueToken);
+                }
+                break;
+
+            case 'keywords':
+                if (!allStrings || strings.length === 0) {
+                    fail('Expected a keyword or a list of keywords', valueToken);
+                } else if (node.min !== undefined && (node.min < 1 || node.min > strings.length)) {
+                    fail(`"min" must be between 1 and ${strings.length}`, node.minToken);
+                }
+                break;
+
+            case 'urlPattern':
+            case 'urlExcludes':
+            case 'titlePattern':
+                if (value.kind !== 'string') {
+                    fail('Expected a pattern in quotes', valueToken);
+                } else {
+                    const result = PatternCompiler.shared.check(RuleDSL.patternOf(node));
+                    if (!result.valid) {
+                        fail(`Invalid pattern: ${result.error}`, valueToken);
+                    }
+                }
+                break;
+
+            case 'isPinned':
+            case 'isActive':
+                if (value.kind !== 'boolean') {
+                    fail('Expected true or false', valueToken);
+                }
+                break;
+
+            case 'hours':
+                if (value.kind !== 'range' || value.start > 23 || value.end > 23) {
+                    fail('Expected an hour range between 0 and 23, e.g. 9..17', valueToken);
+                }
+                break;
+
+            case 'days': {
+                const items = value.kind === 'list' ? value.items : [];
+                if (items.length === 0 || items.some(item => RuleDSL.dayNumber(item) === null)) {
+                    fail('Expected a list of days, e.g. [mon, tue] or [1, 2]', valueToken);
+                }
+                break;
+            }
+
+            default:
+                if (value.kind !== 'string') {
+                    fail('Expected a value in quotes', valueToken);
+                }
+        }
+    }
+
+    static dayNumber(item) {
+        if (item.kind === 'number') return item.value <= 6 ? item.value : null;
+        if (item.kind !== 'word' && item.kind !== 'string') return null;
+        const index = RuleDSL.DAYS.indexOf(item.value.toLowerCase().slice(0, 3));
+        return index === -1 ? null : index;
+    }
+
+    // ---- Compiling to the conditions structure ----
+
+    /**
+     * Compile an expression tree into RulesEngine conditions
+     * Leaves of one and/or are merged into a single conditions object where
+     * their keys don't collide; anything else becomes a nested clause
+     */
+    static compileConditions(node) {
+        const compiled = RuleDSL.compileNode(node);
+        return compiled.operator ? compiled : { ...compiled, operator: 'AND' };
+    }
+
+    static compileNode(node) {
+        if (node.type === 'cond') {
+            return RuleDSL.compileLeaf(node);
+        }
+
+        if (node.type === 'not') {
+            const child = RuleDSL.compileNode(node.child);
+            // NOT means none of the results match, so NOT over an OR needs no clause
+            if (!child.operator || child.operator === 'OR') {
+                return { ...child, operator: 'NOT' };
+            }
+            return { operator: 'NOT', clauses: [child] };
+        }
+
+        const conditions = { operator: node.type === 'and' ? 'AND' : 'OR' };
+        const clauses = [];
+        for (const child of node.children) {
+            const compiled = RuleDSL.compileNode(child);
+            const isLeaf = !compiled.operator;
+            if (isLeaf && Object.keys(compiled).every(key => conditions[key] === undefined)) {
+                Object.assign(conditions, compiled);
+            } else if (isLeaf && compiled.timeRange && conditions.operator === 'AND' &&
+                Object.keys(compiled.timeRange).every(key => conditions.timeRange?.[key] === undefined)) {
+                // Hours and days share one time range, which requires both
+                conditions.timeRange = { ...conditions.timeRange, ...compiled.timeRange };
+            } else {
+                clauses.push(compiled);
+            }
+        }
+        if (clauses.length > 0) {
+            conditions.clauses = clauses;
+        }
+        return conditions;
+    }
+
+    static compileLeaf(node) {
+        const key = RuleDSL.FIELDS[node.field][node.op];
+        const { value } = node;
+
+        switch (key) {
+            case 'domains':
+                return { domains: value.items.map(item => item.value) };
+            case 'keywords': {
+                const keywords = value.kind === 'list' ? value.items.map(item => item.value) : [value.value];
+                return node.min !== undefined ? { keywords, keywordThreshold: node.min } : { keywords };
+            }
+            case 'hours':
+                return { timeRange: { hours: { start: value.start, end: value.end } } };
+            case 'days':
+                return { timeRange: { days: value.items.map(item => RuleDSL.dayNumber(item)) } };
+            case 'urlPattern':
+            case 'titlePattern':
+                return { [key]: RuleDSL.patternOf(node) };
+            default:
+                return { [key]: value.value };
+        }
+    }
+
+    /**
+     * "like" patterns are globs
+     */
+    static patternOf(node) {
+        return node.op === 'like' ? PatternCompiler.GLOB_PREFIX + node.value.value : node.value.value;
+    }
+
+    // ---- Printing ----
+
+    /**
+     * Print a rule's conditions and action as rule text
+     * Throws when the rule uses something the text syntax can't express
+     */
+    static print(rule) {
+        const expression = RuleDSL.printConditions(rule.conditions);
+        const action = RuleDSL.printAction(rule.action || {});
+        const separator = expression.includes('\n') ? '\n' : ' ';
+        return `${expression}${separator}-> ${action}`;
+    }
+
+    /**
+     * Print just the condition expression
+     */
+    static printConditions(conditions) {
+        return RuleDSL.format(RuleDSL.decompile(conditions || {}), 0, 0);
+    }
+
+    /**
+     * Turn a conditions object back into an expression tree
+     */
+    static decompile(conditions) {
+        const terms = [];
+        const known = new Set(['operator', 'clauses', 'keywordThreshold']);
+
+        for (const [key, value] of Object.entries(conditions)) {
+            if (known.has(key) || value === undefined) continue;
+            terms.push(...RuleDSL.decompileLeaf(key, value, conditions));
+        }
+        for (const clause of conditions.clauses || []) {
+            terms.push(RuleDSL.decompile(clause));
+        }
+
+        if (terms.length === 0) {
+            throw new Error('Rule has no conditions');
+        }
+
+        const operator = conditions.operator || 'AND';
+        if (operator === 'NOT') {
+            return { type: 'not', child: terms.length === 1 ? terms[0] : { type: 'or', children: terms } };
+        }
+        if (operator !== 'AND' && operator !== 'OR') {
+            throw new Error(`Unknown operator "${operator}"`);
+        }
+        return terms.length === 1 ? terms[0] : { type: operator.toLowerCase(), children: terms };
+    }
+
+    static decompileLeaf(key, value, conditions) {
+        const leaf = (field, op, printed) => ({ type: 'cond', field, op, printed });
+        const quote = RuleDSL.quote;
+
+        switch (key) {
+            case 'domain': return [leaf('domain', '~', quote(value))];
+            case 'domains': return [leaf('domain', 'in', `[${value.map(quote).join(', ')}]`)];
+            case 'urlPattern':
+                return PatternCompiler.isGlob(value)
+                    ? [leaf('url', 'like', quote(value.slice(PatternCompiler.GLOB_PREFIX.length)))]
+                    : [leaf('url', '~', quote(value))];
+            case 'urlExcludes': return [leaf('url', '!~', quote(value))];
+            case 'titlePattern':
+                return PatternCompiler.isGlob(value)
+                    ? [leaf('title', 'like', quote(value.slice(PatternCompiler.GLOB_PREFIX.length)))]
+                    : [leaf('title', '~', quote(value))];
+            case 'titleContains': return [leaf('title', 'has', quote(value))];
+            case 'keywords': {
+                const list = value.length === 1 ? quote(value[0]) : `[${value.map(quote).join(', ')}]`;
+                const min = conditions.keywordThreshold ? ` min ${conditions.keywordThreshold}` : '';
+                return [leaf('keywords', 'has', `${list}${min}`)];
+            }
+            case 'fileExtension': return [leaf('extension', '=', quote(value))];
+            case 'isPinned': return [leaf('pinned', '=', String(value))];
+            case 'isActive': return [leaf('active', '=', String(value))];
+            case 'timeRange': {
+                if (value.dates) {
+                    throw new Error('Date conditions can\'t be written as rule text');
+                }
+                const leaves = [];
+                if (value.hours) leaves.push(leaf('hour', 'in', `${value.hours.start}..${value.hours.end}`));
+                if (value.days) leaves.push(leaf('day', 'in', `[${value.days.map(day => RuleDSL.DAYS[day]).join(', ')}]`));
+                // Hours and days in one time range must both hold
+                return leaves.length > 1 && conditions.operator !== 'AND' ? [{ type: 'and', children: leaves }] : leaves;
+            }
+            default:
+                throw new Error(`The "${key}" condition can't be written as rule text`);
+        }
+    }
+
+    /**
+     * Print an expression tree, breaking long and/or chains over lines
+     */
+    static format(node, indent, parentPrecedence) {
+        const flat = RuleDSL.formatFlat(node, parentPrecedence);
+        if (node.type === 'cond' || node.type === 'not' || indent + flat.length <= RuleDSL.LINE_WIDTH) {
+            return flat;
+        }
+
+        const precedence = RuleDSL.PRECEDENCE[node.type];
+        const parenthesized = precedence < parentPrecedence;
+        const inner = parenthesized ? indent + 4 : indent;
+        const pad = ' '.repeat(inner);
+        const body = node.children
+            .map(child => RuleDSL.format(child, inner + node.type.length + 1, precedence))
+            .join(`\n${pad}${node.type} `);
+
+        return parenthesized ? `(\n${pad}${body}\n${' '.repeat(indent)})` : body;
+    }
+
+    static formatFlat(node, parentPrecedence) {
+        const precedence = RuleDSL.PRECEDENCE[node.type];
+        let text;
+
+        if (node.type === 'cond') {
+            text = `${node.field} ${node.op} ${node.printed}`;
+        } else if (node.type === 'not') {
+            text = `not ${RuleDSL.formatFlat(node.child, precedence)}`;
+        } else {
+            text = node.children.map(child => RuleDSL.formatFlat(child, precedence)).join(` ${node.type} `);
+        }
+
+        return precedence < parentPrecedence ? `(${text})` : text;
+    }
+
+    static printAction(action) {
+        if (!action.category) {
+            throw new Error('Rule has no category');
+        }
+
+        const parts = [RuleDSL.name(action.category) + (action.subcategory ? `/${RuleDSL.name(action.subcategory)}` : '')];
+        if (action.priority !== undefined) {
+            parts.push(`priority ${action.priority}`);
+        }
+
+        const printed = new Set(['category', 'subcategory', 'priority']);
+        for (const [word, [key, value]] of Object.entries(RuleDSL.FLAGS)) {
+            if (action[key] === value) {
+                parts.push(word);
+                printed.add(key);
+            } else if (action[key] === undefined || action[key] === false) {
+                printed.add(key);
+            }
+        }
+        if (action.moveToWindow) {
+            parts.push(`window ${RuleDSL.quote(action.moveToWindow)}`);
+        }
+        if (action.bookmarkAndClose) {
+            parts.push(typeof action.bookmarkAndClose === 'string' ? `bookmark ${RuleDSL.quote(action.bookmarkAndClose)}` : 'bookmark');
+        }
+        printed.add('moveToWindow');
+        printed.add('bookmarkAndClose');
+
+        const unknown = Object.keys(action).filter(key => !printed.has(key));
+        if (unknown.length > 0) {
+            throw new Error(`The "${unknown[0]}" action can't be written as rule text`);
+        }
+
+        return parts.join(' ');
+    }
+
+    static quote(value) {
+        return `"${String(value).replace(/\\(?=["\\]|$)/g, '\\\\').replace(/"/g, '\\"')}"`;
+    }
+
+    /**
+     * Category names stay bare when they read as a single word
+     */
+    static name(value) {
+        const word = /^[A-Za-z_][A-Za-z0-9_-]*$/.test(value) && !RuleDSL.KEYWORDS.has(value.toLowerCase());
+        return word ? value : RuleDSL.quote(value);
+    }
+}
+
+RuleDSL.SyntaxError = RuleSyntaxError;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleDSL;
+}
@@ -0,0 +1,124 @@
+/**
+ * Rule Store - Persists the rules engine's user rules in chrome.storage
+ * Keeps a schema version so stored rules can be migrated as the format grows
+ */
+
+class RuleStore {
+    static SCHEMA_VERSION = 1;
+
+    constructor(rulesEngine, options = {}) {
+        this.engine = rulesEngine;
+        this.storageKey = options.storageKey || 'customRules';
+    }
+
+    /**
+     * Load stored rules into the engine, including system rule toggles
+     */
+    async load() {
+        const result = await chrome.storage.local.get(this.storageKey);
+        const data = RuleStore.migrate(result[this.storageKey]);
+
+        this.engine.rules = data.rules.filter(rule => this.engine.validateRule(rule));
+        for (const [ruleId, enabled] of Object.entries(data.systemRules)) {
+            const systemRule = this.engine.systemRules.find(rule => rule.id === ruleId);
+            if (systemRule) {
+                systemRule.enabled = enabled;
+            }
+        }
+
+        if (data.migrated) {
+            await this.persist();
+        }
+        return this.engine.rules;
+    }
+
+    /**
+     * Bring stored data up to the current schema
+     * Version 0 was a bare array of rules
+     */
+    static migrate(stored) {
+        if (!stored) {
+            return { version: RuleStore.SCHEMA_VERSION, rules: [], systemRules: {}, migrated: false };
+        }
+
+        if (Array.isArray(stored)) {
+            return { version: RuleStore.SCHEMA_VERSION, rules: stored, systemRules: {}, migrated: true };
+        }
+
+        if (stored.version > RuleStore.SCHEMA_VERSION) {
+            console.warn(`Stored rules use schema version ${stored.version}, newer than ${RuleStore.SCHEMA_VERSION}`);
+        }
+
+        return {
+            version: stored.version,
+            rules: stored.rules || [],
+            systemRules: stored.systemRules || {},
+            migrated: false
+        };
+    }
+
+    /**
+     * Write the engine's user rules and system rule toggles
+     */
+    async persist() {
+        const systemRules = {};
+        for (const rule of this.engine.systemRules) {
+            systemRules[rule.id] = rule.enabled;
+        }
+
+        await chrome.storage.local.set({
+            [this.storageKey]: {
+                version: RuleStore.SCHEMA_VERSION,
+                rules: this.engine.rules,
+                systemRules: systemRules
+            }
+        });
+    }
+
+    /**
+     * Add a rule, or update it when its ID already exists
+     */
+    async save(rule) {
+        let saved;
+        if (rule.id && this.engine.rules.some(r => r.id === rule.id)) {
+            const { id, ...updates } = rule;
+            saved = this.engine.updateRule(id, updates);
+        } else {
+            this.engine.addRule(rule);
+            saved = rule;
+        }
+
+        await this.persist();
+        return saved;
+    }
+
+    async toggle(ruleId, enabled) {
+        if (!this.engine.toggleRule(ruleId, enabled)) {
+            throw new Error(`Rule ${ruleId} not found`);
+        }
+        await this.persist();
+    }
+
+    async remove(ruleId) {
+        this.engine.removeRule(ruleId);
+        await this.persist();
+    }
+
+    exportRules() {
+        return this.engine.exportRules();
+    }
+
+    /**
+     * Import rules in the RulesEngine.exportRules format
+     */
+    async importRules(json, replace = false) {
+        const count = this.engine.importRules(json, replace);
+        await this.persist();
+        return count;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RuleStore;
+}
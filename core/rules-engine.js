@@ -4,8 +4,15 @@
  */
 
 class RulesEngine {
+    // Condition keys evaluateConditions understands (clauses and keywordThreshold aside)
+    static CONDITION_KEYS = [
+        'domain', 'domains', 'urlPattern', 'urlExcludes', 'titlePattern', 'titleContains',
+        'keywords', 'fileExtension', 'isPinned', 'isActive', 'timeRange', 'customFunction'
+    ];
+
     constructor() {
         this.rules = [];
+        this.patterns = PatternCompiler.shared;
         this.loadDefaultRules();
     }
 
@@ -253,22 +260,24 @@ class RulesEngine {
             results.push(domainMatches);
         }
 
-        // URL pattern
+        // URL pattern (regex or glob)
         if (conditions.urlPattern) {
-            const pattern = new RegExp(conditions.urlPattern, 'i');
-            results.push(pattern.test(tab.url));
+            results.push(this.patterns.test(conditions.urlPattern, tab.url));
         }
 
         // URL excludes pattern
         if (conditions.urlExcludes) {
-            const pattern = new RegExp(conditions.urlExcludes, 'i');
-            results.push(!pattern.test(tab.url));
+            results.push(!this.patterns.test(conditions.urlExcludes, tab.url));
         }
 
         // Title pattern
         if (conditions.titlePattern) {
-            const pattern = new RegExp(conditions.titlePattern, 'i');
-            results.push(pattern.test(tab.title || ''));
+            results.push(this.patterns.test(conditions.titlePattern, tab.title || ''));
+        }
+
+        // Plain text in the title
+        if (conditions.titleContains) {
+            results.push((tab.title || '').toLowerCase().includes(conditions.titleContains.toLowerCase()));
         }
 
         // Keywords in title or URL
@@ -308,6 +317,13 @@ class RulesEngine {
             }
         }
 
+        // Nested condition groups, each with its own operator
+        if (Array.isArray(conditions.clauses)) {
+            for (const clause of conditions.clauses) {
+                results.push(this.evaluateConditions(tab, clause));
+            }
+        }
+
         // Apply operator
         if (results.length === 0) return false;
 
@@ -317,12 +333,43 @@ class RulesEngine {
         } else if (operator === 'OR') {
             return results.some(r => r === true);
         } else if (operator === 'NOT') {
-            return !results[0];
+            // None of the conditions may match
+            return results.every(r => r !== true);
         }
 
         return false;
     }
 
+    /**
+     * Evaluate each condition on its own, for showing which ones pass
+     * Returns { operator, matched, checks: [{ key, value, keywordThreshold, passed } | nested trace] }
+     */
+    traceConditions(tab, conditions) {
+        const checks = [];
+
+        for (const [key, value] of Object.entries(conditions || {})) {
+            if (!RulesEngine.CONDITION_KEYS.includes(key)) continue;
+
+            const keywordThreshold = key === 'keywords' ? conditions.keywordThreshold : undefined;
+            checks.push({
+                key: key,
+                value: value,
+                keywordThreshold: keywordThreshold,
+                passed: this.evaluateConditions(tab, { [key]: value, keywordThreshold, operator: 'AND' })
+            });
+        }
+
+        for (const clause of conditions?.clauses || []) {
+            checks.push(this.traceConditions(tab, clause));
+        }
+
+        return {
+            operator: conditions?.operator || 'AND',
+            matched: this.evaluateConditions(tab, conditions),
+            checks: checks
+        };
+    }
+
     /**
      * Match domain with wildcards support
      */
@@ -414,11 +461,12 @@ class RulesEngine {
 
         // Increase confidence based on condition specificity
         if (rule.conditions) {
-            if (rule.conditions.domain) confidence += 0.2;
-            if (rule.conditions.urlPattern) confidence += 0.15;
-            if (rule.conditions.keywords) confidence += 0.1;
-            if (rule.conditions.fileExtension) confidence += 0.1;
-            if (rule.conditions.customFunction) confidence += 0.25;
+            const has = key => this.hasCondition(rule.conditions, key);
+            if (has('domain')) confidence += 0.2;
+            if (has('urlPattern')) confidence += 0.15;
+            if (has('keywords') || has('titleContains')) confidence += 0.1;
+            if (has('fileExtension')) confidence += 0.1;
+            if (has('customFunction')) confidence += 0.25;
         }
 
         // Adjust based on action priority
@@ -429,6 +477,15 @@ class RulesEngine {
         return Math.min(confidence, 1.0);
     }
 
+    /**
+     * Whether a condition key is used anywhere in (possibly nested) conditions
+     */
+    hasCondition(conditions, key) {
+        if (!conditions) return false;
+        if (conditions[key]) return true;
+        return (conditions.clauses || []).some(clause => this.hasCondition(clause, key));
+    }
+
     /**
      * Apply rules to multiple tabs
      */
@@ -472,6 +529,7 @@ class RulesEngine {
         if (!this.validateRule(rule)) {
             throw new Error('Invalid rule structure');
         }
+        this.assertPatterns(rule.conditions);
 
         rule.id = rule.id || `custom_${Date.now()}`;
         rule.enabled = rule.enabled !== undefined ? rule.enabled : true;
@@ -494,6 +552,7 @@ class RulesEngine {
         if (!this.validateRule(updatedRule)) {
             throw new Error('Invalid rule structure after update');
         }
+        this.assertPatterns(updatedRule.conditions);
 
         updatedRule.updatedAt = Date.now();
         this.rules[index] = updatedRule;
@@ -568,6 +627,26 @@ class RulesEngine {
         return true;
     }
 
+    /**
+     * Throw a readable error for the first pattern the pattern compiler rejects
+     * Stored rules are not checked on load, their unusable patterns just never match
+     */
+    assertPatterns(conditions, ruleName = null) {
+        for (const key of ['urlPattern', 'urlExcludes', 'titlePattern']) {
+            if (!conditions?.[key]) continue;
+
+            const result = this.patterns.check(conditions[key]);
+            if (!result.valid) {
+                const label = key === 'titlePattern' ? 'title' : 'URL';
+                throw new Error(`${ruleName ? `${ruleName}: ` : ''}Invalid ${label} pattern "${conditions[key]}": ${result.error}`);
+            }
+        }
+
+        for (const clause of conditions?.clauses || []) {
+            this.assertPatterns(clause, ruleName);
+        }
+    }
+
     /**
      * Export rules to JSON
      */
@@ -590,6 +669,7 @@ class RulesEngine {
                 if (!this.validateRule(rule)) {
                     throw new Error(`Invalid rule: ${rule.name || 'unnamed'}`);
                 }
+                this.assertPatterns(rule.conditions, rule.name);
             }
 
             if (replace) {
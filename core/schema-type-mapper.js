@@ -0,0 +1,148 @@
+/**
+ * Schema Type Mapper - Turns schema.org JSON-LD types into category votes
+ * Pages that declare what they are (Product, NewsArticle, Recipe...) vote for a category with a weight
+ */
+
+class SchemaTypeMapper {
+    /**
+     * Built-in mappings; weights are category-match points (a domain match is 5, a title keyword 2)
+     */
+    static DEFAULT_MAPPINGS = [
+        { type: 'Product', category: 'shopping', weight: 5 },
+        { type: 'ProductGroup', category: 'shopping', weight: 5 },
+        { type: 'Offer', category: 'shopping', weight: 4 },
+        { type: 'AggregateOffer', category: 'shopping', weight: 4 },
+        { type: 'NewsArticle', category: 'news', weight: 5 },
+        { type: 'ReportageNewsArticle', category: 'news', weight: 5 },
+        { type: 'LiveBlogPosting', category: 'news', weight: 4 },
+        { type: 'SoftwareSourceCode', category: 'development', weight: 5 },
+        { type: 'TechArticle', category: 'development', weight: 3 },
+        { type: 'APIReference', category: 'development', weight: 4 },
+        { type: 'SoftwareApplication', category: 'tools', weight: 3 },
+        { type: 'WebApplication', category: 'tools', weight: 3 },
+        { type: 'ScholarlyArticle', category: 'research', weight: 5 },
+        { type: 'Dataset', category: 'research', weight: 3 },
+        { type: 'Course', category: 'learning', weight: 5 },
+        { type: 'LearningResource', category: 'learning', weight: 4 },
+        { type: 'HowTo', category: 'learning', weight: 3 },
+        { type: 'Movie', category: 'entertainment', weight: 5 },
+        { type: 'TVSeries', category: 'entertainment', weight: 5 },
+        { type: 'TVEpisode', category: 'entertainment', weight: 5 },
+        { type: 'VideoGame', category: 'entertainment', weight: 5 },
+        { type: 'MusicRecording', category: 'entertainment', weight: 4 },
+        { type: 'MusicAlbum', category: 'entertainment', weight: 4 },
+        { type: 'VideoObject', category: 'entertainment', weight: 3 },
+        { type: 'Event', category: 'entertainment', weight: 3 },
+        { type: 'JobPosting', category: 'work', weight: 5 },
+        { type: 'DiscussionForumPosting', category: 'social', weight: 4 },
+        { type: 'SocialMediaPosting', category: 'social', weight: 4 },
+        { type: 'ProfilePage', category: 'social', weight: 3 },
+        { type: 'FinancialProduct', category: 'finance', weight: 4 },
+        { type: 'BankAccount', category: 'finance', weight: 4 },
+        { type: 'LoanOrCredit', category: 'finance', weight: 4 },
+        { type: 'Hotel', category: 'travel', weight: 5 },
+        { type: 'LodgingBusiness', category: 'travel', weight: 4 },
+        { type: 'Flight', category: 'travel', weight: 5 },
+        { type: 'TouristAttraction', category: 'travel', weight: 4 },
+        { type: 'MedicalCondition', category: 'health', weight: 5 },
+        { type: 'Drug', category: 'health', weight: 5 },
+        { type: 'MedicalWebPage', category: 'health', weight: 4 },
+        { type: 'Recipe', category: 'health', weight: 3 },
+        { type: 'DefinedTerm', category: 'reference', weight: 3 }
+    ];
+
+    static MAX_WEIGHT = 10;
+
+    constructor(mappings = null) {
+        this.setMappings(mappings || SchemaTypeMapper.DEFAULT_MAPPINGS);
+    }
+
+    /**
+     * Index mappings by lower-cased type; a type can vote for several categories
+     */
+    setMappings(mappings) {
+        this.mappings = SchemaTypeMapper.normalizeMappings(mappings);
+        this.byType = new Map();
+        for (const mapping of this.mappings) {
+            const key = mapping.type.toLowerCase();
+            if (!this.byType.has(key)) this.byType.set(key, []);
+            this.byType.get(key).push(mapping);
+        }
+    }
+
+    /**
+     * Category votes for a page's types: [{ type, categoryId, weight }]
+     */
+    votes(types) {
+        const votes = [];
+        for (const type of types || []) {
+            for (const mapping of this.byType.get(type.toLowerCase()) || []) {
+                if (mapping.weight > 0) {
+                    votes.push({ type: mapping.type, categoryId: mapping.category, weight: mapping.weight });
+                }
+            }
+        }
+        return votes;
+    }
+
+    /**
+     * The @type values declared by parsed JSON-LD blocks, including @graph entries and main entities
+     */
+    static collectTypes(structured, limit = 10) {
+        const types = new Set();
+
+        const visit = (node, depth) => {
+            if (!node || typeof node !== 'object' || depth > 3 || types.size >= limit) return;
+            if (Array.isArray(node)) {
+                node.forEach(item => visit(item, depth));
+                return;
+            }
+            for (const type of [].concat(node['@type'] || [])) {
+                if (typeof type === 'string' && SchemaTypeMapper.normalizeType(type)) {
+                    types.add(SchemaTypeMapper.normalizeType(type));
+                }
+            }
+            visit(node['@graph'], depth + 1);
+            visit(node.mainEntity, depth + 1);
+        };
+        visit(structured, 0);
+
+        return [...types].slice(0, limit);
+    }
+
+    /**
+     * "https://schema.org/Product" and "schema:Product" are both "Product"
+     */
+    static normalizeType(type) {
+        return type.trim().replace(/^(?:https?:\/\/)?(?:www\.)?schema\.org\//i, '').replace(/^schema:/i, '');
+    }
+
+    /**
+     * Validate mappings edited in the options page
+     */
+    static normalizeMappings(mappings) {
+        if (!Array.isArray(mappings)) {
+            throw new Error('Schema type mappings must be a list');
+        }
+
+        return mappings.map(mapping => {
+            const type = SchemaTypeMapper.normalizeType(String(mapping.type || ''));
+            if (!/^[A-Za-z][A-Za-z0-9]*$/.test(type)) {
+                throw new Error(`"${mapping.type || ''}" is not a schema.org type name`);
+            }
+            if (!mapping.category) {
+                throw new Error(`Pick a category for ${type}`);
+            }
+            const weight = Number(mapping.weight);
+            if (!(weight >= 0 && weight <= SchemaTypeMapper.MAX_WEIGHT)) {
+                throw new Error(`Weight for ${type} must be between 0 and ${SchemaTypeMapper.MAX_WEIGHT}`);
+            }
+            return { type: type, category: String(mapping.category), weight: weight };
+        });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SchemaTypeMapper;
+}
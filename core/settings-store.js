@@ -0,0 +1,142 @@
+/**
+ * Settings Store - The 'settings' object shared by the background, popup and options page
+ * Stored values are merged over one set of defaults key by key, so a key nobody saved yet still has its default
+ */
+
+class SettingsStore {
+    static DEFAULTS = {
+        aiMode: false,
+        categorizedMode: false,
+        groupingMode: 'groups',
+        groupingStrategy: 'categories',
+        autoGroup: false,
+        autoGroupInterval: 30,
+        partialGrouping: false,
+        minConfidence: 0.7,
+        preservePinned: true,
+        reuseExistingGroups: true,
+        analysisDepth: 'standard',
+        minGroupSize: 2,
+        maxGroupSize: 20,
+        groupSplitMode: 'size',
+        dedicatedWindows: false,
+        staleTabHours: 72,
+        separateRarelyUsed: false,
+        duplicateContentCheck: false,
+        highlightGroups: true,
+        similarityThreshold: 0.45,
+        useTabAnalyzer: true,
+        useCategoryMatching: true,
+        useRulesEngine: true,
+        useCustomRules: true,
+        learnFromCorrections: true,
+        applyRuleActions: false,
+        enableNotifications: true,
+        enableKeyboardShortcuts: true,
+        enableDebugMode: false,
+        embeddingCacheSize: 5000,
+        aiBatchSize: 16,
+        clusteringStrategy: 'greedy',
+        exportSettings: true
+    };
+
+    /**
+     * Names the options page used to save under; the current name wins when both are stored
+     */
+    static RENAMED = {
+        sortMode: 'groupingMode',
+        autoSort: 'autoGroup',
+        autoSortInterval: 'autoGroupInterval'
+    };
+
+    /**
+     * Keys that were saved but never read. The popup's old 'smartMode' toggle is dropped
+     * rather than carried over to aiMode: it defaulted to on and never enabled anything.
+     */
+    static RETIRED = ['smartMode'];
+
+    /**
+     * Options older versions saved as separate sync keys instead of inside 'settings'
+     */
+    static LEGACY_KEYS = [
+        'aiMode', 'categorizedMode', 'sortMode', 'autoSort', 'autoSortInterval', 'minGroupSize', 'maxGroupSize',
+        'similarityThreshold', 'enableNotifications', 'enableKeyboardShortcuts', 'enableDebugMode', 'exportSettings'
+    ];
+
+    /**
+     * Rule editor fields, file pickers and unnamed inputs the options page once saved as settings
+     */
+    static STRAY_KEYS = ['', 'importFileInput', 'ruleName', 'ruleCategory', 'ruleDomain', 'ruleKeywords', 'ruleUrlPattern', 'rulePriority'];
+
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'settings';
+    }
+
+    /**
+     * Stored settings merged over the defaults, with renamed and retired keys resolved
+     */
+    static withDefaults(stored = {}) {
+        const settings = { ...SettingsStore.DEFAULTS };
+        for (const [key, value] of Object.entries(stored || {})) {
+            if (SettingsStore.RETIRED.includes(key) || SettingsStore.STRAY_KEYS.includes(key)) continue;
+            const renamed = SettingsStore.RENAMED[key];
+            if (renamed) {
+                if (!(renamed in stored)) settings[renamed] = value;
+                continue;
+            }
+            settings[key] = value;
+        }
+        return settings;
+    }
+
+    /**
+     * Move legacy flat keys into the settings object and drop stray ones; values already in it are newer and win
+     * Returns whether anything changed
+     */
+    async migrate() {
+        const stored = await chrome.storage.sync.get([...SettingsStore.LEGACY_KEYS, ...SettingsStore.STRAY_KEYS, this.storageKey]);
+        const current = stored[this.storageKey] || {};
+        const legacy = SettingsStore.LEGACY_KEYS.filter(key => key in stored);
+        const stray = SettingsStore.STRAY_KEYS.filter(key => key in stored);
+        if (legacy.length === 0 && stray.length === 0 && !SettingsStore.STRAY_KEYS.some(key => key in current)) {
+            return false;
+        }
+
+        const settings = {
+            ...Object.fromEntries(legacy.map(key => [key, stored[key]])),
+            ...current
+        };
+        for (const key of SettingsStore.STRAY_KEYS) {
+            delete settings[key];
+        }
+        await chrome.storage.sync.set({ [this.storageKey]: settings });
+        if (legacy.length > 0 || stray.length > 0) {
+            await chrome.storage.sync.remove([...legacy, ...stray]);
+        }
+        console.log('Moved legacy settings into the settings object:', legacy);
+        return true;
+    }
+
+    async load() {
+        const result = await chrome.storage.sync.get(this.storageKey);
+        return SettingsStore.withDefaults(result[this.storageKey]);
+    }
+
+    async save(settings) {
+        const merged = SettingsStore.withDefaults(settings);
+        await chrome.storage.sync.set({ [this.storageKey]: merged });
+        return merged;
+    }
+
+    /**
+     * Change some keys, keeping whatever else is stored
+     */
+    async update(changes) {
+        return this.save({ ...(await this.load()), ...changes });
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SettingsStore;
+}
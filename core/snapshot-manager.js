@@ -0,0 +1,235 @@
+/**
+ * Snapshot Manager - Tab layout snapshots for undoing sort operations
+ * Captures window, position, group and pinned state before tabs are moved
+ */
+
+class SnapshotManager {
+    constructor(options = {}) {
+        this.storageKey = options.storageKey || 'sortSnapshots';
+        this.maxSnapshots = options.maxSnapshots || 5;
+    }
+
+    /**
+     * Capture the layout of every tab in the given windows
+     */
+    async capture(windowIds, reason = 'sort') {
+        const tabs = [];
+        const groups = {};
+
+        for (const windowId of new Set(windowIds)) {
+            let windowTabs;
+            try {
+                windowTabs = await chrome.tabs.query({ windowId });
+            } catch (error) {
+                console.warn('Could not snapshot window', windowId, error);
+                continue;
+            }
+
+            for (const tab of windowTabs) {
+                tabs.push({
+                    id: tab.id,
+                    windowId: tab.windowId,
+                    index: tab.index,
+                    groupId: tab.groupId ?? -1,
+                    pinned: tab.pinned || false
+                });
+
+                if (tab.groupId !== undefined && tab.groupId !== -1 && !groups[tab.groupId]) {
+                    groups[tab.groupId] = await this.captureGroup(tab.groupId);
+                }
+            }
+        }
+
+        return {
+            id: `snapshot_${Date.now()}`,
+            reason: reason,
+            createdAt: Date.now(),
+            tabs: tabs,
+            groups: groups
+        };
+    }
+
+    /**
+     * Capture title, color and collapsed state of a tab group
+     */
+    async captureGroup(groupId) {
+        try {
+            const group = await chrome.tabGroups.get(groupId);
+            return {
+                windowId: group.windowId,
+                title: group.title || '',
+                color: group.color,
+                collapsed: group.collapsed
+            };
+        } catch {
+            return { windowId: null, title: '', color: 'grey', collapsed: false };
+        }
+    }
+
+    /**
+     * Capture and persist a snapshot in one step
+     */
+    async record(windowIds, reason) {
+        const snapshot = await this.capture(windowIds, reason);
+        if (snapshot.tabs.length > 0) {
+            await this.push(snapshot);
+        }
+        return snapshot;
+    }
+
+    /**
+     * Persist a snapshot, keeping only the most recent ones
+     */
+    async push(snapshot) {
+        const snapshots = await this.getAll();
+        snapshots.unshift(snapshot);
+        await chrome.storage.local.set({
+            [this.storageKey]: snapshots.slice(0, this.maxSnapshots)
+        });
+    }
+
+    /**
+     * Get all stored snapshots (newest first)
+     */
+    async getAll() {
+        const result = await chrome.storage.local.get(this.storageKey);
+        return result[this.storageKey] || [];
+    }
+
+    /**
+     * Get the most recent snapshot without removing it
+     */
+    async getLatest() {
+        const snapshots = await this.getAll();
+        return snapshots[0] || null;
+    }
+
+    /**
+     * Restore the most recent snapshot and remove it from the stack
+     */
+    async restoreLatest() {
+        const snapshots = await this.getAll();
+        if (snapshots.length === 0) {
+            return { success: false, error: 'Nothing to undo' };
+        }
+
+        const [latest, ...rest] = snapshots;
+        const result = await this.restore(latest);
+        await chrome.storage.local.set({ [this.storageKey]: rest });
+        return result;
+    }
+
+    /**
+     * Restore a snapshot: windows, positions, pinned state and groups
+     */
+    async restore(snapshot) {
+        const openTabs = await chrome.tabs.query({});
+        const openById = new Map(openTabs.map(tab => [tab.id, tab]));
+
+        // Tabs closed since the snapshot was taken cannot be restored
+        const tabs = snapshot.tabs.filter(tab => openById.has(tab.id));
+        if (tabs.length === 0) {
+            return { success: false, error: 'None of the sorted tabs are still open' };
+        }
+
+        const windowMap = await this.resolveWindows(tabs);
+
+        // Dissolve current grouping so tabs can be moved freely
+        const groupedIds = tabs
+            .filter(tab => openById.get(tab.id).groupId !== -1)
+            .map(tab => tab.id);
+        if (groupedIds.length > 0) {
+            await chrome.tabs.ungroup(groupedIds);
+        }
+
+        for (const tab of tabs) {
+            if (openById.get(tab.id).pinned !== tab.pinned) {
+                await chrome.tabs.update(tab.id, { pinned: tab.pinned });
+            }
+        }
+
+        // Move in ascending index order so earlier moves don't shift later targets
+        const ordered = [...tabs].sort((a, b) =>
+            a.windowId === b.windowId ? a.index - b.index : a.windowId - b.windowId
+        );
+        for (const tab of ordered) {
+            try {
+                await chrome.tabs.move(tab.id, {
+                    windowId: windowMap.get(tab.windowId),
+                    index: tab.index
+                });
+            } catch (error) {
+                console.warn('Could not restore tab position', tab.id, error);
+            }
+        }
+
+        let groupsRestored = 0;
+        for (const [groupId, group] of Object.entries(snapshot.groups)) {
+            const tabIds = tabs
+                .filter(tab => tab.groupId === Number(groupId))
+                .map(tab => tab.id);
+            if (tabIds.length === 0) continue;
+
+            try {
+                const windowId = windowMap.get(group.windowId) ||
+                    windowMap.get(tabs.find(tab => tab.id === tabIds[0]).windowId);
+                const newGroupId = await chrome.tabs.group({
+                    tabIds: tabIds,
+                    createProperties: { windowId }
+                });
+                await chrome.tabGroups.update(newGroupId, {
+                    title: group.title,
+                    color: group.color,
+                    collapsed: group.collapsed
+                });
+                groupsRestored++;
+            } catch (error) {
+                console.warn('Could not restore group', group.title, error);
+            }
+        }
+
+        return {
+            success: true,
+            restoredTabs: tabs.length,
+            missingTabs: snapshot.tabs.length - tabs.length,
+            restoredGroups: groupsRestored
+        };
+    }
+
+    /**
+     * Map snapshot window IDs to open windows, recreating closed ones
+     */
+    async resolveWindows(tabs) {
+        const windowMap = new Map();
+
+        for (const tab of tabs) {
+            if (windowMap.has(tab.windowId)) continue;
+
+            try {
+                await chrome.windows.get(tab.windowId);
+                windowMap.set(tab.windowId, tab.windowId);
+            } catch {
+                // Window was closed (e.g. emptied by a windows-mode sort)
+                const newWindow = await chrome.windows.create({
+                    tabId: tab.id,
+                    focused: false
+                });
+                windowMap.set(tab.windowId, newWindow.id);
+            }
+        }
+
+        return windowMap;
+    }
+
+    /**
+     * Remove all stored snapshots
+     */
+    async clear() {
+        await chrome.storage.local.remove(this.storageKey);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SnapshotManager;
+}
@@ -4,9 +4,39 @@
  */
 
 class TabAnalyzer {
+    /**
+     * Content script pattern flags and the categories they point to
+     */
+    static CONTENT_PATTERN_CATEGORIES = {
+        isShopping: ['shopping'],
+        isVideo: ['entertainment', 'media'],
+        isNews: ['news'],
+        isSocial: ['social', 'social media'],
+        isForum: ['social', 'social media'],
+        isDocumentation: ['documentation', 'reference', 'development']
+    };
+
     constructor() {
         this.cache = new Map();
         this.patterns = this.initializePatterns();
+        this.categoryDefinitions = null;
+    }
+
+    /**
+     * Use shared category definitions instead of the built-in ones,
+     * so suggested categories line up with the categorizer's category IDs
+     */
+    setCategories(categories) {
+        this.categoryDefinitions = {};
+        for (const category of categories) {
+            this.categoryDefinitions[category.id] = {
+                urlPattern: category.patterns || null,
+                keywords: (category.keywords || []).map(keyword => keyword.toLowerCase()),
+                domains: category.domains || [],
+                weight: (category.priority || 100) / 100
+            };
+        }
+        this.clearCache();
     }
 
     initializePatterns() {
@@ -32,7 +62,7 @@ class TabAnalyzer {
      * Analyze a single tab and extract features
      */
     async analyzeTab(tab) {
-        const cacheKey = `${tab.id}_${tab.url}_${tab.title}`;
+        const cacheKey = `${tab.id}_${tab.url}_${tab.title}${tab.pageContent ? '_content' : ''}`;
         if (this.cache.has(cacheKey)) {
             return this.cache.get(cacheKey);
         }
@@ -51,6 +81,9 @@ class TabAnalyzer {
             // Title-based features
             titleFeatures: this.extractTitleFeatures(tab.title || ''),
             
+            // Page content features (deep analysis only)
+            contentFeatures: this.extractContentFeatures(tab.pageContent),
+            
             // Content type detection
             contentType: this.detectContentType(tab),
             
@@ -216,6 +249,33 @@ class TabAnalyzer {
         return features;
     }
 
+    /**
+     * Extract features from the page content read by the content script
+     */
+    extractContentFeatures(pageContent) {
+        if (!pageContent) return null;
+
+        // What the page says about itself, for embeddings and explanations
+        const summary = [pageContent.ogTitle, pageContent.description, ...(pageContent.headings || [])]
+            .filter(Boolean)
+            .join('. ')
+            .replace(/\s+/g, ' ')
+            .slice(0, 300);
+        const text = [summary, pageContent.keywords, pageContent.text]
+            .filter(Boolean)
+            .join(' ')
+            .toLowerCase();
+
+        return {
+            summary: summary,
+            text: text,
+            keywords: this.extractKeywords(text),
+            type: pageContent.type || null,
+            patterns: pageContent.patterns || [],
+            schemaTypes: pageContent.schemaTypes || []
+        };
+    }
+
     /**
      * Simple language detection
      */
@@ -312,14 +372,10 @@ class TabAnalyzer {
     }
 
     /**
-     * Categorize tab based on all signals
+     * Built-in category rules, used until shared categories are provided
      */
-    categorizeTab(analysis) {
-        const scores = {};
-        const signals = {};
-
-        // Define category rules with weights
-        const categories = {
+    getBuiltInCategories() {
+        return {
             'Development': {
                 urlPattern: this.patterns.dev,
                 keywords: ['code', 'github', 'git', 'programming', 'developer', 'api', 'debug', 'repository', 'commit', 'pull request'],
@@ -375,6 +431,15 @@ class TabAnalyzer {
                 weight: 0.95
             }
         };
+    }
+
+    /**
+     * Categorize tab based on all signals
+     */
+    categorizeTab(analysis) {
+        const scores = {};
+        const signals = {};
+        const categories = this.categoryDefinitions || this.getBuiltInCategories();
 
         // Score each category
         for (const [categoryName, rules] of Object.entries(categories)) {
@@ -408,13 +473,34 @@ class TabAnalyzer {
                 }
             }
 
+            // Check what the page contains; weaker than the title, and capped since page text is long
+            const categoryKey = categoryName.toLowerCase();
+            if (analysis.contentFeatures) {
+                const content = analysis.contentFeatures;
+                let contentMatches = 0;
+                for (const keyword of rules.keywords) {
+                    if (contentMatches >= 3) break;
+                    if (!titleLower.includes(keyword) && content.text.includes(keyword)) {
+                        score += rules.weight;
+                        contentMatches++;
+                        matchedSignals.push(`content:${keyword}`);
+                    }
+                }
+                for (const pattern of content.patterns) {
+                    if ((TabAnalyzer.CONTENT_PATTERN_CATEGORIES[pattern] || []).includes(categoryKey)) {
+                        score += 3;
+                        matchedSignals.push(`content_pattern:${pattern}`);
+                    }
+                }
+            }
+
             // Check URL features
             if (analysis.urlFeatures) {
-                if (categoryName === 'Documentation' && analysis.urlFeatures.isDocsUrl) {
+                if ((categoryKey === 'documentation' || categoryKey === 'reference') && analysis.urlFeatures.isDocsUrl) {
                     score += 3;
                     matchedSignals.push('docs_url');
                 }
-                if (categoryName === 'Shopping' && analysis.urlFeatures.isShoppingUrl) {
+                if (categoryKey === 'shopping' && analysis.urlFeatures.isShoppingUrl) {
                     score += 3;
                     matchedSignals.push('shopping_url');
                 }
@@ -460,6 +546,15 @@ class TabAnalyzer {
                 const tab1 = tabs[i];
                 const tab2 = tabs[j];
 
+                // Check if one opened the other
+                if (tab1.openerTabId === tab2.id || tab2.openerTabId === tab1.id) {
+                    relationships.push({
+                        type: 'opener',
+                        tabs: [tab1.id, tab2.id],
+                        strength: 1.0
+                    });
+                }
+
                 // Check if same domain
                 if (this.extractDomain(tab1.url) === this.extractDomain(tab2.url)) {
                     relationships.push({
@@ -0,0 +1,102 @@
+/**
+ * Tab Rule Builder - Drafts a custom rule from an example tab
+ * Backs "Always put tabs like this in…": domain, an optional path prefix and optional title keywords
+ */
+
+class TabRuleBuilder {
+    static MAX_PATH_DEPTH = 3;
+    static MAX_KEYWORDS = 8;
+    static DEFAULT_PRIORITY = 100;
+
+    /**
+     * What a rule could match on for this tab: { domain, pathPrefixes, keywords }
+     * pathPrefixes run from shortest to longest; returns null for pages without a host
+     */
+    static suggest(tab) {
+        let url;
+        try {
+            url = new URL(tab.url);
+        } catch {
+            return null;
+        }
+        if (!url.hostname || !/^https?:$/.test(url.protocol)) return null;
+
+        const domain = url.hostname.replace(/^www\./, '').toLowerCase();
+        const pathPrefixes = [];
+        let prefix = '';
+        for (const segment of url.pathname.split('/').filter(Boolean)) {
+            // Stop at IDs; a rule tied to one document isn't "tabs like this"
+            if (pathPrefixes.length >= TabRuleBuilder.MAX_PATH_DEPTH || TabRuleBuilder.isIdSegment(segment)) break;
+            prefix += `/${segment}`;
+            pathPrefixes.push(prefix);
+        }
+
+        const domainWords = new Set(domain.split(/[^a-z0-9]+/));
+        const keywords = CorrectionStore.featuresOf(tab).tokens
+            .filter(token => !domainWords.has(token))
+            .slice(0, TabRuleBuilder.MAX_KEYWORDS);
+
+        return { domain, pathPrefixes, keywords };
+    }
+
+    /**
+     * Numbers, hashes, UUIDs and long mixed tokens
+     */
+    static isIdSegment(segment) {
+        return /^\d+$/.test(segment) ||
+            /^[0-9a-f]{8,}$/i.test(segment) ||
+            /^[0-9a-f]{8}-[0-9a-f]{4}-/i.test(segment) ||
+            (segment.length >= 16 && /\d/.test(segment) && /[a-z]/i.test(segment) && !/[-_]/.test(segment));
+    }
+
+    /**
+     * Build the rule the dialog saves
+     * options: { domain, pathPrefix, keywords, category, subcategory, name, priority }
+     */
+    static build(options) {
+        const conditions = { domain: options.domain };
+        if (options.pathPrefix) {
+            conditions.urlPattern = TabRuleBuilder.pathPattern(options.domain, options.pathPrefix);
+        }
+        if (options.keywords && options.keywords.length > 0) {
+            conditions.keywords = [...options.keywords];
+            conditions.keywordThreshold = options.keywords.length;
+        }
+        conditions.operator = 'AND';
+
+        const action = {
+            category: options.category,
+            priority: options.priority || TabRuleBuilder.DEFAULT_PRIORITY
+        };
+        if (options.subcategory) {
+            action.subcategory = options.subcategory;
+        }
+
+        return {
+            name: options.name || TabRuleBuilder.describe(options),
+            enabled: true,
+            conditions: conditions,
+            action: action
+        };
+    }
+
+    /**
+     * URLs on the domain (or a subdomain) whose path starts with the prefix as whole segments
+     */
+    static pathPattern(domain, pathPrefix) {
+        const escape = PatternCompiler.escape;
+        return `^[a-z]+://(?:[^/]+\\.)?${escape(domain)}${escape(pathPrefix)}(?:[/?#]|$)`;
+    }
+
+    static describe(options) {
+        const where = `${options.domain}${options.pathPrefix || ''}`;
+        const words = options.keywords && options.keywords.length > 0 ? ` "${options.keywords.join(' ')}"` : '';
+        const target = options.subcategory ? `${options.category}/${options.subcategory}` : options.category;
+        return `${where}${words} → ${target}`;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TabRuleBuilder;
+}
@@ -0,0 +1,144 @@
+/**
+ * Window Planner - Plans sorting across every normal browser window
+ * Brings same-category tabs scattered over several windows together, or gives each category its own window
+ */
+
+class WindowPlanner {
+    /**
+     * Only normal windows are organized; incognito, app and popup windows are left alone
+     */
+    static isOrganizable(win) {
+        return win.type === 'normal' && !win.incognito;
+    }
+
+    /**
+     * Plan where each category's tabs end up
+     * windows: organizable windows with their tabs, in display order
+     * options.dedicated: give every category a window of its own
+     * options.focusedWindowId: wins ties, so tabs gather where the user is looking
+     * Pinned tabs stay in the window they were pinned in
+     */
+    plan(categorized, windows, options = {}) {
+        const { dedicated = false, focusedWindowId = null } = options;
+        const order = new Map(windows.map((win, index) => [win.id, index]));
+        let pinned = 0;
+
+        const categories = Object.entries(categorized)
+            .map(([name, tabs]) => {
+                const inWindows = tabs.filter(tab => order.has(tab.windowId));
+                pinned += inWindows.filter(tab => tab.pinned).length;
+                return { name, tabs: inWindows.filter(tab => !tab.pinned) };
+            })
+            .filter(category => category.tabs.length > 0)
+            // Large categories pick their windows first
+            .sort((a, b) => b.tabs.length - a.tabs.length);
+
+        const claimed = new Set();
+        const planned = categories.map(category => {
+            const counts = new Map();
+            for (const tab of category.tabs) {
+                counts.set(tab.windowId, (counts.get(tab.windowId) || 0) + 1);
+            }
+            const candidates = [...counts.keys()].sort((a, b) =>
+                (counts.get(b) - counts.get(a)) ||
+                ((b === focusedWindowId) - (a === focusedWindowId)) ||
+                (order.get(a) - order.get(b)));
+
+            // A dedicated window holds one category; later categories that lose theirs get a new one
+            const targetWindowId = dedicated
+                ? candidates.find(windowId => !claimed.has(windowId)) ?? null
+                : candidates[0];
+            if (targetWindowId !== null) claimed.add(targetWindowId);
+
+            return {
+                name: category.name,
+                tabIds: category.tabs.map(tab => tab.id),
+                targetWindowId: targetWindowId,
+                newWindow: targetWindowId === null,
+                sources: candidates.map(windowId => ({ windowId, count: counts.get(windowId) })),
+                moveTabIds: category.tabs.filter(tab => tab.windowId !== targetWindowId).map(tab => tab.id)
+            };
+        });
+
+        const moving = new Set(planned.flatMap(category => category.moveTabIds));
+        return {
+            dedicated: dedicated,
+            windows: windows.map((win, index) => ({
+                id: win.id,
+                label: `Window ${index + 1}`,
+                focused: win.id === focusedWindowId,
+                tabCount: (win.tabs || []).length,
+                // Chrome closes a window once its last tab moves out
+                closing: (win.tabs || []).length > 0 && win.tabs.every(tab => moving.has(tab.id))
+            })),
+            categories: planned,
+            pinnedSkipped: pinned
+        };
+    }
+
+    /**
+     * Totals for display and logging
+     */
+    summarize(plan) {
+        return {
+            tabsMoving: plan.categories.reduce((sum, category) => sum + category.moveTabIds.length, 0),
+            categoriesMerged: plan.categories.filter(category => category.sources.length > 1).length,
+            windowsCreated: plan.categories.filter(category => category.newWindow).length,
+            windowsClosing: plan.windows.filter(win => win.closing).length
+        };
+    }
+
+    /**
+     * Move tabs as planned; tabs closed since planning are skipped
+     * Returns { placed: category -> { windowId, tabIds }, moved, failed }
+     */
+    async apply(plan) {
+        const placed = {};
+        const failed = [];
+        let moved = 0;
+
+        for (const category of plan.categories) {
+            const moving = new Set(category.moveTabIds);
+            const tabIds = category.tabIds.filter(id => !moving.has(id));
+            const queue = [...category.moveTabIds];
+            let windowId = category.targetWindowId;
+
+            if (category.newWindow) {
+                // Move a tab itself rather than opening a copy, so undo can put it back
+                while (windowId === null && queue.length > 0) {
+                    const tabId = queue.shift();
+                    try {
+                        const created = await chrome.windows.create({ tabId, focused: false, state: 'normal' });
+                        windowId = created.id;
+                        tabIds.push(tabId);
+                        moved++;
+                    } catch (error) {
+                        console.error('Error creating window for', category.name, error);
+                        failed.push(tabId);
+                    }
+                }
+                if (windowId === null) continue;
+            }
+
+            for (const tabId of queue) {
+                try {
+                    await chrome.tabs.move(tabId, { windowId, index: -1 });
+                    tabIds.push(tabId);
+                    moved++;
+                } catch (error) {
+                    console.error('Error moving tab', tabId, 'to window', windowId, error);
+                    failed.push(tabId);
+                }
+            }
+
+            placed[category.name] = { windowId, tabIds };
+        }
+
+        return { placed, moved, failed };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = WindowPlanner;
+}
@@ -7,9 +7,31 @@
 class OptionsManager {
     constructor() {
         this.settings = {};
+        this.settingsStore = new SettingsStore();
         this.categories = [];
         this.customRules = [];
+        this.editingRuleId = null;
+        this.ruleEditorMode = 'form';
+        this.ruleDraft = null;
+        this.ruleTestTimer = null;
+        this.ruleActionLabels = {
+            none: 'Nothing (just group)',
+            pinTab: 'Pin the tab',
+            unpinTab: 'Unpin the tab',
+            muteTab: 'Mute the tab',
+            collapseGroup: 'Collapse its group',
+            discardTab: 'Discard (unload from memory)',
+            closeTab: 'Close the tab',
+            moveToWindow: 'Move to window',
+            bookmarkAndClose: 'Bookmark, then close'
+        };
+        this.corrections = [];
+        this.profiles = [];
+        this.activeProfileId = null;
+        this.editingProfileId = null;
+        this.schemaTypeDraft = null; // Unsaved schema type mappings being edited
         this.isDirty = false;
+        this.embeddingCache = typeof EmbeddingCache !== 'undefined' ? new EmbeddingCache() : null;
         
         // Initialize when DOM is ready
         if (document.readyState === 'loading') {
@@ -29,6 +51,8 @@ class OptionsManager {
         await this.loadSettings();
         await this.loadCategories();
         await this.loadCustomRules();
+        await this.loadCorrections();
+        await this.loadProfiles();
         
         // Set up event listeners
         this.setupEventListeners();
@@ -36,7 +60,10 @@ class OptionsManager {
         // Render all sections
         this.renderGeneralSettings();
         this.renderCategoriesSection();
+        this.renderSchemaTypesSection();
         this.renderCustomRulesSection();
+        this.renderCorrectionsSection();
+        this.renderProfilesSection();
         this.renderAdvancedSettings();
         
         console.log('Options page initialized successfully');
@@ -47,23 +74,8 @@ class OptionsManager {
      */
     async loadSettings() {
         try {
-            const defaultSettings = {
-                aiMode: true,
-                categorizedMode: false,
-                sortMode: 'groups',
-                autoSort: false,
-                autoSortInterval: 30,
-                minGroupSize: 2,
-                maxGroupSize: 20,
-                similarityThreshold: 0.45,
-                enableNotifications: true,
-                enableKeyboardShortcuts: true,
-                enableDebugMode: false,
-                exportSettings: true
-            };
-
-            const stored = await chrome.storage.sync.get(defaultSettings);
-            this.settings = { ...defaultSettings, ...stored };
+            // Shared with the popup and background under the 'settings' key
+            this.settings = await this.settingsStore.load();
             
             console.log('Settings loaded:', this.settings);
         } catch (error) {
@@ -104,6 +116,21 @@ class OptionsManager {
         }
     }
 
+    /**
+     * Load corrections learned from tabs moved between groups
+     */
+    async loadCorrections() {
+        try {
+            const response = await this.sendMessage('getCorrections');
+            this.corrections = response.corrections || [];
+
+            console.log(`Loaded ${this.corrections.length} learned corrections`);
+        } catch (error) {
+            console.error('Failed to load corrections:', error);
+            this.corrections = [];
+        }
+    }
+
     /**
      * Send message to background script
      */
@@ -154,12 +181,6 @@ class OptionsManager {
             importButton.addEventListener('click', () => this.importSettings());
         }
 
-        // Add new rule button
-        const addRuleButton = document.getElementById('addCustomRule');
-        if (addRuleButton) {
-            addRuleButton.addEventListener('click', () => this.addCustomRule());
-        }
-
         // Test sort button
         const testSortButton = document.getElementById('testSort');
         if (testSortButton) {
@@ -212,7 +233,7 @@ class OptionsManager {
                 <div class="setting-group">
                     <div class="setting-item">
                         <label class="setting-label">
-                            <input type="checkbox" id="aiMode" ${this.settings.aiMode ? 'checked' : ''}>
+                            <input type="checkbox" id="aiMode" data-setting ${this.settings.aiMode ? 'checked' : ''}>
                             <span class="checkbox-custom"></span>
                             Enable AI Semantic Grouping
                         </label>
@@ -221,7 +242,7 @@ class OptionsManager {
 
                     <div class="setting-item">
                         <label class="setting-label">
-                            <input type="checkbox" id="categorizedMode" ${this.settings.categorizedMode ? 'checked' : ''}>
+                            <input type="checkbox" id="categorizedMode" data-setting ${this.settings.categorizedMode ? 'checked' : ''}>
                             <span class="checkbox-custom"></span>
                             Enable Smart Categorization
                         </label>
@@ -230,11 +251,20 @@ class OptionsManager {
 
                     <div class="setting-item">
                         <label class="form-label">Default Sort Mode</label>
-                        <select id="sortMode" class="form-select">
-                            <option value="groups" ${this.settings.sortMode === 'groups' ? 'selected' : ''}>Tab Groups</option>
-                            <option value="windows" ${this.settings.sortMode === 'windows' ? 'selected' : ''}>Separate Windows</option>
+                        <select id="groupingMode" data-setting class="form-select">
+                            <option value="groups" ${this.settings.groupingMode === 'groups' ? 'selected' : ''}>Tab Groups</option>
+                            <option value="windows" ${this.settings.groupingMode === 'windows' ? 'selected' : ''}>Separate Windows</option>
                         </select>
                     </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="dedicatedWindows" data-setting ${this.settings.dedicatedWindows ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            One Window per Category When Organizing All Windows
+                        </label>
+                        <p class="setting-description">Organizing all windows normally gathers each category into the window that already holds most of it. With this on, every category gets a window of its own. Incognito and app windows are never touched.</p>
+                    </div>
                 </div>
             </div>
 
@@ -243,7 +273,7 @@ class OptionsManager {
                 <div class="setting-group">
                     <div class="setting-item">
                         <label class="setting-label">
-                            <input type="checkbox" id="autoSort" ${this.settings.autoSort ? 'checked' : ''}>
+                            <input type="checkbox" id="autoGroup" data-setting ${this.settings.autoGroup ? 'checked' : ''}>
                             <span class="checkbox-custom"></span>
                             Enable Auto-Sort
                         </label>
@@ -252,8 +282,8 @@ class OptionsManager {
 
                     <div class="setting-item">
                         <label class="form-label">Auto-Sort Interval (minutes)</label>
-                        <input type="number" id="autoSortInterval" class="form-input" min="5" max="120" 
-                               value="${this.settings.autoSortInterval}" ${!this.settings.autoSort ? 'disabled' : ''}>
+                        <input type="number" id="autoGroupInterval" data-setting class="form-input" min="5" max="120" 
+                               value="${this.settings.autoGroupInterval}" ${!this.settings.autoGroup ? 'disabled' : ''}>
                     </div>
                 </div>
             </div>
@@ -261,23 +291,41 @@ class OptionsManager {
             <div class="settings-section">
                 <h3>Grouping Parameters</h3>
                 <div class="setting-group">
+                    <div class="setting-item">
+                        <label class="form-label">Grouping Strategy</label>
+                        <select id="groupingStrategy" data-setting class="form-select">
+                            <option value="categories" ${this.settings.groupingStrategy !== 'trails' ? 'selected' : ''}>By category</option>
+                            <option value="trails" ${this.settings.groupingStrategy === 'trails' ? 'selected' : ''}>Keep browsing trails together</option>
+                        </select>
+                        <p class="setting-description">Browsing trails keep tabs opened from the same page together, even across sites, such as a search and the results opened from it.</p>
+                    </div>
+
                     <div class="setting-item">
                         <label class="form-label">Minimum Group Size</label>
-                        <input type="number" id="minGroupSize" class="form-input" min="2" max="10" 
+                        <input type="number" id="minGroupSize" data-setting class="form-input" min="2" max="10" 
                                value="${this.settings.minGroupSize}">
                         <p class="setting-description">Minimum number of tabs required to form a group.</p>
                     </div>
 
                     <div class="setting-item">
                         <label class="form-label">Maximum Group Size</label>
-                        <input type="number" id="maxGroupSize" class="form-input" min="5" max="50" 
+                        <input type="number" id="maxGroupSize" data-setting class="form-input" min="5" max="50" 
                                value="${this.settings.maxGroupSize}">
                         <p class="setting-description">Maximum number of tabs allowed in a single group.</p>
                     </div>
 
+                    <div class="setting-item">
+                        <label class="form-label">Splitting Large Groups</label>
+                        <select id="groupSplitMode" data-setting class="form-select">
+                            <option value="size" ${this.settings.groupSplitMode === 'size' ? 'selected' : ''}>By size (Work 1, Work 2)</option>
+                            <option value="subcategory" ${this.settings.groupSplitMode === 'subcategory' ? 'selected' : ''}>By subcategory (Work · Meetings)</option>
+                        </select>
+                        <p class="setting-description">How groups over the maximum size are divided. Subcategory splitting falls back to size when tabs share no subcategory.</p>
+                    </div>
+
                     <div class="setting-item">
                         <label class="form-label">AI Similarity Threshold</label>
-                        <input type="range" id="similarityThreshold" class="form-range" min="0.1" max="0.9" step="0.05" 
+                        <input type="range" id="similarityThreshold" data-setting class="form-range" min="0.1" max="0.9" step="0.05" 
                                value="${this.settings.similarityThreshold}">
                         <div class="range-labels">
                             <span>Less Similar</span>
@@ -286,13 +334,95 @@ class OptionsManager {
                         </div>
                         <p class="setting-description">How similar tabs need to be to group together when using AI mode.</p>
                     </div>
+
+                    <div class="setting-item">
+                        <label class="form-label">AI Clustering Strategy</label>
+                        <select id="clusteringStrategy" data-setting class="form-select">
+                            ${[
+                                ['greedy', 'Greedy (single pass, default)'],
+                                ['agglomerative-average', 'Agglomerative (average linkage)'],
+                                ['agglomerative-complete', 'Agglomerative (complete linkage)'],
+                                ['density', 'Density-based (DBSCAN)']
+                            ].map(([value, label]) => `
+                                <option value="${value}" ${this.settings.clusteringStrategy === value ? 'selected' : ''}>${label}</option>
+                            `).join('')}
+                        </select>
+                        <p class="setting-description">Greedy groups tabs in one pass and depends on tab order. Agglomerative strategies don't depend on order; average linkage is a good start and complete linkage gives tighter groups. Density-based leaves outliers ungrouped.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="form-label">AI Batch Size</label>
+                        <input type="number" id="aiBatchSize" data-setting class="form-input" min="1" max="64"
+                               value="${this.settings.aiBatchSize}">
+                        <p class="setting-description">Tabs embedded per model run. Larger batches are faster for many tabs but use more memory.</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="settings-section">
+                <h3>Categorization Pipeline</h3>
+                <p class="setting-description">The popup, preview and auto-grouping all run these stages in order. AI clustering follows the AI Semantic Grouping setting above.</p>
+                <div class="setting-group">
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="useTabAnalyzer" data-setting ${this.settings.useTabAnalyzer ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Tab Analyzer Signals
+                        </label>
+                        <p class="setting-description">Boost categories using detected URL features and the analyzer's suggested category.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="useCategoryMatching" data-setting ${this.settings.useCategoryMatching ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Category Matching
+                        </label>
+                        <p class="setting-description">Match tabs against category domains, keywords and URL patterns.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="useRulesEngine" data-setting ${this.settings.useRulesEngine ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Rules Engine
+                        </label>
+                        <p class="setting-description">Apply built-in and custom rules by priority.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="useCustomRules" data-setting ${this.settings.useCustomRules ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Category Overrides
+                        </label>
+                        <p class="setting-description">Let categorizer override rules have the final say.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="learnFromCorrections" data-setting ${this.settings.learnFromCorrections ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Learn From Corrections
+                        </label>
+                        <p class="setting-description">Remember when you drag a tab into a different group and sort similar tabs the same way.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="applyRuleActions" data-setting ${this.settings.applyRuleActions ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Run Rule Actions
+                        </label>
+                        <p class="setting-description">After sorting, let matched rules pin, mute, collapse, discard, close or move tabs. The popup lists pending actions first, and Undo reverts them.</p>
+                    </div>
                 </div>
             </div>
         `;
 
         // Add event listeners for specific controls
-        const autoSortCheckbox = document.getElementById('autoSort');
-        const intervalInput = document.getElementById('autoSortInterval');
+        const autoSortCheckbox = document.getElementById('autoGroup');
+        const intervalInput = document.getElementById('autoGroupInterval');
         
         autoSortCheckbox?.addEventListener('change', () => {
             intervalInput.disabled = !autoSortCheckbox.checked;
@@ -314,7 +444,7 @@ class OptionsManager {
         if (!container) return;
 
         const categoriesHtml = this.categories.map(category => `
-            <div class="category-item" data-category-id="${category.id}">
+            <div class="category-item ${this.isCategoryEnabled(category) ? '' : 'disabled'}" data-category-id="${category.id}">
                 <div class="category-header">
                     <div class="category-info">
                         <span class="category-emoji">${category.emoji}</span>
@@ -324,7 +454,7 @@ class OptionsManager {
                     <div class="category-actions">
                         <button class="btn btn-sm btn-secondary edit-category">Edit</button>
                         <button class="btn btn-sm btn-secondary toggle-category">
-                            ${category.enabled !== false ? 'Disable' : 'Enable'}
+                            ${this.isCategoryEnabled(category) ? 'Disable' : 'Enable'}
                         </button>
                     </div>
                 </div>
@@ -350,7 +480,7 @@ class OptionsManager {
                         <div class="stat-label">Categories</div>
                     </div>
                     <div class="stat-card">
-                        <div class="stat-value">${this.categories.filter(c => c.enabled !== false).length}</div>
+                        <div class="stat-value">${this.categories.filter(c => this.isCategoryEnabled(c)).length}</div>
                         <div class="stat-label">Enabled</div>
                     </div>
                 </div>
@@ -389,6 +519,105 @@ class OptionsManager {
         });
     }
 
+    /**
+     * Render the schema.org type -> category mappings
+     */
+    renderSchemaTypesSection() {
+        const container = document.getElementById('schemaTypeSettings');
+        if (!container || typeof SchemaTypeMapper === 'undefined') return;
+
+        const mappings = this.schemaTypeDraft || this.settings.schemaTypeMappings || SchemaTypeMapper.DEFAULT_MAPPINGS;
+        const categoryOptions = (selected) => {
+            const options = this.categories.map(cat =>
+                `<option value="${cat.id}" ${cat.id === selected ? 'selected' : ''}>${cat.emoji} ${cat.name}</option>`);
+            if (selected && !this.categories.some(cat => cat.id === selected)) {
+                options.unshift(`<option value="${this.escapeHtml(selected)}" selected>${this.escapeHtml(selected)}</option>`);
+            }
+            return options.join('');
+        };
+
+        container.innerHTML = `
+            <div class="schema-type-list">
+                <div class="schema-type-row schema-type-heading">
+                    <span>Schema.org type</span>
+                    <span>Category</span>
+                    <span>Weight</span>
+                    <span></span>
+                </div>
+                ${mappings.map((mapping, index) => `
+                    <div class="schema-type-row" data-index="${index}">
+                        <input type="text" class="form-input schema-type-name" value="${this.escapeHtml(mapping.type)}" placeholder="e.g., Recipe" aria-label="Schema.org type">
+                        <select class="form-select schema-type-category" aria-label="Category">${categoryOptions(mapping.category)}</select>
+                        <input type="number" class="form-input schema-type-weight" value="${mapping.weight}" min="0" max="${SchemaTypeMapper.MAX_WEIGHT}" step="0.5" aria-label="Weight">
+                        <button class="btn btn-sm btn-secondary remove-schema-type" aria-label="Remove ${this.escapeHtml(mapping.type)}">Remove</button>
+                    </div>
+                `).join('')}
+            </div>
+            <div class="schema-type-actions">
+                <button class="btn btn-secondary" id="addSchemaType">Add Type</button>
+                <button class="btn btn-secondary" id="resetSchemaTypes">Reset to Defaults</button>
+                <button class="btn btn-primary" id="saveSchemaTypes">Save Mappings</button>
+            </div>
+        `;
+
+        // Mappings save with their own button, so edits don't mark the settings dirty
+        container.querySelector('.schema-type-list').addEventListener('change', (e) => e.stopPropagation());
+        container.querySelectorAll('.remove-schema-type').forEach(btn => {
+            btn.addEventListener('click', (e) => {
+                const index = parseInt(e.target.closest('.schema-type-row').dataset.index, 10);
+                this.schemaTypeDraft = this.readSchemaTypeRows().filter((_, i) => i !== index);
+                this.renderSchemaTypesSection();
+            });
+        });
+        document.getElementById('addSchemaType').addEventListener('click', () => {
+            this.schemaTypeDraft = this.readSchemaTypeRows()
+                .concat({ type: '', category: this.categories[0]?.id || '', weight: 3 });
+            this.renderSchemaTypesSection();
+            container.querySelector('.schema-type-row:last-child .schema-type-name')?.focus();
+        });
+        document.getElementById('resetSchemaTypes').addEventListener('click', () => this.saveSchemaTypes(null));
+        document.getElementById('saveSchemaTypes').addEventListener('click', () => this.saveSchemaTypes(this.readSchemaTypeRows()));
+    }
+
+    readSchemaTypeRows() {
+        return [...document.querySelectorAll('#schemaTypeSettings .schema-type-row[data-index]')].map(row => ({
+            type: row.querySelector('.schema-type-name').value.trim(),
+            category: row.querySelector('.schema-type-category').value,
+            weight: parseFloat(row.querySelector('.schema-type-weight').value)
+        }));
+    }
+
+    /**
+     * Store schema type mappings; null goes back to the built-in ones
+     */
+    async saveSchemaTypes(mappings) {
+        let normalized = null;
+        if (mappings) {
+            try {
+                normalized = SchemaTypeMapper.normalizeMappings(mappings.filter(mapping => mapping.type));
+            } catch (error) {
+                this.showNotification(error.message, 'error');
+                return;
+            }
+        }
+
+        try {
+            // Merge into the stored settings so unsaved edits on this page aren't written
+            const settings = await this.settingsStore.load();
+            settings.schemaTypeMappings = normalized;
+            if (!normalized) delete settings.schemaTypeMappings;
+            await this.settingsStore.save(settings);
+
+            this.settings.schemaTypeMappings = normalized;
+            this.schemaTypeDraft = null;
+            this.renderSchemaTypesSection();
+            this.showNotification(normalized ? 'Schema type mappings saved' : 'Schema type mappings reset to defaults', 'success');
+        } catch (error) {
+            console.error('Failed to save schema type mappings:', error);
+            this.showNotification('Failed to save schema type mappings: ' + error.message, 'error');
+        }
+    }
+
     /**
      * Render custom rules section
      */
@@ -396,17 +625,18 @@ class OptionsManager {
         const container = document.getElementById('customRulesSettings');
         if (!container) return;
 
-        const rulesHtml = this.customRules.map(rule => `
-            <div class="rule-item" data-rule-id="${rule.id}">
+        const rulesHtml = this.customRules.map(rule => {
+            const tabAction = this.getRuleTabAction(rule.action || {});
+            return `
+            <div class="rule-item" data-rule-id="${this.escapeHtml(rule.id)}">
                 <div class="rule-header">
                     <div class="rule-info">
-                        <span class="rule-name">${rule.name}</span>
-                        <span class="rule-category badge badge-info">${rule.action?.category || 'Unknown'}</span>
+                        <span class="rule-name">${this.escapeHtml(rule.name)}</span>
+                        <span class="rule-category badge badge-info">${this.escapeHtml(rule.action?.category || 'Unknown')}</span>
                     </div>
                     <div class="rule-actions">
                         <label class="toggle-switch">
-                            <input type="checkbox" ${rule.enabled ? 'checked' : ''} 
-                                   onchange="optionsManager.toggleRule('${rule.id}', this.checked)">
+                            <input type="checkbox" class="rule-toggle" ${rule.enabled ? 'checked' : ''}>
                             <span class="toggle-slider"></span>
                         </label>
                         <button class="btn btn-sm btn-secondary edit-rule">Edit</button>
@@ -415,13 +645,13 @@ class OptionsManager {
                 </div>
                 <div class="rule-details">
                     <div class="rule-conditions">
-                        ${rule.conditions.domain ? `<span class="condition">Domain: ${rule.conditions.domain}</span>` : ''}
-                        ${rule.conditions.urlPattern ? `<span class="condition">URL: ${rule.conditions.urlPattern}</span>` : ''}
-                        ${rule.conditions.keywords?.length ? `<span class="condition">Keywords: ${rule.conditions.keywords.join(', ')}</span>` : ''}
+                        ${this.renderRuleConditions(rule.conditions)}
+                        ${tabAction.type !== 'none' ? `<span class="condition">Then: ${this.ruleActionLabels[tabAction.type]}</span>` : ''}
                     </div>
                 </div>
             </div>
-        `).join('');
+        `;
+        }).join('');
 
         container.innerHTML = `
             <div class="rules-header">
@@ -439,9 +669,12 @@ class OptionsManager {
                     <button class="btn btn-secondary" id="importRules">Import Rules</button>
                     <button class="btn btn-secondary" id="exportRules">Export Rules</button>
                     <button class="btn btn-primary" id="addCustomRule">Add Rule</button>
+                    <input type="file" class="rules-import-file" accept=".json,application/json" hidden>
                 </div>
             </div>
 
+            <div class="rules-report" id="rulesReport"></div>
+
             <div class="rules-list">
                 ${rulesHtml.length ? rulesHtml : '<div class="empty-state">No custom rules created yet. Click "Add Rule" to get started.</div>'}
             </div>
@@ -451,7 +684,7 @@ class OptionsManager {
                 <div class="modal-content">
                     <div class="modal-header">
                         <h3 id="ruleEditorTitle">Add Custom Rule</h3>
-                        <button class="modal-close" onclick="optionsManager.closeRuleEditor()">&times;</button>
+                        <button class="modal-close" id="closeRuleEditor">&times;</button>
                     </div>
                     <div class="modal-body">
                         <form id="ruleEditorForm">
@@ -459,7 +692,27 @@ class OptionsManager {
                                 <label class="form-label">Rule Name</label>
                                 <input type="text" id="ruleName" class="form-input" placeholder="e.g., GitHub Issues" required>
                             </div>
-                            
+
+                            <div class="form-group rule-editor-mode">
+                                <button type="button" class="btn btn-sm btn-secondary" id="toggleRuleEditorMode">Edit as Text</button>
+                            </div>
+
+                            <div id="ruleTextEditor" class="form-group hidden">
+                                <label class="form-label">Rule</label>
+                                <textarea id="ruleText" class="form-textarea rule-text-input" rows="6" spellcheck="false"
+                                    placeholder='domain ~ "*.atlassian.net" and (title has "sprint" or url ~ "/board/") -> work/planning priority 90'></textarea>
+                                <div id="ruleTextErrors" class="rule-text-errors"></div>
+                                <p class="setting-description">
+                                    Conditions: <code>domain ~ "…"</code>, <code>domain in ["…"]</code>, <code>url ~ /!~ "regex"</code>, <code>url like "*.example.com/*"</code>,
+                                    <code>title ~ "regex"</code>, <code>title has "text"</code>, <code>keywords has ["…"] min 2</code>,
+                                    <code>extension = "pdf"</code>, <code>pinned = true</code>, <code>hour in 9..17</code>, <code>day in [mon, fri]</code>,
+                                    combined with <code>and</code>, <code>or</code>, <code>not</code> and parentheses.
+                                    After <code>-></code>: <code>category/subcategory</code>, <code>priority 90</code> and
+                                    ${Object.keys(RuleDSL.FLAGS).map(flag => `<code>${flag}</code>`).join(', ')}, <code>window "…"</code>, <code>bookmark "…"</code>.
+                                </p>
+                            </div>
+
+                            <div id="ruleFormFields">
                             <div class="form-group">
                                 <label class="form-label">Target Category</label>
                                 <select id="ruleCategory" class="form-select" required>
@@ -477,7 +730,7 @@ class OptionsManager {
                                     
                                     <div class="form-group">
                                         <label class="form-label">URL Pattern</label>
-                                        <input type="text" id="ruleUrlPattern" class="form-input" placeholder="e.g., /issues|/pull">
+                                        <input type="text" id="ruleUrlPattern" class="form-input" placeholder="e.g., /issues|/pull or glob:*.atlassian.net/*/board*">
                                     </div>
                                     
                                     <div class="form-group">
@@ -491,11 +744,31 @@ class OptionsManager {
                                 <label class="form-label">Priority (1-100)</label>
                                 <input type="number" id="rulePriority" class="form-input" min="1" max="100" value="50">
                             </div>
+
+                            <div class="form-group">
+                                <label class="form-label">After Sorting</label>
+                                <select id="ruleAction" class="form-select">
+                                    ${Object.entries(this.ruleActionLabels).map(([value, label]) =>
+                                        `<option value="${value}">${label}</option>`).join('')}
+                                </select>
+                            </div>
+
+                            <div class="form-group">
+                                <label class="form-label">Window Name / Bookmark Folder</label>
+                                <input type="text" id="ruleActionTarget" class="form-input" placeholder="e.g., Reading">
+                                <p class="setting-description">Used by "Move to window" and "Bookmark, then close".</p>
+                            </div>
+                            </div>
                         </form>
+
+                        <div class="rule-tester">
+                            <label class="form-label">Open Tabs This Rule Matches</label>
+                            <div id="ruleTestResults" class="rule-test-results"></div>
+                        </div>
                     </div>
                     <div class="modal-footer">
-                        <button class="btn btn-secondary" onclick="optionsManager.closeRuleEditor()">Cancel</button>
-                        <button class="btn btn-primary" onclick="optionsManager.saveRule()">Save Rule</button>
+                        <button class="btn btn-secondary" id="cancelRuleEditor">Cancel</button>
+                        <button class="btn btn-primary" id="saveRuleButton">Save Rule</button>
                     </div>
                 </div>
             </div>
@@ -515,113 +788,696 @@ class OptionsManager {
                 this.deleteRule(ruleId);
             });
         });
+
+        // Rule changes save immediately, they don't make the settings dirty
+        container.querySelectorAll('.rule-toggle').forEach(toggle => {
+            toggle.addEventListener('change', (e) => {
+                e.stopPropagation();
+                const ruleId = e.target.closest('.rule-item').dataset.ruleId;
+                this.toggleRule(ruleId, e.target.checked);
+            });
+        });
+
+        const ruleEditorModal = document.getElementById('ruleEditorModal');
+        ruleEditorModal.addEventListener('change', (e) => {
+            e.stopPropagation();
+            this.scheduleRuleTest();
+        });
+        ruleEditorModal.addEventListener('input', () => this.scheduleRuleTest());
+        document.getElementById('addCustomRule').addEventListener('click', () => this.addCustomRule());
+        document.getElementById('closeRuleEditor').addEventListener('click', () => this.closeRuleEditor());
+        document.getElementById('cancelRuleEditor').addEventListener('click', () => this.closeRuleEditor());
+        document.getElementById('saveRuleButton').addEventListener('click', () => this.saveRule());
+        document.getElementById('toggleRuleEditorMode').addEventListener('click', () => this.toggleRuleEditorMode());
+        document.getElementById('ruleText').addEventListener('input', () => this.validateRuleText());
+        document.getElementById('exportRules').addEventListener('click', () => this.exportRules());
+
+        const importFile = container.querySelector('.rules-import-file');
+        document.getElementById('importRules').addEventListener('click', () => importFile.click());
+        importFile.addEventListener('change', (e) => {
+            e.stopPropagation();
+            if (e.target.files[0]) {
+                this.importRules(e.target.files[0]);
+            }
+            e.target.value = '';
+        });
+
+        this.loadRuleReport();
     }
 
     /**
-     * Render advanced settings
+     * Check the rules for shadowing, conflicts and patterns that match nothing
      */
-    renderAdvancedSettings() {
-        const container = document.getElementById('advancedSettings');
-        if (!container) return;
+    async loadRuleReport() {
+        const container = document.getElementById('rulesReport');
+        if (!container || this.customRules.length === 0) return;
+
+        try {
+            const report = await this.sendMessage('analyzeRules');
+            if (report?.error) {
+                throw new Error(report.error);
+            }
+            this.renderRuleReport(container, report);
+        } catch (error) {
+            console.error('Failed to analyze rules:', error);
+            container.innerHTML = '';
+        }
+    }
+
+    renderRuleReport(container, report) {
+        const checked = `Checked ${report.checkedRules} rules against ${report.checkedTabs} open tabs` +
+            (report.checkedHistory !== null ? ` and ${report.checkedHistory} history entries` : '');
 
         container.innerHTML = `
-            <div class="settings-section">
-                <h3>Performance & Debug</h3>
-                <div class="setting-group">
-                    <div class="setting-item">
-                        <label class="setting-label">
-                            <input type="checkbox" id="enableNotifications" ${this.settings.enableNotifications ? 'checked' : ''}>
-                            <span class="checkbox-custom"></span>
-                            Enable Notifications
-                        </label>
-                        <p class="setting-description">Show notifications when tabs are sorted.</p>
-                    </div>
+            <div class="rules-report-header">
+                <strong>${report.issues.length === 0 ? 'No rule problems found' : `${report.issues.length} possible rule problem${report.issues.length === 1 ? '' : 's'}`}</strong>
+                <span class="setting-description">${checked}</span>
+                ${report.checkedHistory === null ? '<button class="btn btn-sm btn-secondary" id="analyzeRuleHistory">Also check history</button>' : ''}
+            </div>
+            ${report.issues.length > 0 ? `
+                <ul class="rules-report-list">
+                    ${report.issues.map(issue => `
+                        <li class="rules-report-item">
+                            <span class="rules-report-severity ${issue.severity}">${issue.severity}</span>
+                            <strong>${this.escapeHtml(issue.ruleName)}</strong>: ${this.escapeHtml(issue.message)}
+                            ${issue.examples?.length ? `<div class="setting-description">e.g. ${this.escapeHtml(issue.examples.join(' · '))}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ul>
+            ` : ''}
+        `;
 
-                    <div class="setting-item">
-                        <label class="setting-label">
-                            <input type="checkbox" id="enableKeyboardShortcuts" ${this.settings.enableKeyboardShortcuts ? 'checked' : ''}>
-                            <span class="checkbox-custom"></span>
-                            Enable Keyboard Shortcuts
-                        </label>
-                        <p class="setting-description">Use Ctrl+Shift+S to quickly sort tabs.</p>
-                    </div>
+        // Checking history needs the optional history permission, requested on a click
+        document.getElementById('analyzeRuleHistory')?.addEventListener('click', async () => {
+            const granted = await chrome.permissions.request({ permissions: ['history'] });
+            if (granted) {
+                this.loadRuleReport();
+            }
+        });
+    }
 
-                    <div class="setting-item">
-                        <label class="setting-label">
-                            <input type="checkbox" id="enableDebugMode" ${this.settings.enableDebugMode ? 'checked' : ''}>
-                            <span class="checkbox-custom"></span>
-                            Enable Debug Mode
+    /**
+     * A rule's conditions as rule text, or the simple fields when they can't be printed
+     */
+    renderRuleConditions(conditions) {
+        try {
+            return `<code class="condition rule-text">${this.escapeHtml(RuleDSL.printConditions(conditions))}</code>`;
+        } catch {
+            return [
+                conditions.domain ? `<span class="condition">Domain: ${this.escapeHtml(conditions.domain)}</span>` : '',
+                conditions.urlPattern ? `<span class="condition">URL: ${this.escapeHtml(conditions.urlPattern)}</span>` : '',
+                conditions.keywords?.length ? `<span class="condition">Keywords: ${this.escapeHtml(conditions.keywords.join(', '))}</span>` : ''
+            ].join('');
+        }
+    }
+
+    /**
+     * Render the review screen for learned corrections
+     */
+    renderCorrectionsSection() {
+        const container = document.getElementById('correctionsSettings');
+        if (!container) return;
+
+        const categoryOptions = (selected) => {
+            const options = this.categories.map(cat =>
+                `<option value="${cat.id}" ${cat.id === selected ? 'selected' : ''}>${cat.name}</option>`);
+            // Corrections can target user-named groups that are not categories
+            if (selected && !this.categories.some(cat => cat.id === selected)) {
+                options.unshift(`<option value="${this.escapeHtml(selected)}" selected>${this.escapeHtml(selected)}</option>`);
+            }
+            return options.join('');
+        };
+
+        const correctionsHtml = this.corrections.map(correction => `
+            <div class="rule-item correction-item" data-correction-id="${correction.id}">
+                <div class="rule-header">
+                    <div class="rule-info">
+                        <span class="rule-name">${this.escapeHtml(correction.title || correction.domain)}</span>
+                        <span class="badge badge-info">${correction.count || 1}×</span>
+                    </div>
+                    <div class="rule-actions">
+                        <select class="form-select correction-target" aria-label="Target category">
+                            ${categoryOptions(correction.toCategory)}
+                        </select>
+                        <select class="form-select correction-scope" aria-label="Applies to">
+                            <option value="similar" ${correction.scope !== 'domain' ? 'selected' : ''}>Similar tabs</option>
+                            <option value="domain" ${correction.scope === 'domain' ? 'selected' : ''}>Whole domain</option>
+                        </select>
+                        <label class="toggle-switch">
+                            <input type="checkbox" class="correction-enabled" ${correction.enabled !== false ? 'checked' : ''}>
+                            <span class="toggle-slider"></span>
                         </label>
-                        <p class="setting-description">Show detailed logging information in console.</p>
+                        <button class="btn btn-sm btn-error delete-correction">Discard</button>
                     </div>
                 </div>
-            </div>
-
-            <div class="settings-section">
-                <h3>Data Management</h3>
-                <div class="setting-group">
-                    <div class="setting-item">
-                        <button class="btn btn-secondary" id="clearCache">Clear Cache</button>
-                        <p class="setting-description">Clear stored tab analysis cache to free up space.</p>
-                    </div>
-
-                    <div class="setting-item">
-                        <button class="btn btn-secondary" id="resetAllData">Reset All Data</button>
-                        <p class="setting-description">Reset all settings, rules, and categories to defaults. This cannot be undone.</p>
+                <div class="rule-details">
+                    <div class="rule-conditions">
+                        <span class="condition">Domain: ${this.escapeHtml(correction.domain || 'any')}</span>
+                        ${correction.tokens?.length ? `<span class="condition">Words: ${this.escapeHtml(correction.tokens.join(', '))}</span>` : ''}
+                        <span class="condition">Was: ${this.escapeHtml(correction.fromCategory || 'general')}</span>
+                        <span class="condition">Learned: ${new Date(correction.updatedAt).toLocaleDateString()}</span>
                     </div>
                 </div>
             </div>
+        `).join('');
 
-            <div class="settings-section">
-                <h3>Testing</h3>
-                <div class="setting-group">
-                    <div class="setting-item">
-                        <button class="btn btn-primary" id="testSort">Test Sort Current Tabs</button>
-                        <p class="setting-description">Test the current settings on your open tabs without actually moving them.</p>
+        container.innerHTML = `
+            <div class="rules-header">
+                <div class="rules-stats">
+                    <div class="stat-card">
+                        <div class="stat-value">${this.corrections.length}</div>
+                        <div class="stat-label">Learned</div>
                     </div>
-                    
-                    <div id="testResults" class="test-results hidden">
-                        <!-- Test results will be shown here -->
+                    <div class="stat-card">
+                        <div class="stat-value">${this.corrections.filter(c => c.enabled !== false).length}</div>
+                        <div class="stat-label">Active</div>
                     </div>
                 </div>
+                <div class="rules-actions">
+                    <button class="btn btn-secondary" id="clearCorrections" ${this.corrections.length ? '' : 'disabled'}>Discard All</button>
+                </div>
             </div>
 
-            <div class="settings-section">
-                <h3>About</h3>
-                <div class="setting-group">
-                    <div class="about-info">
-                        <h4>TabSorter AI v2.0.0</h4>
-                        <p>Advanced tab management with AI-powered semantic grouping.</p>
-                        <div class="about-links">
-                            <a href="#" class="link">Documentation</a>
-                            <a href="#" class="link">Report Issue</a>
-                            <a href="#" class="link">Privacy Policy</a>
-                        </div>
-                    </div>
-                </div>
+            <div class="rules-list">
+                ${correctionsHtml.length ? correctionsHtml : '<div class="empty-state">Nothing learned yet. Drag a tab from a TabSorter group into another group to teach it.</div>'}
             </div>
         `;
 
-        // Add event listeners for advanced features
-        document.getElementById('clearCache')?.addEventListener('click', () => this.clearCache());
-        document.getElementById('resetAllData')?.addEventListener('click', () => this.resetAllData());
-        document.getElementById('testSort')?.addEventListener('click', () => this.testSort());
+        // These edits save immediately, so keep them from marking the settings dirty
+        container.querySelectorAll('.correction-item').forEach(item => {
+            const correctionId = item.dataset.correctionId;
+
+            item.querySelector('.correction-target').addEventListener('change', (e) => {
+                e.stopPropagation();
+                const option = e.target.selectedOptions[0];
+                this.updateCorrection(correctionId, { toCategory: e.target.value, toCategoryName: option.textContent });
+            });
+            item.querySelector('.correction-scope').addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.updateCorrection(correctionId, { scope: e.target.value });
+            });
+            item.querySelector('.correction-enabled').addEventListener('change', (e) => {
+                e.stopPropagation();
+                this.updateCorrection(correctionId, { enabled: e.target.checked });
+            });
+            item.querySelector('.delete-correction').addEventListener('click', () => this.deleteCorrection(correctionId));
+        });
+
+        document.getElementById('clearCorrections')?.addEventListener('click', () => this.clearCorrections());
     }
 
     /**
-     * Save all settings
+     * Escape text from tabs before putting it into HTML
      */
-    async saveSettings() {
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Save an edit to a learned correction
+     */
+    async updateCorrection(correctionId, changes) {
         try {
-            // Collect settings from form elements
-            const formData = new FormData(document.querySelector('form'));
-            const updatedSettings = { ...this.settings };
+            const response = await this.sendMessage('updateCorrection', { correctionId, changes });
+            if (!response.success) {
+                throw new Error(response.error || 'Update failed');
+            }
 
-            // Update settings from form inputs
-            document.querySelectorAll('input, select').forEach(input => {
-                if (input.type === 'checkbox') {
-                    updatedSettings[input.id] = input.checked;
-                } else if (input.type === 'number') {
+            const index = this.corrections.findIndex(c => c.id === correctionId);
+            this.corrections[index] = response.correction;
+            this.renderCorrectionsSection();
+            this.showNotification('Correction updated', 'success');
+        } catch (error) {
+            console.error('Failed to update correction:', error);
+            this.showNotification('Failed to update correction: ' + error.message, 'error');
+        }
+    }
+
+    async deleteCorrection(correctionId) {
+        try {
+            await this.sendMessage('deleteCorrection', { correctionId });
+            this.corrections = this.corrections.filter(c => c.id !== correctionId);
+            this.renderCorrectionsSection();
+            this.showNotification('Correction discarded', 'success');
+        } catch (error) {
+            console.error('Failed to discard correction:', error);
+            this.showNotification('Failed to discard correction: ' + error.message, 'error');
+        }
+    }
+
+    async clearCorrections() {
+        if (!confirm('Discard everything TabSorter has learned from your corrections?')) return;
+
+        try {
+            await this.sendMessage('clearCorrections');
+            this.corrections = [];
+            this.renderCorrectionsSection();
+            this.showNotification('All corrections discarded', 'success');
+        } catch (error) {
+            console.error('Failed to clear corrections:', error);
+            this.showNotification('Failed to clear corrections: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Load profiles and which one is active
+     */
+    async loadProfiles() {
+        try {
+            const response = await this.sendMessage('getProfiles');
+            this.profiles = response.profiles || [];
+            this.activeProfileId = response.activeId;
+        } catch (error) {
+            console.error('Failed to load profiles:', error);
+            this.profiles = [];
+        }
+    }
+
+    /**
+     * Render profiles section
+     */
+    renderProfilesSection() {
+        const container = document.getElementById('profilesSettings');
+        if (!container) return;
+
+        const active = this.profiles.find(profile => profile.id === this.activeProfileId);
+        const profilesHtml = this.profiles.map(profile => {
+            const isActive = profile.id === this.activeProfileId;
+            const isDefault = profile.id === 'default';
+            return `
+            <div class="rule-item profile-item ${isActive ? 'active' : ''}" data-profile-id="${this.escapeHtml(profile.id)}">
+                <div class="rule-header">
+                    <div class="rule-info">
+                        <span class="rule-name">${this.escapeHtml(profile.name)}</span>
+                        ${isActive ? '<span class="badge badge-primary">Active</span>' : ''}
+                        ${isDefault ? '<span class="badge badge-info">Default</span>' : ''}
+                    </div>
+                    <div class="rule-actions">
+                        ${isActive ? '' : '<button class="btn btn-sm btn-primary switch-profile">Switch to</button>'}
+                        <button class="btn btn-sm btn-secondary edit-profile">Edit</button>
+                        ${isActive || isDefault ? '' : '<button class="btn btn-sm btn-error delete-profile">Delete</button>'}
+                    </div>
+                </div>
+                <div class="rule-details">
+                    <div class="rule-conditions">
+                        <span class="condition">${this.escapeHtml(this.describeSchedule(profile.schedule, isDefault))}</span>
+                    </div>
+                </div>
+            </div>
+        `;
+        }).join('');
+
+        container.innerHTML = `
+            <div class="rules-header">
+                <div class="rules-stats">
+                    <div class="stat-card">
+                        <div class="stat-value">${this.profiles.length}</div>
+                        <div class="stat-label">Profiles</div>
+                    </div>
+                    <div class="stat-card">
+                        <div class="stat-value">${this.escapeHtml(active?.name || 'Default')}</div>
+                        <div class="stat-label">Active</div>
+                    </div>
+                </div>
+                <div class="rules-actions">
+                    <button class="btn btn-primary" id="addProfile">New Profile</button>
+                </div>
+            </div>
+
+            <div class="rules-list">
+                ${profilesHtml}
+            </div>
+
+            <div id="profileEditorModal" class="modal hidden">
+                <div class="modal-content">
+                    <div class="modal-header">
+                        <h3 id="profileEditorTitle">New Profile</h3>
+                        <button class="modal-close" id="closeProfileEditor">&times;</button>
+                    </div>
+                    <div class="modal-body">
+                        <div class="form-group">
+                            <label class="form-label" for="profileName">Profile Name</label>
+                            <input type="text" id="profileName" class="form-input" placeholder="e.g., Work">
+                        </div>
+                        <p class="setting-description" id="profileCopyNote">
+                            Starts with a copy of the active profile's categories, rules and grouping settings.
+                        </p>
+
+                        <div class="form-group">
+                            <label class="setting-label">
+                                <input type="checkbox" id="profileScheduled">
+                                Switch to this profile automatically
+                            </label>
+                        </div>
+                        <div id="profileScheduleFields" class="profile-schedule">
+                            <div class="profile-days">
+                                ${['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, index) => `
+                                    <label class="profile-day">
+                                        <input type="checkbox" class="profile-day-input" value="${index}">
+                                        ${day}
+                                    </label>
+                                `).join('')}
+                            </div>
+                            <div class="profile-hours">
+                                <label>From <input type="number" id="profileStartHour" class="form-input" min="0" max="23">:00</label>
+                                <label>until <input type="number" id="profileEndHour" class="form-input" min="0" max="23">:00</label>
+                            </div>
+                            <p class="setting-description">
+                                Outside every profile's schedule, TabSorter goes back to the default profile.
+                                Switching by hand sticks until the schedule calls for another profile.
+                            </p>
+                        </div>
+                    </div>
+                    <div class="modal-footer">
+                        <button class="btn btn-secondary" id="cancelProfileEditor">Cancel</button>
+                        <button class="btn btn-primary" id="saveProfileButton">Save Profile</button>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        container.querySelectorAll('.profile-item').forEach(item => {
+            const profileId = item.dataset.profileId;
+            item.querySelector('.switch-profile')?.addEventListener('click', () => this.switchProfile(profileId));
+            item.querySelector('.edit-profile').addEventListener('click', () =>
+                this.openProfileEditor(this.profiles.find(profile => profile.id === profileId)));
+            item.querySelector('.delete-profile')?.addEventListener('click', () => this.deleteProfile(profileId));
+        });
+
+        // Profile edits save on their own, they don't make the settings dirty
+        document.getElementById('profileEditorModal').addEventListener('change', (e) => {
+            e.stopPropagation();
+            if (e.target.id === 'profileScheduled') this.updateProfileScheduleFields();
+        });
+        document.getElementById('addProfile').addEventListener('click', () => this.openProfileEditor(null));
+        document.getElementById('closeProfileEditor').addEventListener('click', () => this.closeProfileEditor());
+        document.getElementById('cancelProfileEditor').addEventListener('click', () => this.closeProfileEditor());
+        document.getElementById('saveProfileButton').addEventListener('click', () => this.saveProfile());
+    }
+
+    describeSchedule(schedule, isDefault) {
+        if (!schedule) {
+            return isDefault ? 'Used whenever no other profile is scheduled' : 'Switched to by hand';
+        }
+
+        const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+        const days = schedule.days ? schedule.days.map(day => dayNames[day]).join(', ') : 'Every day';
+        const hour = value => `${String(value).padStart(2, '0')}:00`;
+        const hours = schedule.hours ? `, ${hour(schedule.hours.start)}–${hour((schedule.hours.end + 1) % 24)}` : '';
+        return `Scheduled: ${days}${hours}`;
+    }
+
+    openProfileEditor(profile) {
+        this.editingProfileId = profile ? profile.id : null;
+        const schedule = profile?.schedule;
+
+        document.getElementById('profileEditorTitle').textContent = profile ? 'Edit Profile' : 'New Profile';
+        document.getElementById('profileName').value = profile?.name || '';
+        document.getElementById('profileCopyNote').classList.toggle('hidden', !!profile);
+        document.getElementById('profileScheduled').checked = !!schedule;
+        document.querySelectorAll('.profile-day-input').forEach(input => {
+            input.checked = schedule?.days ? schedule.days.includes(parseInt(input.value, 10)) : !schedule && input.value >= 1 && input.value <= 5;
+        });
+        document.getElementById('profileStartHour').value = schedule?.hours?.start ?? 9;
+        // Stored hour ranges include their end hour; the editor shows when the range stops
+        document.getElementById('profileEndHour').value = schedule?.hours ? (schedule.hours.end + 1) % 24 : 17;
+        this.updateProfileScheduleFields();
+
+        document.getElementById('profileEditorModal').classList.remove('hidden');
+    }
+
+    updateProfileScheduleFields() {
+        const scheduled = document.getElementById('profileScheduled').checked;
+        document.getElementById('profileScheduleFields').classList.toggle('hidden', !scheduled);
+    }
+
+    closeProfileEditor() {
+        document.getElementById('profileEditorModal')?.classList.add('hidden');
+        this.editingProfileId = null;
+    }
+
+    async saveProfile() {
+        const name = document.getElementById('profileName').value.trim();
+        if (!name) {
+            this.showNotification('Give the profile a name', 'error');
+            return;
+        }
+
+        let schedule = null;
+        if (document.getElementById('profileScheduled').checked) {
+            const days = [...document.querySelectorAll('.profile-day-input:checked')].map(input => parseInt(input.value, 10));
+            if (days.length === 0) {
+                this.showNotification('Pick at least one day for the schedule', 'error');
+                return;
+            }
+            schedule = {
+                days: days,
+                hours: {
+                    start: parseInt(document.getElementById('profileStartHour').value, 10),
+                    end: (parseInt(document.getElementById('profileEndHour').value, 10) + 23) % 24
+                }
+            };
+        }
+
+        try {
+            const response = this.editingProfileId
+                ? await this.sendMessage('updateProfile', { profileId: this.editingProfileId, changes: { name, schedule } })
+                : await this.sendMessage('createProfile', { profile: { name, schedule } });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            this.closeProfileEditor();
+            await this.reloadProfileData();
+            this.showNotification('Profile saved!', 'success');
+        } catch (error) {
+            console.error('Failed to save profile:', error);
+            this.showNotification('Failed to save profile: ' + error.message, 'error');
+        }
+    }
+
+    async switchProfile(profileId) {
+        if (this.isDirty && !confirm('Switching profiles discards your unsaved changes. Continue?')) return;
+
+        try {
+            const response = await this.sendMessage('switchProfile', { profileId });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            this.isDirty = false;
+            this.updateSaveButton();
+            await this.reloadProfileData();
+            this.showNotification(`Switched to "${response.profile.name}"`, 'success');
+        } catch (error) {
+            console.error('Failed to switch profile:', error);
+            this.showNotification('Failed to switch profile: ' + error.message, 'error');
+        }
+    }
+
+    async deleteProfile(profileId) {
+        const profile = this.profiles.find(p => p.id === profileId);
+        if (!confirm(`Delete the "${profile?.name}" profile and its rules?`)) return;
+
+        try {
+            const response = await this.sendMessage('deleteProfile', { profileId });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            await this.loadProfiles();
+            this.renderProfilesSection();
+            this.showNotification('Profile deleted', 'success');
+        } catch (error) {
+            console.error('Failed to delete profile:', error);
+            this.showNotification('Failed to delete profile: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Settings, categories and rules all change with the active profile
+     */
+    async reloadProfileData() {
+        await this.loadSettings();
+        await this.loadCustomRules();
+        await this.loadProfiles();
+
+        this.renderGeneralSettings();
+        this.renderCategoriesSection();
+        this.renderCustomRulesSection();
+        this.renderProfilesSection();
+        this.renderAdvancedSettings();
+    }
+
+    /**
+     * Render advanced settings
+     */
+    renderAdvancedSettings() {
+        const container = document.getElementById('advancedSettings');
+        if (!container) return;
+
+        container.innerHTML = `
+            <div class="settings-section">
+                <h3>Performance & Debug</h3>
+                <div class="setting-group">
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="enableNotifications" data-setting ${this.settings.enableNotifications ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Enable Notifications
+                        </label>
+                        <p class="setting-description">Show notifications when tabs are sorted.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="enableKeyboardShortcuts" data-setting ${this.settings.enableKeyboardShortcuts ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Enable Keyboard Shortcuts
+                        </label>
+                        <p class="setting-description">Use Ctrl+Shift+S to quickly sort tabs.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="setting-label">
+                            <input type="checkbox" id="enableDebugMode" data-setting ${this.settings.enableDebugMode ? 'checked' : ''}>
+                            <span class="checkbox-custom"></span>
+                            Enable Debug Mode
+                        </label>
+                        <p class="setting-description">Show detailed logging information in console.</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="settings-section">
+                <h3>Embedding Cache</h3>
+                <div class="setting-group">
+                    <div id="embeddingCacheStats" class="categories-stats">
+                        <!-- Filled in by loadEmbeddingCacheStats -->
+                    </div>
+
+                    <div class="setting-item">
+                        <label class="form-label">Maximum Cached Embeddings</label>
+                        <input type="number" id="embeddingCacheSize" data-setting class="form-input" min="100" max="50000" step="100"
+                               value="${this.settings.embeddingCacheSize}">
+                        <p class="setting-description">Least recently used embeddings are removed once the cache is full.</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="settings-section">
+                <h3>Data Management</h3>
+                <div class="setting-group">
+                    <div class="setting-item">
+                        <button class="btn btn-secondary" id="clearCache">Clear Cache</button>
+                        <p class="setting-description">Clear cached tab embeddings to free up space. They are recomputed on the next AI sort.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <button class="btn btn-secondary" id="resetAllData">Reset All Data</button>
+                        <p class="setting-description">Reset all settings, rules, and categories to defaults. This cannot be undone.</p>
+                    </div>
+                </div>
+            </div>
+
+            <div class="settings-section">
+                <h3>Testing</h3>
+                <div class="setting-group">
+                    <div class="setting-item">
+                        <button class="btn btn-primary" id="testSort">Test Sort Current Tabs</button>
+                        <p class="setting-description">Test the current settings on your open tabs without actually moving them.</p>
+                    </div>
+
+                    <div class="setting-item">
+                        <button class="btn btn-secondary" id="runAIBenchmark">Run AI Self-Test</button>
+                        <p class="setting-description">Check the AI model and compare one-by-one with batched inference speed.</p>
+                    </div>
+                    
+                    <div id="testResults" class="test-results hidden">
+                        <!-- Test results will be shown here -->
+                    </div>
+                </div>
+            </div>
+
+            <div class="settings-section">
+                <h3>About</h3>
+                <div class="setting-group">
+                    <div class="about-info">
+                        <h4>TabSorter AI v2.0.0</h4>
+                        <p>Advanced tab management with AI-powered semantic grouping.</p>
+                        <div class="about-links">
+                            <a href="#" class="link">Documentation</a>
+                            <a href="#" class="link">Report Issue</a>
+                            <a href="#" class="link">Privacy Policy</a>
+                        </div>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        // Add event listeners for advanced features
+        document.getElementById('clearCache')?.addEventListener('click', () => this.clearCache());
+        document.getElementById('resetAllData')?.addEventListener('click', () => this.resetAllData());
+        document.getElementById('testSort')?.addEventListener('click', () => this.testSort());
+        document.getElementById('runAIBenchmark')?.addEventListener('click', () => this.runAIBenchmark());
+
+        this.loadEmbeddingCacheStats();
+    }
+
+    /**
+     * Show embedding cache usage (read straight from IndexedDB)
+     */
+    async loadEmbeddingCacheStats() {
+        const container = document.getElementById('embeddingCacheStats');
+        if (!container) return;
+
+        if (!this.embeddingCache) {
+            container.innerHTML = '<p class="setting-description">Embedding cache is not available.</p>';
+            return;
+        }
+
+        try {
+            const stats = await this.embeddingCache.getStats();
+            const sizeKb = Math.round(stats.approximateBytes / 1024);
+
+            container.innerHTML = `
+                <div class="stat-card">
+                    <span class="stat-value">${stats.entries}</span>
+                    <span class="stat-label">Cached</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-value">${Math.round(stats.hitRate * 100)}%</span>
+                    <span class="stat-label">Hit Rate</span>
+                </div>
+                <div class="stat-card">
+                    <span class="stat-value">${sizeKb} KB</span>
+                    <span class="stat-label">Size</span>
+                </div>
+            `;
+            container.title = `${stats.hits} hits, ${stats.misses} misses` +
+                (stats.modelVersion ? ` · model ${stats.modelVersion}` : '');
+        } catch (error) {
+            console.error('Failed to read embedding cache stats:', error);
+            container.innerHTML = '<p class="setting-description">Could not read embedding cache.</p>';
+        }
+    }
+
+    /**
+     * Save all settings
+     */
+    async saveSettings() {
+        try {
+            // Collect settings from form elements
+            const formData = new FormData(document.querySelector('form'));
+            const updatedSettings = { ...this.settings };
+
+            // Update settings from inputs marked data-setting; editors, per-item controls and file pickers save on their own
+            document.querySelectorAll('input[data-setting], select[data-setting]').forEach(input => {
+                if (input.type === 'checkbox') {
+                    updatedSettings[input.id] = input.checked;
+                } else if (input.type === 'number') {
                     updatedSettings[input.id] = parseFloat(input.value);
                 } else if (input.type === 'range') {
                     updatedSettings[input.id] = parseFloat(input.value);
@@ -631,9 +1487,14 @@ class OptionsManager {
             });
 
             // Save to storage
-            await chrome.storage.sync.set(updatedSettings);
-            this.settings = updatedSettings;
+            this.settings = await this.settingsStore.save(updatedSettings);
             this.isDirty = false;
+
+            // The offscreen processor reads the cap from the cache itself
+            if (this.embeddingCache && updatedSettings.embeddingCacheSize) {
+                await this.embeddingCache.setMaxEntries(updatedSettings.embeddingCacheSize);
+                this.loadEmbeddingCacheStats();
+            }
             
             this.showNotification('Settings saved successfully!', 'success');
             this.updateSaveButton();
@@ -723,12 +1584,79 @@ class OptionsManager {
         }
     }
 
+    /**
+     * Run the AI self-test and show the batch benchmark
+     */
+    async runAIBenchmark() {
+        const button = document.getElementById('runAIBenchmark');
+        const resultsContainer = document.getElementById('testResults');
+
+        if (!button || !resultsContainer) return;
+
+        try {
+            button.textContent = 'Running...';
+            button.disabled = true;
+
+            const response = await this.sendMessage('runAISelfTest', {
+                batchSize: parseInt(document.getElementById('aiBatchSize')?.value, 10) || undefined
+            });
+            const result = response?.details;
+            if (!result) {
+                throw new Error(response?.error || 'AI processor did not respond');
+            }
+
+            const benchmark = result.benchmark;
+            resultsContainer.innerHTML = `
+                <div class="test-result-card">
+                    <h4>AI Self-Test ${result.passed ? 'Passed' : 'Failed'}</h4>
+                    ${benchmark ? `
+                        <div class="test-stats">
+                            <div class="test-stat">
+                                <span class="test-stat-value">${benchmark.sequential.tabsPerSecond}</span>
+                                <span class="test-stat-label">Tabs/s One-by-One</span>
+                            </div>
+                            <div class="test-stat">
+                                <span class="test-stat-value">${benchmark.batched.tabsPerSecond}</span>
+                                <span class="test-stat-label">Tabs/s Batch of ${benchmark.batchSize}</span>
+                            </div>
+                            <div class="test-stat">
+                                <span class="test-stat-value">${benchmark.speedup}x</span>
+                                <span class="test-stat-label">Speedup</span>
+                            </div>
+                        </div>
+                    ` : ''}
+                    <div class="test-groups">
+                        ${result.checks.map(check => `
+                            <div class="test-group">
+                                <span class="test-group-name">${check.passed ? '✓' : '✗'} ${check.name}</span>
+                                <span class="test-group-count">${check.details}</span>
+                            </div>
+                        `).join('')}
+                    </div>
+                    ${result.error ? `<p class="setting-description">${result.error}</p>` : ''}
+                </div>
+            `;
+
+            resultsContainer.classList.remove('hidden');
+
+        } catch (error) {
+            console.error('AI self-test failed:', error);
+            this.showNotification('AI self-test failed: ' + error.message, 'error');
+        } finally {
+            button.textContent = 'Run AI Self-Test';
+            button.disabled = false;
+        }
+    }
+
     /**
      * Toggle rule enabled state
      */
     async toggleRule(ruleId, enabled) {
         try {
-            await this.sendMessage('toggleRule', { ruleId, enabled });
+            const response = await this.sendMessage('toggleRule', { ruleId, enabled });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
             
             // Update local state
             const rule = this.customRules.find(r => r.id === ruleId);
@@ -737,6 +1665,7 @@ class OptionsManager {
             }
             
             this.showNotification(`Rule ${enabled ? 'enabled' : 'disabled'}!`, 'success');
+            this.loadRuleReport();
         } catch (error) {
             console.error('Failed to toggle rule:', error);
             this.showNotification('Failed to toggle rule: ' + error.message, 'error');
@@ -780,9 +1709,30 @@ class OptionsManager {
         this.showNotification('Category editing coming soon!', 'info');
     }
 
-    toggleCategory(categoryId) {
-        console.log('Toggle category:', categoryId);
-        this.showNotification('Category toggling coming soon!', 'info');
+    isCategoryEnabled(category) {
+        return !(this.settings.disabledCategories || []).includes(category.id);
+    }
+
+    /**
+     * Switch a category on or off for the active profile; saves right away
+     */
+    async toggleCategory(categoryId) {
+        const disabled = new Set(this.settings.disabledCategories || []);
+        if (disabled.has(categoryId)) {
+            disabled.delete(categoryId);
+        } else {
+            disabled.add(categoryId);
+        }
+
+        try {
+            // Merge into the stored settings so unsaved edits on this page aren't written
+            await this.settingsStore.update({ disabledCategories: [...disabled] });
+            this.settings.disabledCategories = [...disabled];
+            this.renderCategoriesSection();
+        } catch (error) {
+            console.error('Failed to toggle category:', error);
+            this.showNotification('Failed to update category: ' + error.message, 'error');
+        }
     }
 
     addCategory() {
@@ -790,27 +1740,431 @@ class OptionsManager {
         this.showNotification('Adding categories coming soon!', 'info');
     }
 
+    addCustomRule() {
+        this.openRuleEditor(null);
+    }
+
     editRule(ruleId) {
-        console.log('Edit rule:', ruleId);
-        // Show rule editor modal
+        const rule = this.customRules.find(r => r.id === ruleId);
+        if (rule) {
+            this.openRuleEditor(rule);
+        }
+    }
+
+    /**
+     * Show the rule editor, filled in from an existing rule when editing
+     */
+    openRuleEditor(rule) {
+        this.editingRuleId = rule ? rule.id : null;
+        this.ruleDraft = null;
+
+        document.getElementById('ruleEditorTitle').textContent = rule ? 'Edit Custom Rule' : 'Add Custom Rule';
+        document.getElementById('ruleName').value = rule?.name || '';
+        this.fillRuleForm(rule);
+
+        // Nested and negated conditions only fit the text editor
+        if (rule && this.needsRuleText(rule) && this.printRule(rule) !== null) {
+            this.setRuleEditorMode('text', this.printRule(rule));
+        } else {
+            this.setRuleEditorMode('form');
+        }
+
         document.getElementById('ruleEditorModal')?.classList.remove('hidden');
     }
 
-    deleteRule(ruleId) {
+    fillRuleForm(rule) {
+        document.getElementById('ruleCategory').value = rule?.action?.category || this.categories[0]?.id || '';
+        document.getElementById('ruleDomain').value = rule?.conditions?.domain || '';
+        document.getElementById('ruleUrlPattern').value = rule?.conditions?.urlPattern || '';
+        document.getElementById('ruleKeywords').value = (rule?.conditions?.keywords || []).join(', ');
+        document.getElementById('rulePriority').value = rule?.action?.priority || 50;
+
+        const action = this.getRuleTabAction(rule?.action || {});
+        document.getElementById('ruleAction').value = action.type;
+        document.getElementById('ruleActionTarget').value = action.target;
+    }
+
+    needsRuleText(rule) {
+        return !!(rule.conditions?.clauses?.length || rule.conditions?.operator === 'NOT');
+    }
+
+    /**
+     * Rule text for a rule, or null when the rule can't be written as text
+     */
+    printRule(rule) {
+        try {
+            return RuleDSL.print(rule);
+        } catch (error) {
+            console.warn('Rule cannot be printed as text:', error);
+            return null;
+        }
+    }
+
+    setRuleEditorMode(mode, text = '') {
+        this.ruleEditorMode = mode;
+        document.getElementById('ruleTextEditor').classList.toggle('hidden', mode !== 'text');
+        document.getElementById('ruleFormFields').classList.toggle('hidden', mode === 'text');
+        document.getElementById('toggleRuleEditorMode').textContent = mode === 'text' ? 'Edit as Form' : 'Edit as Text';
+
+        if (mode === 'text') {
+            document.getElementById('ruleText').value = text;
+            this.validateRuleText();
+        }
+        this.scheduleRuleTest();
+    }
+
+    /**
+     * Switch between the form and the text editor, carrying the rule across
+     */
+    toggleRuleEditorMode() {
+        if (this.ruleEditorMode === 'form') {
+            const { rule, error } = this.readRuleForm();
+            if (error) {
+                // An empty form just starts an empty rule
+                this.setRuleEditorMode('text', '');
+                return;
+            }
+
+            const text = this.printRule(rule);
+            if (text === null) {
+                this.showNotification('This rule uses conditions the text editor can\'t show', 'error');
+                return;
+            }
+            this.setRuleEditorMode('text', text);
+            return;
+        }
+
+        const result = this.validateRuleText();
+        if (!result.valid) {
+            this.showNotification('Fix the rule text first', 'error');
+            return;
+        }
+        if (this.needsRuleText(result.rule)) {
+            this.showNotification('Nested and negated conditions can only be edited as text', 'error');
+            return;
+        }
+
+        this.ruleDraft = result.rule;
+        this.fillRuleForm(result.rule);
+        this.setRuleEditorMode('form');
+    }
+
+    /**
+     * Validate the rule text and list any errors under the editor
+     */
+    validateRuleText() {
+        const text = document.getElementById('ruleText').value;
+        const errorsElement = document.getElementById('ruleTextErrors');
+
+        if (!text.trim()) {
+            errorsElement.innerHTML = '';
+            return { valid: false, errors: [{ message: 'Write a rule first', line: 1, column: 1 }], rule: null };
+        }
+
+        const result = RuleDSL.validate(text, { categories: this.categories.map(cat => cat.id) });
+        errorsElement.innerHTML = result.errors.map(error => `
+            <div class="rule-text-error">Line ${error.line}, column ${error.column}: ${this.escapeHtml(error.message)}</div>
+        `).join('');
+        return result;
+    }
+
+    async deleteRule(ruleId) {
         if (!confirm('Are you sure you want to delete this rule?')) return;
-        
-        console.log('Delete rule:', ruleId);
-        this.showNotification('Rule deletion coming soon!', 'info');
+
+        try {
+            const response = await this.sendMessage('deleteRule', { ruleId });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            await this.loadCustomRules();
+            this.renderCustomRulesSection();
+            this.showNotification('Rule deleted!', 'success');
+        } catch (error) {
+            console.error('Failed to delete rule:', error);
+            this.showNotification('Failed to delete rule: ' + error.message, 'error');
+        }
     }
 
     closeRuleEditor() {
         document.getElementById('ruleEditorModal')?.classList.add('hidden');
+        this.editingRuleId = null;
+        this.ruleDraft = null;
+        clearTimeout(this.ruleTestTimer);
+    }
+
+    /**
+     * Re-test the rule shortly after the last edit
+     */
+    scheduleRuleTest() {
+        clearTimeout(this.ruleTestTimer);
+        this.ruleTestTimer = setTimeout(() => this.testDraftRule(), 300);
+    }
+
+    /**
+     * Evaluate the rule being edited against all open tabs
+     */
+    async testDraftRule() {
+        const container = document.getElementById('ruleTestResults');
+        if (!container) return;
+
+        let rule;
+        if (this.ruleEditorMode === 'text') {
+            const result = this.validateRuleText();
+            rule = result.valid ? result.rule : null;
+        } else {
+            rule = this.readRuleForm().rule;
+        }
+
+        if (!rule) {
+            container.innerHTML = '<div class="empty-state">Add a valid condition to see which tabs match.</div>';
+            return;
+        }
+
+        try {
+            const result = await this.sendMessage('testRule', { rule, ruleId: this.editingRuleId });
+            if (result?.error) {
+                throw new Error(result.error);
+            }
+            this.renderRuleTest(container, result);
+        } catch (error) {
+            console.error('Failed to test rule:', error);
+            container.innerHTML = `<div class="empty-state">Could not test the rule: ${this.escapeHtml(error.message)}</div>`;
+        }
+    }
+
+    renderRuleTest(container, result) {
+        const matched = result.tabs.filter(tab => tab.matched);
+
+        // Tabs passing some of the checks show why they were left out
+        const passedChecks = trace => trace.checks.reduce((count, check) =>
+            count + (check.checks ? passedChecks(check) : (check.passed ? 1 : 0)), 0);
+        const nearMisses = result.tabs
+            .filter(tab => !tab.matched && tab.trace && passedChecks(tab.trace) > 0)
+            .sort((a, b) => passedChecks(b.trace) - passedChecks(a.trace))
+            .slice(0, 5);
+
+        container.innerHTML = `
+            <div class="rule-test-summary">${result.matched} of ${result.total} open tabs match</div>
+            ${matched.map(tab => this.renderRuleTestTab(tab)).join('')}
+            ${nearMisses.length > 0 ? `
+                <div class="rule-test-summary">Closest misses</div>
+                ${nearMisses.map(tab => this.renderRuleTestTab(tab)).join('')}
+            ` : ''}
+        `;
+    }
+
+    renderRuleTestTab(tab) {
+        return `
+            <details class="rule-test-tab ${tab.matched ? 'matched' : 'missed'}">
+                <summary>
+                    <span class="rule-test-title">${this.escapeHtml(tab.title || tab.url)}</span>
+                    ${tab.matched ? `<span class="rule-test-confidence">${Math.round(tab.confidence * 100)}%</span>` : ''}
+                    ${tab.takenBy ? `<span class="rule-test-note">“${this.escapeHtml(tab.takenBy)}” wins</span>` : ''}
+                </summary>
+                <div class="rule-test-url">${this.escapeHtml(tab.url)}</div>
+                ${tab.error ? `<div class="rule-text-error">${this.escapeHtml(tab.error)}</div>` : this.renderRuleChecks(tab.trace)}
+            </details>
+        `;
+    }
+
+    /**
+     * Per-condition pass/fail list, nested like the rule's clauses
+     */
+    renderRuleChecks(trace) {
+        const operatorLabels = { AND: 'All of', OR: 'Any of', NOT: 'None of' };
+
+        return `
+            <ul class="rule-test-checks">
+                <li class="rule-test-operator">${operatorLabels[trace.operator] || trace.operator}:</li>
+                ${trace.checks.map(check => check.checks ? `
+                    <li class="${check.matched ? 'pass' : 'fail'}">${this.renderRuleChecks(check)}</li>
+                ` : `
+                    <li class="${check.passed ? 'pass' : 'fail'}">
+                        ${check.passed ? '✓' : '✗'} <code>${this.escapeHtml(this.describeRuleCheck(check))}</code>
+                    </li>
+                `).join('')}
+            </ul>
+        `;
+    }
+
+    describeRuleCheck(check) {
+        try {
+            return RuleDSL.printConditions({ [check.key]: check.value, keywordThreshold: check.keywordThreshold });
+        } catch {
+            return `${check.key}: ${JSON.stringify(check.value)}`;
+        }
     }
 
-    saveRule() {
-        console.log('Save rule');
-        this.showNotification('Rule saving coming soon!', 'info');
-        this.closeRuleEditor();
+    /**
+     * Build a rule from the form fields
+     * Returns { rule } or { error }
+     */
+    readRuleForm() {
+        const domain = document.getElementById('ruleDomain').value.trim();
+        const urlPattern = document.getElementById('ruleUrlPattern').value.trim();
+        const keywords = document.getElementById('ruleKeywords').value
+            .split(',')
+            .map(keyword => keyword.trim())
+            .filter(Boolean);
+
+        if (!domain && !urlPattern && keywords.length === 0) {
+            return { error: 'Add at least one condition' };
+        }
+        if (urlPattern) {
+            const result = PatternCompiler.shared.check(urlPattern);
+            if (!result.valid) {
+                return { error: 'Invalid URL pattern: ' + result.error };
+            }
+        }
+
+        // Keep anything the form doesn't edit (e.g. conditions from imported rules or the text editor)
+        const base = this.ruleDraft || this.customRules.find(r => r.id === this.editingRuleId);
+        const conditions = { operator: 'OR', ...(base?.conditions || {}) };
+        delete conditions.domain;
+        delete conditions.urlPattern;
+        delete conditions.keywords;
+        if (domain) conditions.domain = domain;
+        if (urlPattern) conditions.urlPattern = urlPattern;
+        if (keywords.length > 0) conditions.keywords = keywords;
+
+        return {
+            rule: {
+                conditions: conditions,
+                action: this.setRuleTabAction({
+                    ...(base?.action || {}),
+                    category: document.getElementById('ruleCategory').value,
+                    priority: parseInt(document.getElementById('rulePriority').value, 10) || 50
+                }, document.getElementById('ruleAction').value, document.getElementById('ruleActionTarget').value.trim())
+            }
+        };
+    }
+
+    async saveRule() {
+        const name = document.getElementById('ruleName').value.trim();
+        if (!name) {
+            this.showNotification('Give the rule a name', 'error');
+            return;
+        }
+
+        let edited;
+        if (this.ruleEditorMode === 'text') {
+            const result = this.validateRuleText();
+            if (!result.valid) {
+                this.showNotification('Fix the rule text: ' + result.errors[0].message, 'error');
+                return;
+            }
+            edited = { conditions: result.rule.conditions, action: { ...result.rule.action } };
+        } else {
+            const { rule, error } = this.readRuleForm();
+            if (error) {
+                this.showNotification(error, 'error');
+                return;
+            }
+            edited = rule;
+        }
+
+        const existing = this.customRules.find(r => r.id === this.editingRuleId);
+        const rule = {
+            ...(existing || {}),
+            name: name,
+            conditions: edited.conditions,
+            action: edited.action
+        };
+
+        try {
+            const response = await this.sendMessage('saveRule', { rule });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            this.closeRuleEditor();
+            await this.loadCustomRules();
+            this.renderCustomRulesSection();
+            this.showNotification('Rule saved!', 'success');
+        } catch (error) {
+            console.error('Failed to save rule:', error);
+            this.showNotification('Failed to save rule: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * The tab action a rule's action block asks for, as edited in the rule editor
+     */
+    getRuleTabAction(action) {
+        if (action.bookmarkAndClose) {
+            return { type: 'bookmarkAndClose', target: typeof action.bookmarkAndClose === 'string' ? action.bookmarkAndClose : '' };
+        }
+        if (action.moveToWindow) return { type: 'moveToWindow', target: action.moveToWindow };
+        if (action.closeTab) return { type: 'closeTab', target: '' };
+        if (action.discardTab) return { type: 'discardTab', target: '' };
+        if (action.collapseGroup) return { type: 'collapseGroup', target: '' };
+        if (action.muteTab) return { type: 'muteTab', target: '' };
+        if (action.pinTab === true) return { type: 'pinTab', target: '' };
+        if (action.pinTab === false) return { type: 'unpinTab', target: '' };
+        return { type: 'none', target: '' };
+    }
+
+    /**
+     * Replace the tab action in a rule's action block
+     */
+    setRuleTabAction(action, type, target) {
+        const updated = { ...action };
+        for (const key of ['pinTab', 'muteTab', 'collapseGroup', 'discardTab', 'closeTab', 'moveToWindow', 'bookmarkAndClose']) {
+            delete updated[key];
+        }
+
+        switch (type) {
+            case 'pinTab': updated.pinTab = true; break;
+            case 'unpinTab': updated.pinTab = false; break;
+            case 'moveToWindow': updated.moveToWindow = target || 'TabSorter'; break;
+            case 'bookmarkAndClose': updated.bookmarkAndClose = target || true; break;
+            case 'none': break;
+            default: updated[type] = true;
+        }
+        return updated;
+    }
+
+    /**
+     * Download custom rules in the RulesEngine export format
+     */
+    async exportRules() {
+        try {
+            const response = await this.sendMessage('exportRules');
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            const blob = new Blob([response.json], { type: 'application/json' });
+            const url = URL.createObjectURL(blob);
+            const link = document.createElement('a');
+            link.href = url;
+            link.download = `tabsorter-rules-${new Date().toISOString().split('T')[0]}.json`;
+            link.click();
+            URL.revokeObjectURL(url);
+        } catch (error) {
+            console.error('Failed to export rules:', error);
+            this.showNotification('Failed to export rules: ' + error.message, 'error');
+        }
+    }
+
+    /**
+     * Add rules from an exported file alongside the existing ones
+     */
+    async importRules(file) {
+        try {
+            const response = await this.sendMessage('importRules', { json: await file.text() });
+            if (response?.error) {
+                throw new Error(response.error);
+            }
+
+            await this.loadCustomRules();
+            this.renderCustomRulesSection();
+            this.showNotification(`Imported ${response.imported} rule${response.imported === 1 ? '' : 's'}!`, 'success');
+        } catch (error) {
+            console.error('Failed to import rules:', error);
+            this.showNotification(error.message, 'error');
+        }
     }
 
     exportSettings() {
@@ -823,9 +2177,17 @@ class OptionsManager {
         this.showNotification('Import feature coming soon!', 'info');
     }
 
-    clearCache() {
-        console.log('Clear cache');
-        this.showNotification('Cache cleared!', 'success');
+    async clearCache() {
+        if (!this.embeddingCache) return;
+
+        try {
+            await this.embeddingCache.clear();
+            await this.loadEmbeddingCacheStats();
+            this.showNotification('Cache cleared!', 'success');
+        } catch (error) {
+            console.error('Failed to clear embedding cache:', error);
+            this.showNotification('Failed to clear cache: ' + error.message, 'error');
+        }
     }
 
     resetAllData() {
@@ -6,34 +6,65 @@ class TabSorterPopup {
     this.selectedTabs = new Set();
     this.categories = [];
     this.settings = {};
+    this.settingsStore = new SettingsStore();
     this.selectionMode = false;
     this.searchMode = false;
     this.searchResults = [];
+    this.duplicateClusters = [];
+    this.staleTabs = [];
+    this.windowsPlan = null;
     this.init();
   }
 
   async init() {
     console.log('TabSorter popup initializing...');
     await this.loadSettings();
+    await this.loadProfiles();
     await this.loadCategories();
     await this.analyzeTabs();
     this.setupEventListeners();
     this.updateUI();
+    await this.loadUndoStatus();
+    await this.loadDuplicates();
+    await this.loadStaleTabs();
   }
 
   async loadSettings() {
-    const result = await chrome.storage.sync.get('settings');
-    this.settings = result.settings || {
-      autoGroup: false,
-      smartMode: true,
-      partialGrouping: false,
-      minConfidence: 0.7,
-      preservePinned: true,
-      groupingMode: 'groups', // Fixed from 'windows' to 'groups' as default
-      analysisDepth: 'standard'
-    };
+    this.settings = await this.settingsStore.load();
   }
 
+  async loadProfiles() {
+    const select = document.getElementById('profileSelect');
+    if (!select) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'getProfiles' });
+      select.innerHTML = (response?.profiles || []).map(profile => `
+        <option value="${this.escapeHtml(profile.id)}" ${profile.id === response.activeId ? 'selected' : ''}>${this.escapeHtml(profile.name)}</option>
+      `).join('');
+    } catch (error) {
+      console.error('Error loading profiles:', error);
+    }
+  }
+  
+  async switchProfile(profileId) {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'switchProfile', profileId });
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response');
+      }
+      
+      await this.loadSettings();
+      this.updateUI();
+      await this.analyzeTabs();
+      this.showNotification(`Switched to ${response.profile.name}`, 'success');
+    } catch (error) {
+      console.error('Error switching profile:', error);
+      this.showError('Failed to switch profile');
+      await this.loadProfiles();
+    }
+  }
+  
   async loadCategories() {
     const result = await chrome.storage.sync.get('categories');
     this.categories = result.categories || [];
@@ -86,7 +117,7 @@ class TabSorterPopup {
       });
       
       if (response && response.categorized) {
-        this.displayResults(response.categorized, response.stats);
+        this.displayResults(response.categorized, response.stats, response.explanations, response.ruleActions);
       }
     } catch (error) {
       console.error('Error analyzing tabs:', error);
@@ -346,7 +377,7 @@ class TabSorterPopup {
     }
   }
 
-  displayResults(categorizedTabs, stats) {
+  displayResults(categorizedTabs, stats, explanations = {}, ruleActions = []) {
     const groupsContainer = document.getElementById('groupsContainer');
     const statsDiv = document.getElementById('stats');
     
@@ -370,6 +401,9 @@ class TabSorterPopup {
           <span class="stat-label">Duplicates</span>
         </div>
       </div>
+      ${stats?.clustering ? `<div class="stat-note">AI clustering: ${stats.clustering.name}</div>` : ''}
+      ${stats?.contentRead !== undefined ? `<div class="stat-note">Page content read from ${stats.contentRead} of ${stats.totalTabs} tabs</div>` : ''}
+      ${this.settings.applyRuleActions && ruleActions?.length > 0 ? this.renderRuleActions(ruleActions) : ''}
     `;
     
     // Don't update groups view if in selection mode
@@ -392,6 +426,7 @@ class TabSorterPopup {
           <span class="group-icon">${this.getCategoryIcon(category)}</span>
           <span class="group-name">${groupName}</span>
           <span class="group-count">${tabs.length} tabs</span>
+          <button class="group-why-btn" title="Why are these tabs here?" aria-expanded="false">?</button>
           <span class="group-action">
             <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
               <path d="M9 18l6-6-6-6"/>
@@ -404,6 +439,7 @@ class TabSorterPopup {
               <img src="${tab.favIconUrl || '../icons/icon-16.png'}" alt="" class="tab-favicon" onerror="this.src='../icons/icon-16.png'">
               <span class="tab-title">${this.truncateText(tab.title, 40)}</span>
             </div>
+            ${ExplanationView.render(explanations[tab.id])}
           `).join('')}
           ${tabs.length > 5 ? `<div class="more-tabs">+${tabs.length - 5} more tabs</div>` : ''}
         </div>
@@ -414,12 +450,40 @@ class TabSorterPopup {
       // Add click handler to navigate to group
       const groupHeader = groupDiv.querySelector('.group-header');
       groupHeader.addEventListener('click', () => this.handleGroupClick(tabs, groupName));
+      
+      // Show the tab list with each tab's explanation without switching tabs
+      const whyBtn = groupDiv.querySelector('.group-why-btn');
+      whyBtn.addEventListener('click', (e) => {
+        e.stopPropagation();
+        const tabList = groupDiv.querySelector('.group-tabs');
+        const expanded = tabList.style.display === 'none';
+        tabList.style.display = expanded ? 'block' : 'none';
+        whyBtn.setAttribute('aria-expanded', String(expanded));
+      });
     });
     
     // Add custom scrollbar styles
     this.addScrollbarStyles();
   }
 
+  renderRuleActions(ruleActions) {
+    // Dry run: what matched rules will do once the tabs are sorted
+    return `
+      <details class="rule-actions-preview">
+        <summary>${ruleActions.length} rule action${ruleActions.length === 1 ? '' : 's'} will run after sorting</summary>
+        <ul>
+          ${ruleActions.map(step => `
+            <li>
+              <span class="rule-action-step">${this.escapeHtml(step.description)}</span>
+              <span class="rule-action-tab">${this.escapeHtml(this.truncateText(step.title || step.url, 36))}</span>
+              <span class="rule-action-rule">${this.escapeHtml(step.ruleName)}</span>
+            </li>
+          `).join('')}
+        </ul>
+      </details>
+    `;
+  }
+
   displayCurrentView() {
     if (!this.searchMode && !this.selectionMode) {
       this.analyzeTabs();
@@ -594,11 +658,90 @@ class TabSorterPopup {
       this.analyzeTabs(); // Re-analyze with new depth
     });
     
+    // Grouping strategy
+    document.getElementById('groupingStrategy')?.addEventListener('change', (e) => {
+      this.settings.groupingStrategy = e.target.value;
+      this.saveSettings();
+      this.analyzeTabs();
+    });
+    
     // Preview button - simplified without modal
     document.getElementById('previewBtn')?.addEventListener('click', () => {
       this.showPreview();
     });
     
+    // Rule from the current tab
+    document.getElementById('ruleFromTabBtn')?.addEventListener('click', () => {
+      this.openRuleDialog();
+    });
+    
+    // Undo last sort
+    document.getElementById('undoSortBtn')?.addEventListener('click', () => {
+      this.undoLastSort();
+    });
+    
+    // Active profile
+    document.getElementById('profileSelect')?.addEventListener('change', (e) => {
+      this.switchProfile(e.target.value);
+    });
+    
+    // Duplicate tabs
+    document.getElementById('closeDuplicatesBtn')?.addEventListener('click', () => {
+      this.closeDuplicates();
+    });
+    
+    document.getElementById('undoDuplicatesBtn')?.addEventListener('click', () => {
+      this.undoCloseDuplicates();
+    });
+    
+    document.getElementById('duplicateContentToggle')?.addEventListener('change', (e) => {
+      this.settings.duplicateContentCheck = e.target.checked;
+      this.saveSettings();
+      this.loadDuplicates();
+    });
+    
+    // Stale tabs
+    document.getElementById('staleThreshold')?.addEventListener('change', (e) => {
+      this.settings.staleTabHours = parseInt(e.target.value, 10);
+      this.saveSettings();
+      this.loadStaleTabs();
+    });
+    
+    document.getElementById('staleSelectAll')?.addEventListener('change', (e) => {
+      document.querySelectorAll('.stale-tab-check:not(:disabled)').forEach(check => {
+        check.checked = e.target.checked;
+      });
+    });
+    
+    document.querySelectorAll('.stale-actions button').forEach(btn => {
+      btn.addEventListener('click', () => this.applyStaleAction(btn.dataset.type));
+    });
+    
+    document.getElementById('undoStaleBtn')?.addEventListener('click', () => {
+      this.undoStaleAction();
+    });
+    
+    document.getElementById('separateRarelyUsedToggle')?.addEventListener('change', (e) => {
+      this.settings.separateRarelyUsed = e.target.checked;
+      this.saveSettings();
+      this.analyzeTabs();
+    });
+    
+    // Organize all windows; the plan is only worked out once the section is opened
+    document.getElementById('allWindowsDetails')?.addEventListener('toggle', (e) => {
+      if (e.target.open) this.loadWindowsPlan();
+    });
+    
+    document.getElementById('dedicatedWindowsToggle')?.addEventListener('change', (e) => {
+      this.settings.dedicatedWindows = e.target.checked;
+      this.saveSettings();
+      this.loadWindowsPlan();
+    });
+    
+    document.getElementById('organizeAllWindowsBtn')?.addEventListener('click', () => {
+      this.organizeAllWindows();
+    });
+    
     // Settings button
     document.getElementById('settingsBtn')?.addEventListener('click', () => {
       chrome.runtime.openOptionsPage();
@@ -610,8 +753,8 @@ class TabSorterPopup {
       this.saveSettings();
     });
     
-    document.getElementById('smartModeToggle')?.addEventListener('change', (e) => {
-      this.settings.smartMode = e.target.checked;
+    document.getElementById('aiModeToggle')?.addEventListener('change', (e) => {
+      this.settings.aiMode = e.target.checked;
       this.saveSettings();
       this.analyzeTabs();
     });
@@ -626,6 +769,11 @@ class TabSorterPopup {
       this.settings.preservePinned = e.target.checked;
       this.saveSettings();
     });
+    
+    document.getElementById('reuseGroupsToggle')?.addEventListener('change', (e) => {
+      this.settings.reuseExistingGroups = e.target.checked;
+      this.saveSettings();
+    });
   }
   
   async showPreview() {
@@ -642,7 +790,7 @@ class TabSorterPopup {
     
     if (response && response.preview) {
       // Show preview in the current view
-      this.displayResults(response.preview.groups, response.preview.stats);
+      this.displayResults(response.preview.groups, response.preview.stats, response.preview.explanations, response.preview.ruleActions);
       this.showNotification('Preview mode - Click "Sort Tabs" to apply', 'info');
     }
   }
@@ -661,7 +809,9 @@ class TabSorterPopup {
       
       if (response && response.success) {
         const tabCount = tabsToSort ? tabsToSort.length : this.tabs.length;
-        this.showNotification(`Successfully sorted ${tabCount} tabs!`, 'success');
+        const actionCount = response.ruleActions?.applied || 0;
+        this.showNotification(`Successfully sorted ${tabCount} tabs!` +
+          (actionCount > 0 ? ` ${actionCount} rule action${actionCount === 1 ? '' : 's'} applied.` : ''), 'success');
         
         // Exit selection mode if active
         if (this.selectionMode) {
@@ -680,6 +830,316 @@ class TabSorterPopup {
     }
   }
   
+  async loadUndoStatus() {
+    try {
+      const status = await chrome.runtime.sendMessage({ action: 'getUndoStatus' });
+      const undoSection = document.getElementById('undoSection');
+      if (!undoSection) return;
+      
+      undoSection.style.display = status && status.available ? 'block' : 'none';
+      if (status && status.available) {
+        const minutes = Math.round((Date.now() - status.createdAt) / 60000);
+        const when = minutes < 1 ? 'just now' : `${minutes} min ago`;
+        document.getElementById('undoSortText').textContent = `Undo last sort (${when})`;
+      }
+    } catch (error) {
+      console.error('Error loading undo status:', error);
+    }
+  }
+  
+  async openRuleDialog() {
+    const [activeTab] = await chrome.tabs.query({ active: true, currentWindow: true });
+    if (!activeTab) return;
+    
+    await chrome.runtime.sendMessage({ action: 'openRuleDialog', tabId: activeTab.id });
+    window.close();
+  }
+  
+  async loadDuplicates() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'findDuplicates',
+        useContent: this.settings.duplicateContentCheck === true
+      });
+      this.duplicateClusters = response?.clusters || [];
+      this.renderDuplicates();
+    } catch (error) {
+      console.error('Error finding duplicates:', error);
+    }
+  }
+  
+  renderDuplicates() {
+    const section = document.getElementById('duplicatesSection');
+    if (!section) return;
+    
+    const closeCount = this.duplicateClusters.reduce((sum, cluster) => sum + cluster.closeTabIds.length, 0);
+    section.style.display = closeCount > 0 ? 'block' : 'none';
+    if (closeCount === 0) return;
+    
+    document.getElementById('duplicatesSummary').textContent =
+      `${closeCount} duplicate tab${closeCount === 1 ? '' : 's'} in ${this.duplicateClusters.length} set${this.duplicateClusters.length === 1 ? '' : 's'}`;
+    document.getElementById('closeDuplicatesBtn').textContent =
+      `Close ${closeCount} duplicate${closeCount === 1 ? '' : 's'}`;
+    
+    document.getElementById('duplicatesList').innerHTML = this.duplicateClusters.map(cluster => `
+      <div class="duplicate-cluster">
+        <div class="duplicate-cluster-header">
+          <span class="duplicate-cluster-key" title="${this.escapeHtml(cluster.key)}">${this.escapeHtml(this.truncateText(cluster.tabs[0].title || cluster.key, 40))}</span>
+          ${cluster.reason === 'content' ? '<span class="duplicate-cluster-reason">same content</span>' : ''}
+        </div>
+        ${cluster.tabs.map(tab => `
+          <div class="duplicate-tab ${tab.id === cluster.keepTabId ? 'keep' : ''}" data-tab-id="${tab.id}">
+            <span class="duplicate-tab-status">${tab.id === cluster.keepTabId ? 'Keep' : cluster.closeTabIds.includes(tab.id) ? 'Close' : 'Pinned'}</span>
+            <span class="duplicate-tab-url" title="${this.escapeHtml(tab.url)}">${this.escapeHtml(this.truncateText(tab.url, 44))}</span>
+          </div>
+        `).join('')}
+      </div>
+    `).join('');
+    
+    document.querySelectorAll('.duplicate-tab').forEach(item => {
+      item.addEventListener('click', () => {
+        const tabId = parseInt(item.dataset.tabId, 10);
+        chrome.tabs.update(tabId, { active: true });
+      });
+    });
+  }
+  
+  async closeDuplicates() {
+    const tabIds = this.duplicateClusters.flatMap(cluster => cluster.closeTabIds);
+    if (tabIds.length === 0) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'closeDuplicates',
+        tabIds: tabIds,
+        useContent: this.settings.duplicateContentCheck === true
+      });
+      
+      if (response && response.success) {
+        const failed = response.failed?.length ? ` (${response.failed.length} could not be closed)` : '';
+        this.showNotification(`Closed ${response.closed} duplicate tab${response.closed === 1 ? '' : 's'}${failed}`, 'success');
+        document.getElementById('undoDuplicatesSection').style.display = response.recordId ? 'block' : 'none';
+        await this.analyzeTabs();
+        await this.loadDuplicates();
+      } else {
+        this.showError(response?.error || 'Failed to close duplicates');
+      }
+    } catch (error) {
+      console.error('Error closing duplicates:', error);
+      this.showError('An error occurred while closing duplicates');
+    }
+  }
+  
+  async undoCloseDuplicates() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoCloseDuplicates' });
+      
+      if (response && response.success) {
+        this.showNotification(`Reopened ${response.reverted} tab${response.reverted === 1 ? '' : 's'}`, 'success');
+        document.getElementById('undoDuplicatesSection').style.display = 'none';
+        await this.analyzeTabs();
+        await this.loadDuplicates();
+      } else {
+        this.showError(response?.error || 'Failed to reopen duplicates');
+      }
+    } catch (error) {
+      console.error('Error undoing duplicate close:', error);
+      this.showError('An error occurred while reopening duplicates');
+    }
+  }
+  
+  async loadStaleTabs() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'getStaleTabs',
+        thresholdHours: this.settings.staleTabHours || 72
+      });
+      this.staleTabs = response?.tabs || [];
+      this.renderStaleTabs();
+    } catch (error) {
+      console.error('Error finding stale tabs:', error);
+    }
+  }
+  
+  renderStaleTabs() {
+    const section = document.getElementById('staleSection');
+    if (!section) return;
+    section.style.display = 'block';
+    
+    const threshold = document.getElementById('staleThreshold');
+    threshold.value = String(this.settings.staleTabHours || 72);
+    const thresholdLabel = threshold.selectedOptions[0]?.textContent || `${threshold.value} hours`;
+    
+    const count = this.staleTabs.length;
+    document.getElementById('staleSummary').textContent = count > 0
+      ? `${count} tab${count === 1 ? '' : 's'} unused for ${thresholdLabel}+`
+      : `No tabs unused for ${thresholdLabel}`;
+    document.querySelectorAll('.stale-actions button').forEach(btn => { btn.disabled = count === 0; });
+    document.getElementById('staleSelectAll').checked = true;
+    
+    document.getElementById('staleList').innerHTML = this.staleTabs.map(tab => `
+      <label class="stale-tab ${tab.keptOpenBy ? 'kept' : ''}" data-tab-id="${tab.id}" title="${this.escapeHtml(tab.url)}">
+        <input type="checkbox" class="stale-tab-check" value="${tab.id}" ${tab.keptOpenBy ? 'disabled' : 'checked'}>
+        <span class="stale-tab-title">${this.escapeHtml(this.truncateText(tab.title || tab.url, 38))}</span>
+        <span class="stale-tab-meta">${tab.keptOpenBy
+          ? `Kept open by "${this.escapeHtml(tab.keptOpenBy)}"`
+          : `${this.formatDuration(tab.idleFor)} idle · ${tab.activations} visit${tab.activations === 1 ? '' : 's'} · ${this.formatDuration(tab.focusTime)} viewed`}</span>
+      </label>
+    `).join('');
+  }
+  
+  formatDuration(ms) {
+    const minutes = Math.round(ms / 60000);
+    if (minutes < 60) return `${minutes}m`;
+    const hours = Math.floor(minutes / 60);
+    return hours < 48 ? `${hours}h` : `${Math.floor(hours / 24)}d`;
+  }
+  
+  async applyStaleAction(type) {
+    const tabIds = [...document.querySelectorAll('.stale-tab-check:checked')].map(check => parseInt(check.value, 10));
+    if (tabIds.length === 0) return;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({
+        action: 'staleTabsAction',
+        staleAction: type,
+        tabIds: tabIds,
+        thresholdHours: this.settings.staleTabHours || 72
+      });
+      
+      if (response && response.success) {
+        const verbs = { discard: 'Discarded', archive: 'Archived', bookmarkAndClose: 'Bookmarked and closed' };
+        const skipped = response.skipped ? ` (${response.skipped} skipped)` : '';
+        this.showNotification(`${verbs[type]} ${response.applied} tab${response.applied === 1 ? '' : 's'}${skipped}`, 'success');
+        document.getElementById('undoStaleSection').style.display = response.recordId ? 'block' : 'none';
+        await this.analyzeTabs();
+        await this.loadStaleTabs();
+      } else {
+        this.showError(response?.error || 'Failed to update stale tabs');
+      }
+    } catch (error) {
+      console.error('Error updating stale tabs:', error);
+      this.showError('An error occurred while updating stale tabs');
+    }
+  }
+  
+  async undoStaleAction() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoStaleTabsAction' });
+      
+      if (response && response.success) {
+        this.showNotification(`Undid changes to ${response.reverted} tab${response.reverted === 1 ? '' : 's'}`, 'success');
+        document.getElementById('undoStaleSection').style.display = 'none';
+        await this.analyzeTabs();
+        await this.loadStaleTabs();
+      } else {
+        this.showError(response?.error || 'Failed to undo');
+      }
+    } catch (error) {
+      console.error('Error undoing stale tab action:', error);
+      this.showError('An error occurred while undoing the stale tab action');
+    }
+  }
+  
+  async loadWindowsPlan() {
+    const container = document.getElementById('allWindowsPlan');
+    if (!container) return;
+    
+    container.innerHTML = '<div class="all-windows-note">Planning across windows...</div>';
+    document.getElementById('organizeAllWindowsBtn').disabled = true;
+    
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'previewAllWindows', settings: this.settings });
+      if (!response || response.error) {
+        throw new Error(response?.error || 'No response');
+      }
+      this.windowsPlan = response;
+      this.renderWindowsPlan();
+    } catch (error) {
+      console.error('Error planning windows:', error);
+      container.innerHTML = '<div class="all-windows-note">Could not plan across windows</div>';
+    }
+  }
+  
+  renderWindowsPlan() {
+    const { plan, summary } = this.windowsPlan;
+    const labels = new Map(plan.windows.map(win => [win.id, win.label + (win.focused ? ' (this window)' : '')]));
+    const windowCount = plan.windows.length;
+    
+    document.getElementById('allWindowsSummary').textContent = summary.tabsMoving > 0
+      ? `Organize all windows: ${summary.tabsMoving} tab${summary.tabsMoving === 1 ? '' : 's'} to move`
+      : 'Organize all windows';
+    const button = document.getElementById('organizeAllWindowsBtn');
+    button.disabled = plan.categories.length === 0;
+    button.textContent = `Organize ${windowCount} window${windowCount === 1 ? '' : 's'}`;
+    
+    const notes = [];
+    const closing = plan.windows.filter(win => win.closing).map(win => win.label);
+    if (closing.length > 0) notes.push(`${closing.join(', ')} will close once emptied`);
+    if (plan.pinnedSkipped > 0) notes.push(`${plan.pinnedSkipped} pinned tab${plan.pinnedSkipped === 1 ? '' : 's'} stay put`);
+    
+    const rows = plan.categories.map(category => {
+      const target = category.newWindow ? 'a new window' : labels.get(category.targetWindowId);
+      const from = category.sources
+        .filter(source => source.windowId !== category.targetWindowId)
+        .map(source => `${labels.get(source.windowId)} (${source.count})`);
+      const route = category.moveTabIds.length === 0
+        ? `Already together in ${target}`
+        : `${category.moveTabIds.length} to ${target} from ${from.join(', ')}`;
+      
+      return `
+        <div class="window-move ${category.moveTabIds.length === 0 ? 'settled' : ''}">
+          <div class="window-move-name">${this.getCategoryIcon(category.name)} ${this.escapeHtml(category.name)} · ${category.tabIds.length} tab${category.tabIds.length === 1 ? '' : 's'}</div>
+          <div class="window-move-route">${this.escapeHtml(route)}</div>
+        </div>
+      `;
+    });
+    
+    document.getElementById('allWindowsPlan').innerHTML = rows.length > 0
+      ? rows.join('') + notes.map(note => `<div class="all-windows-note">${this.escapeHtml(note)}</div>`).join('')
+      : '<div class="all-windows-note">No groups found to sort</div>';
+  }
+  
+  async organizeAllWindows() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'organizeAllWindows', settings: this.settings });
+      
+      if (response && response.success) {
+        const failed = response.failed ? ` (${response.failed} could not be moved)` : '';
+        this.showNotification(`Moved ${response.moved} tab${response.moved === 1 ? '' : 's'} across windows${failed}`, 'success');
+        await this.loadUndoStatus();
+        
+        setTimeout(() => {
+          window.close();
+        }, 1500);
+      } else {
+        this.showError(response?.error || 'Failed to organize windows');
+      }
+    } catch (error) {
+      console.error('Error organizing windows:', error);
+      this.showError('An error occurred while organizing windows');
+    }
+  }
+  
+  async undoLastSort() {
+    try {
+      const response = await chrome.runtime.sendMessage({ action: 'undoLastSort' });
+      
+      if (response && response.success) {
+        const missing = response.missingTabs ? ` (${response.missingTabs} closed tabs skipped)` : '';
+        this.showNotification(`Restored ${response.restoredTabs} tabs${missing}`, 'success');
+        await this.analyzeTabs();
+      } else {
+        this.showError(response?.error || 'Failed to undo last sort');
+      }
+    } catch (error) {
+      console.error('Error undoing sort:', error);
+      this.showError('An error occurred while undoing the last sort');
+    } finally {
+      await this.loadUndoStatus();
+    }
+  }
+  
   getCategoryIcon(category) {
     const icons = {
       work: '💼',
@@ -708,6 +1168,12 @@ class TabSorterPopup {
     return text.length > maxLength ? text.substring(0, maxLength) + '...' : text;
   }
   
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text ?? '';
+    return div.innerHTML;
+  }
+  
   showNotification(message, type = 'info') {
     const notification = document.createElement('div');
     notification.className = `notification notification-${type}`;
@@ -725,7 +1191,7 @@ class TabSorterPopup {
   }
   
   async saveSettings() {
-    await chrome.storage.sync.set({ settings: this.settings });
+    this.settings = await this.settingsStore.save(this.settings);
   }
   
   updateUI() {
@@ -734,9 +1200,9 @@ class TabSorterPopup {
       autoGroupToggle.checked = this.settings.autoGroup;
     }
     
-    const smartModeToggle = document.getElementById('smartModeToggle');
-    if (smartModeToggle) {
-      smartModeToggle.checked = this.settings.smartMode;
+    const aiModeToggle = document.getElementById('aiModeToggle');
+    if (aiModeToggle) {
+      aiModeToggle.checked = this.settings.aiMode;
     }
     
     const partialToggle = document.getElementById('partialGroupingToggle');
@@ -749,10 +1215,35 @@ class TabSorterPopup {
       preservePinnedToggle.checked = this.settings.preservePinned !== false;
     }
     
+    const reuseGroupsToggle = document.getElementById('reuseGroupsToggle');
+    if (reuseGroupsToggle) {
+      reuseGroupsToggle.checked = this.settings.reuseExistingGroups !== false;
+    }
+    
+    const duplicateContentToggle = document.getElementById('duplicateContentToggle');
+    if (duplicateContentToggle) {
+      duplicateContentToggle.checked = this.settings.duplicateContentCheck === true;
+    }
+    
     const analysisDepth = document.getElementById('analysisDepth');
     if (analysisDepth) {
       analysisDepth.value = this.settings.analysisDepth || 'standard';
     }
+    
+    const separateRarelyUsedToggle = document.getElementById('separateRarelyUsedToggle');
+    if (separateRarelyUsedToggle) {
+      separateRarelyUsedToggle.checked = this.settings.separateRarelyUsed === true;
+    }
+    
+    const groupingStrategy = document.getElementById('groupingStrategy');
+    if (groupingStrategy) {
+      groupingStrategy.value = this.settings.groupingStrategy || 'categories';
+    }
+    
+    const dedicatedWindowsToggle = document.getElementById('dedicatedWindowsToggle');
+    if (dedicatedWindowsToggle) {
+      dedicatedWindowsToggle.checked = this.settings.dedicatedWindows === true;
+    }
   }
 }
 
@@ -0,0 +1,206 @@
+/**
+ * Rule Dialog - Confirms a rule drafted from a tab before it's saved
+ * Opened from the "Always put tabs like this in…" context menu and the popup
+ */
+
+class RuleDialog {
+    constructor() {
+        const params = new URLSearchParams(location.search);
+        this.tabId = parseInt(params.get('tabId'), 10);
+        this.preset = {
+            category: params.get('category'),
+            subcategory: params.get('subcategory')
+        };
+        this.tab = null;
+        this.suggestion = null;
+        this.targets = []; // [{ label, category, subcategory }] in select order
+        this.nameEdited = false;
+        this.testTimer = null;
+
+        this.init();
+    }
+
+    async init() {
+        try {
+            this.tab = await chrome.tabs.get(this.tabId);
+        } catch {
+            this.showError('That tab is no longer open');
+            return;
+        }
+
+        this.suggestion = TabRuleBuilder.suggest(this.tab);
+        if (!this.suggestion) {
+            this.showError('Rules can only be made from web pages');
+            return;
+        }
+
+        const targets = await this.sendMessage('getRuleTargets');
+        if (targets?.error) {
+            this.showError(targets.error);
+            return;
+        }
+
+        this.render(targets);
+        this.setupEventListeners();
+        this.update();
+    }
+
+    async sendMessage(action, data = {}) {
+        return new Promise((resolve, reject) => {
+            chrome.runtime.sendMessage({ action, ...data }, (response) => {
+                if (chrome.runtime.lastError) {
+                    reject(new Error(chrome.runtime.lastError.message));
+                } else {
+                    resolve(response);
+                }
+            });
+        });
+    }
+
+    render({ categories, groups }) {
+        document.getElementById('ruleDialogTab').textContent = this.tab.title || this.tab.url;
+
+        const categoryOptions = [];
+        for (const category of categories) {
+            categoryOptions.push(this.addTarget(`${category.emoji} ${category.name}`.trim(), category.id));
+            for (const sub of category.subcategories) {
+                categoryOptions.push(this.addTarget(`${category.name} / ${sub.name}`, category.id, sub.id));
+            }
+        }
+        const groupOptions = groups.map(group =>
+            this.addTarget(`Group "${group.title}"`, group.category, group.subcategory));
+
+        // A category without a known entry (e.g. a group's own name) still gets an option
+        if (this.preset.category && this.findTarget(this.preset.category, this.preset.subcategory) === -1) {
+            groupOptions.unshift(this.addTarget(this.preset.category, this.preset.category, this.preset.subcategory));
+        }
+
+        const select = document.getElementById('ruleTarget');
+        select.innerHTML = `
+            <optgroup label="Categories">${categoryOptions.join('')}</optgroup>
+            ${groupOptions.length > 0 ? `<optgroup label="Open groups">${groupOptions.join('')}</optgroup>` : ''}
+        `;
+        const selected = this.preset.category ? this.findTarget(this.preset.category, this.preset.subcategory) : -1;
+        select.value = String(Math.max(selected, 0));
+
+        const { domain, pathPrefixes, keywords } = this.suggestion;
+        document.getElementById('rulePath').innerHTML = [
+            `<option value="">Anywhere on ${this.escapeHtml(domain)}</option>`,
+            ...pathPrefixes.map(prefix =>
+                `<option value="${this.escapeHtml(prefix)}">${this.escapeHtml(domain + prefix)}/…</option>`)
+        ].join('');
+
+        document.getElementById('ruleKeywordsGroup').classList.toggle('hidden', keywords.length === 0);
+        document.getElementById('ruleKeywords').innerHTML = keywords.map(keyword => `
+            <label class="rule-dialog-keyword">
+                <input type="checkbox" value="${this.escapeHtml(keyword)}">
+                <span>${this.escapeHtml(keyword)}</span>
+            </label>
+        `).join('');
+
+        document.getElementById('rulePriority').value = TabRuleBuilder.DEFAULT_PRIORITY;
+    }
+
+    addTarget(label, category, subcategory = null) {
+        this.targets.push({ label, category, subcategory: subcategory || null });
+        return `<option value="${this.targets.length - 1}">${this.escapeHtml(label)}</option>`;
+    }
+
+    findTarget(category, subcategory) {
+        return this.targets.findIndex(target =>
+            target.category === category && target.subcategory === (subcategory || null));
+    }
+
+    setupEventListeners() {
+        const form = document.getElementById('ruleDialogForm');
+        form.addEventListener('change', () => this.update());
+        form.addEventListener('input', (e) => {
+            if (e.target.id === 'ruleName') this.nameEdited = e.target.value.trim() !== '';
+            this.update();
+        });
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.save();
+        });
+
+        document.getElementById('cancelRuleBtn').addEventListener('click', () => window.close());
+        document.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') window.close();
+        });
+    }
+
+    /**
+     * Rule from the current form values
+     */
+    buildRule() {
+        const target = this.targets[parseInt(document.getElementById('ruleTarget').value, 10)];
+        const keywords = [...document.querySelectorAll('#ruleKeywords input:checked')].map(input => input.value);
+
+        return TabRuleBuilder.build({
+            domain: this.suggestion.domain,
+            pathPrefix: document.getElementById('rulePath').value,
+            keywords: keywords,
+            category: target.category,
+            subcategory: target.subcategory,
+            name: this.nameEdited ? document.getElementById('ruleName').value.trim() : null,
+            priority: parseInt(document.getElementById('rulePriority').value, 10) || TabRuleBuilder.DEFAULT_PRIORITY
+        });
+    }
+
+    update() {
+        const rule = this.buildRule();
+        if (!this.nameEdited) {
+            document.getElementById('ruleName').value = rule.name;
+        }
+        document.getElementById('rulePreview').textContent = RuleDSL.print(rule);
+
+        // Count matching open tabs once the user stops typing
+        clearTimeout(this.testTimer);
+        this.testTimer = setTimeout(() => this.showMatches(rule), 300);
+    }
+
+    async showMatches(rule) {
+        const matches = document.getElementById('ruleMatches');
+        try {
+            const response = await this.sendMessage('testRule', { rule });
+            if (response?.error) throw new Error(response.error);
+            matches.textContent = `Matches ${response.matched} of your ${response.total} open tabs`;
+        } catch (error) {
+            matches.textContent = '';
+            console.warn('Could not test rule:', error);
+        }
+    }
+
+    async save() {
+        const button = document.getElementById('saveRuleBtn');
+        button.disabled = true;
+
+        try {
+            const response = await this.sendMessage('saveRule', { rule: this.buildRule() });
+            if (response?.error) throw new Error(response.error);
+            window.close();
+        } catch (error) {
+            this.showError('Could not save the rule: ' + error.message);
+            button.disabled = false;
+        }
+    }
+
+    showError(message) {
+        const error = document.getElementById('ruleDialogError');
+        error.textContent = message;
+        error.classList.remove('hidden');
+        if (!this.suggestion) {
+            document.getElementById('saveRuleBtn').disabled = true;
+        }
+    }
+
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML.replace(/"/g, '&quot;');
+    }
+}
+
+document.addEventListener('DOMContentLoaded', () => {
+    new RuleDialog();
+});